@@ -3,10 +3,23 @@
  */
 import { jest } from '@jest/globals'
 
+export const addPath = jest.fn()
 export const debug = jest.fn()
+export const endGroup = jest.fn()
 export const error = jest.fn()
 export const info = jest.fn()
+export const notice = jest.fn()
 export const getInput = jest.fn()
 export const setOutput = jest.fn()
 export const setFailed = jest.fn()
+export const setSecret = jest.fn()
+export const startGroup = jest.fn()
 export const warning = jest.fn()
+
+export const summary = {
+  addHeading: jest.fn(),
+  addRaw: jest.fn(),
+  addTable: jest.fn(),
+  addCodeBlock: jest.fn(),
+  write: jest.fn()
+}
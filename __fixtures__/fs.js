@@ -6,8 +6,12 @@ import { jest } from '@jest/globals'
 export const promises = {
   readdir: jest.fn(),
   readFile: jest.fn(),
-  writeFile: jest.fn()
+  stat: jest.fn(),
+  writeFile: jest.fn(),
+  mkdir: jest.fn(),
+  mkdtemp: jest.fn()
 }
 
 export const existsSync = jest.fn()
 export const readdirSync = jest.fn()
+export const statSync = jest.fn()
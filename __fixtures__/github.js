@@ -8,7 +8,10 @@ export const context = {
     owner: 'test-owner',
     repo: 'test-repo'
   },
-  ref: 'refs/heads/test-branch'
+  ref: 'refs/heads/test-branch',
+  payload: {},
+  serverUrl: 'https://github.com',
+  runId: 42
 }
 
 export const getOctokit = jest.fn()
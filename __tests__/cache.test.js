@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the render cache, src/cache.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+import * as exec from '../__fixtures__/exec.js'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/exec', () => exec)
+jest.unstable_mockModule('fs', () => fs)
+
+const { createRenderCache } = await import('../src/cache.js')
+
+const inputs = {
+  sha: 'abc123',
+  paths: ['charts/app', 'env/prod.yaml'],
+  tool: {
+    name: 'helm',
+    binary: 'helm',
+    versionArgs: ['version', '--short']
+  },
+  command: 'helm template .',
+  prepareCommands: 'helm dependency update',
+  workingDir: 'charts/app',
+  extraArgs: ['-f', 'values.yaml'],
+  shell: false,
+  env: {}
+}
+
+describe('createRenderCache', () => {
+  let objects
+
+  beforeEach(() => {
+    jest.resetAllMocks()
+    objects = {
+      'abc123:charts/app': 'tree-1',
+      'abc123:env/prod.yaml': 'blob-1'
+    }
+    exec.getExecOutput.mockImplementation(async (cmd, args) => {
+      if (cmd === 'helm') {
+        return { exitCode: 0, stdout: 'v3.14.0\n', stderr: '' }
+      }
+      const object = objects[args[1]]
+      return object
+        ? { exitCode: 0, stdout: `${object}\n`, stderr: '' }
+        : { exitCode: 128, stdout: '', stderr: 'fatal: bad revision' }
+    })
+  })
+
+  it('derives the same key from the same inputs', async () => {
+    const cache = createRenderCache('/cache')
+
+    const key = await cache.getKey(inputs)
+
+    expect(key).toMatch(/^[0-9a-f]{64}$/)
+    expect(await cache.getKey({ ...inputs, sha: 'abc123' })).toBe(key)
+    expect(
+      exec.getExecOutput.mock.calls.filter(([cmd]) => cmd === 'helm')
+    ).toHaveLength(1)
+  })
+
+  it('reads the version of the tool binary once', async () => {
+    const cache = createRenderCache('/cache')
+
+    await cache.getKey(inputs)
+    await cache.getKey({ ...inputs, tool: { name: 'yaml' } })
+
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helm',
+      ['version', '--short'],
+      expect.anything()
+    )
+    expect(
+      exec.getExecOutput.mock.calls.filter(([cmd]) => cmd !== 'git')
+    ).toHaveLength(1)
+  })
+
+  it('changes the key when a dependency or the command changes', async () => {
+    const cache = createRenderCache('/cache')
+    const key = await cache.getKey(inputs)
+
+    expect(
+      await cache.getKey({ ...inputs, command: 'helm template x .' })
+    ).not.toBe(key)
+
+    objects['abc123:env/prod.yaml'] = 'blob-2'
+    expect(await cache.getKey(inputs)).not.toBe(key)
+  })
+
+  it('counts hits and misses', async () => {
+    fs.promises.readFile
+      .mockRejectedValueOnce(new Error('ENOENT'))
+      .mockResolvedValueOnce('kind: ConfigMap\n')
+    const cache = createRenderCache('/cache')
+
+    expect(await cache.get('k1')).toBeUndefined()
+    await cache.set('k1', 'kind: ConfigMap\n')
+    expect(await cache.get('k1')).toBe('kind: ConfigMap\n')
+
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(
+      '/cache/k1.yaml',
+      'kind: ConfigMap\n'
+    )
+    expect(cache.stats).toEqual({ hits: 1, misses: 1 })
+  })
+
+  it('warns instead of failing when the cache cannot be written', async () => {
+    fs.promises.mkdir.mockRejectedValue(new Error('EACCES'))
+
+    await createRenderCache('/cache').set('k1', '')
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'Failed to write render cache: EACCES'
+    )
+  })
+})
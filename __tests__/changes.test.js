@@ -0,0 +1,134 @@
+/**
+ * Unit tests for target dependencies, src/changes.js
+ */
+import { jest } from '@jest/globals'
+import * as exec from '../__fixtures__/exec.js'
+
+jest.unstable_mockModule('@actions/exec', () => exec)
+
+const { getKustomizeDependencies, getTargetPaths } = await import(
+  '../src/changes.js'
+)
+const { createTarget } = await import('../src/targets.js')
+
+/**
+ * Serve files of a commit to git show
+ * @param {Object<string, string>} files - Contents by path
+ */
+function mockFiles(files) {
+  exec.getExecOutput.mockImplementation(async (command, [, spec]) => {
+    const content = files[spec.slice(spec.indexOf(':') + 1)]
+    return content === undefined
+      ? { exitCode: 128, stdout: '', stderr: 'does not exist' }
+      : { exitCode: 0, stdout: content, stderr: '' }
+  })
+}
+
+describe('getKustomizeDependencies', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('follows bases and components outside the overlay', async () => {
+    mockFiles({
+      'overlays/prod/kustomization.yaml': [
+        'resources:',
+        '  - ../../base',
+        '  - ingress.yaml',
+        '  - https://github.com/org/repo/config?ref=v1',
+        'components:',
+        '  - ../../components/tls',
+        'patches:',
+        '  - path: ../../patches/replicas.yaml',
+        'configMapGenerator:',
+        '  - name: app',
+        '    files:',
+        '      - config=../../config/app.properties'
+      ].join('\n'),
+      'base/kustomization.yml': 'resources:\n  - deployment.yaml\n  - ../lib',
+      'lib/Kustomization': 'resources:\n  - ../base'
+    })
+
+    expect(await getKustomizeDependencies('overlays/prod', ['abc'])).toEqual([
+      'overlays/prod/ingress.yaml',
+      'patches/replicas.yaml',
+      'config/app.properties',
+      'base',
+      'base/deployment.yaml',
+      'lib',
+      'components/tls'
+    ])
+  })
+
+  it('follows patches, replacements, plugins, CRDs and helm values files', async () => {
+    mockFiles({
+      'app/kustomization.yaml': [
+        'patchesJson6902:',
+        '  - target: { kind: Deployment, name: web }',
+        '    path: patches/web.json',
+        'replacements:',
+        '  - path: ../shared/replacements.yaml',
+        '  - source: { kind: ConfigMap, name: env }',
+        '    targets: []',
+        'crds:',
+        '  - crds/widget.yaml',
+        'configurations:',
+        '  - config/name-references.yaml',
+        'generators:',
+        '  - ../generators',
+        '  - |-',
+        '    apiVersion: builtin',
+        '    kind: ConfigMapGenerator',
+        'transformers:',
+        '  - labels.yaml',
+        'helmCharts:',
+        '  - name: redis',
+        '    valuesFile: values/redis.yaml',
+        '    additionalValuesFiles: [../env/prod.yaml]'
+      ].join('\n')
+    })
+
+    expect(await getKustomizeDependencies('app', ['abc'])).toEqual([
+      'app/labels.yaml',
+      'app/patches/web.json',
+      'shared/replacements.yaml',
+      'app/crds/widget.yaml',
+      'app/config/name-references.yaml',
+      'app/values/redis.yaml',
+      'env/prod.yaml',
+      'generators'
+    ])
+  })
+
+  it('reads the kustomization at every commit', async () => {
+    exec.getExecOutput.mockImplementation(async (command, [, spec]) =>
+      spec === 'head:app/kustomization.yaml'
+        ? { exitCode: 0, stdout: 'resources: [../shared]', stderr: '' }
+        : { exitCode: 128, stdout: '', stderr: '' }
+    )
+
+    expect(await getKustomizeDependencies('app', ['base', 'head'])).toEqual([
+      'shared'
+    ])
+  })
+})
+
+describe('getTargetPaths', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('includes the bases of a kustomize overlay', async () => {
+    mockFiles({ 'overlays/prod/kustomization.yaml': 'resources: [../../base]' })
+    const target = createTarget({
+      name: 'prod',
+      tool: 'kustomize',
+      workingDir: 'overlays/prod'
+    })
+
+    expect(await getTargetPaths(target, ['abc'])).toEqual([
+      'overlays/prod',
+      'base'
+    ])
+  })
+})
@@ -0,0 +1,405 @@
+/**
+ * Unit tests for the command line, src/cli.js
+ */
+import { jest } from '@jest/globals'
+import path from 'path'
+import * as core from '../__fixtures__/core.js'
+import * as exec from '../__fixtures__/exec.js'
+import * as io from '../__fixtures__/io.js'
+import * as tc from '../__fixtures__/tool-cache.js'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/exec', () => exec)
+jest.unstable_mockModule('@actions/io', () => io)
+jest.unstable_mockModule('@actions/tool-cache', () => tc)
+jest.unstable_mockModule('fs', () => fs)
+
+const { parseCliArgs, colorizeDiff, formatActionsOutput, run } = await import(
+  '../src/cli.js'
+)
+
+const deployment = (replicas) =>
+  `apiVersion: apps/v1\nkind: Deployment\nmetadata:\n  name: web\nspec:\n  selector: {}\n  replicas: ${replicas}\n`
+
+describe('parseCliArgs', () => {
+  it('reads repeated options as lists', () => {
+    const options = parseCliArgs([
+      '--base',
+      'main',
+      '--tool',
+      'helm',
+      '--working-dir',
+      'charts/app',
+      '--values-file',
+      'values.yaml',
+      '--values-file',
+      'values-prod.yaml',
+      '--concurrency',
+      '2'
+    ])
+
+    expect(options).toMatchObject({
+      base: 'main',
+      mode: 'refs',
+      tool: 'helm',
+      'working-dir': 'charts/app',
+      'values-file': ['values.yaml', 'values-prod.yaml'],
+      set: [],
+      concurrency: 2
+    })
+  })
+
+  it('rejects unknown options and invalid values', () => {
+    expect(() => parseCliArgs(['--bogus'])).toThrow("Unknown option '--bogus'")
+    expect(() => parseCliArgs(['--mode', 'files'])).toThrow(
+      'Invalid mode "files": expected refs or paths'
+    )
+    expect(() => parseCliArgs(['--concurrency', '0'])).toThrow(
+      'Invalid concurrency "0": expected a positive integer'
+    )
+  })
+})
+
+describe('colorizeDiff', () => {
+  it('colors lines by their change marker', () => {
+    const text = [
+      '# Target: app',
+      '~ v1 ConfigMap app (modified)',
+      '    + data.b: "2"',
+      '    - data.a: "1"'
+    ].join('\n')
+
+    expect(colorizeDiff(text).split('\n')).toEqual([
+      '\x1b[1m# Target: app\x1b[0m',
+      '\x1b[33m~ v1 ConfigMap app (modified)\x1b[0m',
+      '\x1b[32m    + data.b: "2"\x1b[0m',
+      '\x1b[31m    - data.a: "1"\x1b[0m'
+    ])
+  })
+})
+
+describe('formatActionsOutput', () => {
+  const output = [
+    '::group::app: head',
+    'Generating head manifests for app...',
+    '::endgroup::',
+    '::warning file=a.yaml,title=app::Failed to parse a.yaml%0Aat line 1',
+    '::debug::details',
+    ''
+  ].join('\n')
+
+  it('keeps warnings and errors only', () => {
+    expect(formatActionsOutput(output)).toBe(
+      'warning: Failed to parse a.yaml\nat line 1\n'
+    )
+  })
+
+  it('keeps group titles and info lines when verbose', () => {
+    expect(formatActionsOutput(output, { verbose: true })).toBe(
+      'app: head\nGenerating head manifests for app...\n' +
+        'warning: Failed to parse a.yaml\nat line 1\n'
+    )
+  })
+})
+
+describe('run', () => {
+  const runnerTemp = process.env.RUNNER_TEMP
+  let stdout
+  let stderr
+
+  beforeEach(() => {
+    jest.resetAllMocks()
+    delete process.env.RUNNER_TEMP
+
+    exec.getExecOutput.mockImplementation(async (command, args) => {
+      const refs = { 'HEAD^{commit}': 'head-sha', 'main^{commit}': 'base-sha' }
+      let stdout = ''
+      if (args.includes('--show-toplevel')) stdout = process.cwd()
+      else if (args.includes('--verify')) stdout = refs[args.at(-1)] || ''
+      else if (args.join(' ') === 'rev-parse HEAD') stdout = 'head-sha\n'
+      return { exitCode: stdout ? 0 : 1, stdout, stderr: '' }
+    })
+    fs.promises.mkdtemp.mockResolvedValue('/tmp/k8s-diff-cli-a1b2c3')
+    fs.promises.readdir.mockResolvedValue([
+      { name: 'app.yaml', isFile: () => true, isDirectory: () => false }
+    ])
+    fs.promises.readFile.mockImplementation(async (file) =>
+      file.includes('/base/') ? deployment(1) : deployment(2)
+    )
+    fs.existsSync.mockReturnValue(true)
+    fs.readdirSync.mockReturnValue(['app.yaml'])
+
+    stdout = jest.spyOn(process.stdout, 'write').mockReturnValue(true)
+    stderr = jest.spyOn(process.stderr, 'write').mockReturnValue(true)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    if (runnerTemp === undefined) delete process.env.RUNNER_TEMP
+    else process.env.RUNNER_TEMP = runnerTemp
+  })
+
+  const written = (spy) => spy.mock.calls.map(([text]) => `${text}`).join('')
+
+  it('validates outside of a runner in a temporary RUNNER_TEMP', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file === '/tmp/k8s-diff-cli-a1b2c3/schema.json') {
+        return JSON.stringify({
+          type: 'object',
+          additionalProperties: true,
+          properties: {
+            spec: {
+              type: 'object',
+              additionalProperties: true,
+              properties: { replicas: { type: 'integer' } }
+            }
+          }
+        })
+      }
+      return file.includes('/base/') ? deployment(1) : deployment('two')
+    })
+    tc.downloadTool.mockImplementation(async (url) => {
+      if (!process.env.RUNNER_TEMP) throw new Error('RUNNER_TEMP is not set')
+      if (url.endsWith('/deployment-apps-v1.json')) {
+        return `${process.env.RUNNER_TEMP}/schema.json`
+      }
+      throw Object.assign(new Error('Not found'), { httpStatusCode: 404 })
+    })
+
+    const code = await run([
+      '--mode',
+      'paths',
+      '--working-dir',
+      'base',
+      '--head-working-dir',
+      'head',
+      '--validate'
+    ])
+
+    expect(code).toBe(0)
+    expect(written(stderr)).toBe(
+      'validation: apps/v1 Deployment web: spec.replicas: expected integer, got string\n'
+    )
+    expect(io.rmRF).toHaveBeenCalledWith('/tmp/k8s-diff-cli-a1b2c3')
+    expect(process.env.RUNNER_TEMP).toBeUndefined()
+  })
+  it('checks out --head in a worktree even when it is checked out', async () => {
+    const code = await run(['--base', 'main', '--head', 'HEAD'])
+
+    expect(code).toBe(0)
+    expect(exec.exec).toHaveBeenCalledWith('git', [
+      'worktree',
+      'add',
+      '--detach',
+      '/tmp/k8s-diff-cli-a1b2c3/head',
+      'head-sha'
+    ])
+    expect(written(stdout)).toContain('~ apps/v1 Deployment web (modified)')
+  })
+  it('prints the diff of two directories on stdout', async () => {
+    const code = await run([
+      '--mode',
+      'paths',
+      '--working-dir',
+      'base',
+      '--head-working-dir',
+      'head'
+    ])
+
+    expect(code).toBe(0)
+    expect(written(stdout)).toBe(
+      '~ apps/v1 Deployment web (modified)\n    ~ spec.replicas: 1 -> 2\n\n' +
+        '0 added, 0 removed, 1 modified\n'
+    )
+    expect(written(stderr)).toBe('')
+    expect(exec.exec).not.toHaveBeenCalled()
+  })
+
+  it('renders the working tree against the default branch', async () => {
+    exec.getExecOutput.mockImplementation(async (command, args) => {
+      const outputs = {
+        'rev-parse --show-toplevel': process.cwd(),
+        'symbolic-ref refs/remotes/origin/HEAD': 'refs/remotes/origin/main',
+        'rev-parse --verify --quiet main^{commit}': 'base-sha',
+        'rev-parse --verify --quiet HEAD^{commit}': 'head-sha',
+        'rev-parse HEAD': 'head-sha'
+      }
+      const stdout = outputs[args.join(' ')] || ''
+      return { exitCode: stdout ? 0 : 1, stdout, stderr: '' }
+    })
+    fs.promises.readFile.mockImplementation(async (file) =>
+      file.startsWith('/tmp/') ? deployment(1) : deployment(2)
+    )
+
+    const code = await run(['--no-color'])
+
+    expect(code).toBe(0)
+    expect(exec.exec).toHaveBeenCalledTimes(3)
+    expect(exec.exec).toHaveBeenCalledWith('git', [
+      'worktree',
+      'add',
+      '--detach',
+      '/tmp/k8s-diff-cli-a1b2c3/base',
+      'base-sha'
+    ])
+    expect(written(stdout)).toContain('~ spec.replicas: 1 -> 2')
+  })
+
+  it('prints the JSON report with --json', async () => {
+    const code = await run([
+      '--mode',
+      'paths',
+      '--working-dir',
+      'base',
+      '--head-working-dir',
+      'head',
+      '--json'
+    ])
+
+    expect(code).toBe(0)
+    const report = JSON.parse(written(stdout))
+    expect(report).toMatchObject({
+      version: 1,
+      summary: { added: 0, removed: 0, modified: 1, unchanged: 0 },
+      resources: [
+        {
+          target: 'default',
+          kind: 'Deployment',
+          name: 'web',
+          changeType: 'modified'
+        }
+      ]
+    })
+  })
+
+  it('exits with code 1 on policy errors', async () => {
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file === path.resolve('policy.yaml')) {
+        return 'rules:\n  - name: no-scaling\n    match: { kind: Deployment }\n    change: modified'
+      }
+      return file.includes('/base/') ? deployment(1) : deployment(2)
+    })
+
+    const code = await run([
+      '--mode',
+      'paths',
+      '--working-dir',
+      'base',
+      '--head-working-dir',
+      'head',
+      '--policy-file',
+      'policy.yaml'
+    ])
+
+    expect(code).toBe(1)
+    expect(written(stdout)).toContain('~ spec.replicas: 1 -> 2')
+    expect(written(stderr)).toBe(
+      'policy error: no-scaling: apps/v1 Deployment web (modified)\n'
+    )
+  })
+
+  it('keeps the output of @actions/core off stdout', async () => {
+    exec.getExecOutput.mockImplementation(async (command, args) => {
+      if (command === 'git') {
+        return { exitCode: 0, stdout: process.cwd(), stderr: '' }
+      }
+      process.stdout.write('::group::render\n')
+      process.stdout.write('Rendering...\n')
+      process.stdout.write('::warning::deprecated flag%0Aused\n')
+      process.stdout.write('::endgroup::\n')
+      return { exitCode: 0, stdout: deployment(args[0]), stderr: '' }
+    })
+    const argv = [
+      '--mode',
+      'paths',
+      '--tool',
+      'kustomize',
+      '--command',
+      'kustomize 1',
+      '--head-command',
+      'kustomize 2',
+      '--no-color'
+    ]
+
+    expect(await run(argv)).toBe(0)
+    expect(written(stdout)).toBe(
+      '~ apps/v1 Deployment web (modified)\n    ~ spec.replicas: 1 -> 2\n\n' +
+        '0 added, 0 removed, 1 modified\n'
+    )
+    expect(written(stderr)).toBe(
+      'warning: deprecated flag\nused\nwarning: deprecated flag\nused\n'
+    )
+
+    stderr.mockClear()
+    expect(await run([...argv, '--verbose'])).toBe(0)
+    expect(written(stderr)).toContain('render\nRendering...\nwarning:')
+  })
+  it('finds file options from the current directory', async () => {
+    const chdir = jest.spyOn(process, 'chdir').mockImplementation(() => {})
+    exec.getExecOutput.mockImplementation(async (command, args) => ({
+      exitCode: 0,
+      stdout: args.includes('--show-toplevel') ? '/repo' : 'head-sha',
+      stderr: ''
+    }))
+    const widget = (size) =>
+      `apiVersion: example.com/v1\nkind: Widget\nmetadata:\n  name: w\nspec:\n  size: ${size}\n`
+    const files = {
+      [path.resolve('ign.yaml')]: 'resources:\n  - kind: Deployment',
+      [path.resolve('crds/app.yaml')]: [
+        'apiVersion: apiextensions.k8s.io/v1',
+        'kind: CustomResourceDefinition',
+        'spec:',
+        '  group: example.com',
+        '  names: { kind: Widget }',
+        '  versions:',
+        '    - name: v1',
+        '      schema:',
+        '        openAPIV3Schema:',
+        '          type: object',
+        '          properties:',
+        '            spec:',
+        '              type: object',
+        '              properties: { size: { type: integer } }'
+      ].join('\n'),
+      [path.resolve(
+        'schemas/v1.30.0-standalone-strict/deployment-apps-v1.json'
+      )]: '{"type": "object"}'
+    }
+    fs.promises.readFile.mockImplementation(async (file) => {
+      if (file in files) return files[file]
+      if (file.startsWith(path.resolve('schemas'))) {
+        throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' })
+      }
+      return file.includes('/base/')
+        ? `${deployment(1)}---\n${widget(1)}`
+        : `${deployment(2)}---\n${widget('big')}`
+    })
+
+    const code = await run([
+      '--mode',
+      'paths',
+      '--working-dir',
+      'base',
+      '--head-working-dir',
+      'head',
+      '--ignore-file',
+      'ign.yaml',
+      '--validate',
+      '--schema-location',
+      'schemas',
+      '--crd-schemas-dir',
+      'crds'
+    ])
+
+    expect(code).toBe(0)
+    expect(chdir).toHaveBeenCalledWith('/repo')
+    expect(fs.promises.readdir).toHaveBeenCalledWith(path.resolve('crds'), {
+      withFileTypes: true
+    })
+    expect(written(stdout)).not.toContain('Deployment')
+    expect(written(stderr)).toBe(
+      'validation: example.com/v1 Widget w: spec.size: expected integer, got string\n'
+    )
+  })
+})
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for command execution, src/commands.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+import * as exec from '../__fixtures__/exec.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/exec', () => exec)
+
+const { parseCommandLine, runCommand, runPrepareCommands, createBufferedLog } =
+  await import('../src/commands.js')
+
+describe('parseCommandLine', () => {
+  it('honours single quotes, double quotes and backslashes', () => {
+    expect(
+      parseCommandLine(
+        `kustomize build --load-restrictor 'LoadRestrictionsNone' "my dir" a\\ b "say \\"hi\\""`
+      ).args
+    ).toEqual([
+      'kustomize',
+      'build',
+      '--load-restrictor',
+      'LoadRestrictionsNone',
+      'my dir',
+      'a b',
+      'say "hi"'
+    ])
+  })
+
+  it('keeps empty quoted arguments', () => {
+    expect(parseCommandLine(`helm template '' .`).args).toEqual([
+      'helm',
+      'template',
+      '',
+      '.'
+    ])
+  })
+
+  it('reads leading variable assignments as environment', () => {
+    expect(parseCommandLine('HELM_DEBUG=1 FOO="a b" helm template .')).toEqual({
+      args: ['helm', 'template', '.'],
+      env: { HELM_DEBUG: '1', FOO: 'a b' },
+      shellSyntax: ''
+    })
+  })
+
+  it('detects unquoted shell syntax', () => {
+    expect(parseCommandLine('helm template . | kbld -f -').shellSyntax).toBe(
+      '|'
+    )
+    expect(parseCommandLine('make && helm template .').shellSyntax).toBe('&')
+    expect(parseCommandLine('helm template . > out.yaml').shellSyntax).toBe('>')
+    expect(parseCommandLine('helm template $CHART').shellSyntax).toBe('$')
+    expect(parseCommandLine(`helm template '|' "a;b"`).shellSyntax).toBe('')
+  })
+
+  it('detects unquoted globs, home directories and comments', () => {
+    expect(parseCommandLine('cat manifests/*.yaml').shellSyntax).toBe('*')
+    expect(parseCommandLine('cat app-?.yaml').shellSyntax).toBe('?')
+    expect(parseCommandLine('helm template ~/charts/app').shellSyntax).toBe('~')
+    expect(parseCommandLine('helm template . # render').shellSyntax).toBe('#')
+    expect(
+      parseCommandLine(`cat '*.yaml' "app-?.yaml" \\~ a~b repo#ref`).shellSyntax
+    ).toBe('')
+  })
+
+  it('rejects unterminated quotes', () => {
+    expect(() => parseCommandLine(`helm template 'oops`)).toThrow(
+      'Unterminated quote'
+    )
+  })
+})
+
+describe('runCommand', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+    exec.getExecOutput.mockResolvedValue({
+      stdout: 'out',
+      stderr: '',
+      exitCode: 0
+    })
+  })
+
+  it('runs parsed arguments with extra arguments appended', async () => {
+    await runCommand(`helm template "my release" .`, '/work', {
+      extraArgs: ['-f', 'values prod.yaml']
+    })
+
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helm',
+      ['template', 'my release', '.', '-f', 'values prod.yaml'],
+      { cwd: '/work', ignoreReturnCode: true, silent: true }
+    )
+  })
+
+  it('holds the command and its output in a buffered log', async () => {
+    const log = createBufferedLog()
+
+    await runCommand('kustomize build .', '/work', { log })
+
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'kustomize',
+      ['build', '.'],
+      { cwd: '/work', ignoreReturnCode: true, silent: true }
+    )
+    expect(core.info).not.toHaveBeenCalled()
+
+    log.flush('app: head')
+
+    expect(core.startGroup).toHaveBeenCalledWith('app: head')
+    expect(core.info.mock.calls).toEqual([
+      ['[command]kustomize build .'],
+      ['(1 line(s) of output)']
+    ])
+    expect(core.endGroup).toHaveBeenCalled()
+  })
+
+  it('logs the output of prepare commands but not of render commands', async () => {
+    exec.getExecOutput.mockResolvedValue({
+      exitCode: 0,
+      stdout: 'kind: Secret\nstringData:\n  password: hunter2\n',
+      stderr: 'Saving 1 charts'
+    })
+
+    await runCommand('helm template .', '/work')
+    await runPrepareCommands('helm dependency update', '/work')
+
+    expect(core.info.mock.calls).toEqual([
+      ['[command]helm template .'],
+      ['(3 line(s) of output)'],
+      ['Saving 1 charts'],
+      ['Running prepare command: helm dependency update'],
+      ['[command]helm dependency update'],
+      ['kind: Secret\nstringData:\n  password: hunter2'],
+      ['Saving 1 charts']
+    ])
+  })
+
+  it('passes environment variables', async () => {
+    await runCommand('FOO=bar helm template .', '/work', {
+      env: { HELM_DEBUG: '1' }
+    })
+
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helm',
+      ['template', '.'],
+      expect.objectContaining({
+        env: expect.objectContaining({ FOO: 'bar', HELM_DEBUG: '1' })
+      })
+    )
+  })
+
+  it('refuses shell syntax unless shell mode is enabled', async () => {
+    const result = await runCommand('helm template . | kbld -f -', '/work')
+
+    expect(exec.getExecOutput).not.toHaveBeenCalled()
+    expect(result.exitCode).toBe(1)
+    expect(result.stderr).toContain('enable the shell option')
+  })
+
+  it('runs through bash in shell mode with tool arguments as "$@"', async () => {
+    await runCommand('helm template . "$@" | kbld -f -', '/work', {
+      shell: true,
+      extraArgs: ['-f', 'values.yaml']
+    })
+
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'bash',
+      [
+        '--noprofile',
+        '--norc',
+        '-eo',
+        'pipefail',
+        '-c',
+        'helm template . "$@" | kbld -f -',
+        'bash',
+        '-f',
+        'values.yaml'
+      ],
+      { cwd: '/work', ignoreReturnCode: true, silent: true }
+    )
+  })
+
+  it('fails when shell mode would drop tool arguments', async () => {
+    const result = await runCommand('helm template . | kbld -f -', '/work', {
+      shell: true,
+      extraArgs: ['-f', 'values.yaml']
+    })
+
+    expect(exec.getExecOutput).not.toHaveBeenCalled()
+    expect(result.exitCode).toBe(1)
+    expect(result.stderr).toContain('does not reference "$@"')
+  })
+})
+
+describe('runPrepareCommands', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+    exec.getExecOutput.mockResolvedValue({
+      stdout: '',
+      stderr: '',
+      exitCode: 0
+    })
+  })
+
+  it('runs each line and joins continued lines', async () => {
+    await runPrepareCommands(
+      'helm repo add bitnami \\\n  https://charts.bitnami.com/bitnami\nhelm dependency update',
+      '/work'
+    )
+
+    expect(exec.getExecOutput).toHaveBeenCalledTimes(2)
+    expect(exec.getExecOutput).toHaveBeenNthCalledWith(
+      1,
+      'helm',
+      ['repo', 'add', 'bitnami', 'https://charts.bitnami.com/bitnami'],
+      expect.any(Object)
+    )
+  })
+
+  it('stops at the first failing command', async () => {
+    exec.getExecOutput.mockResolvedValueOnce({
+      stdout: '',
+      stderr: 'boom',
+      exitCode: 2
+    })
+
+    const result = await runPrepareCommands('false\ntrue', '/work')
+
+    expect(exec.getExecOutput).toHaveBeenCalledTimes(1)
+    expect(result).toEqual({
+      stderr: 'Prepare command failed (false): boom\n',
+      hasError: true
+    })
+  })
+
+  it('runs the whole block as one script in shell mode', async () => {
+    const script = 'if [ -f Chart.lock ]; then\n  helm dependency build\nfi'
+
+    await runPrepareCommands(script, '/work', { shell: true })
+
+    expect(exec.getExecOutput).toHaveBeenCalledTimes(1)
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'bash',
+      expect.arrayContaining(['-c', script]),
+      expect.any(Object)
+    )
+  })
+})
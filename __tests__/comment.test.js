@@ -0,0 +1,94 @@
+/**
+ * Unit tests for pull request comment rendering, src/comment.js
+ */
+import { getCommentMarker, renderComment } from '../src/comment.js'
+import { diffResources } from '../src/diff.js'
+
+const configMap = (name, value) => ({
+  apiVersion: 'v1',
+  kind: 'ConfigMap',
+  metadata: { name, namespace: 'default' },
+  data: { value }
+})
+
+describe('renderComment', () => {
+  it('renders one collapsible section per resource', () => {
+    const diff = diffResources(
+      [configMap('a', 'old')],
+      [configMap('a', 'new'), configMap('b', 'x')]
+    )
+
+    const body = renderComment(diff, {
+      marker: getCommentMarker('default'),
+      identifier: 'default'
+    })
+
+    expect(body).toMatch(/^<!-- k8s-diff-action:default -->\n/)
+    expect(body).toContain('**1** added, **0** removed, **1** modified')
+    expect(body.match(/<details>/g)).toHaveLength(2)
+    expect(body).toContain('- data.value: "old"\n+ data.value: "new"')
+  })
+
+  it('fences diffs of values containing backticks', () => {
+    const diff = diffResources(
+      [configMap('a', 'old')],
+      [configMap('a', 'run:\n```sh\nmake\n```')]
+    )
+
+    const body = renderComment(diff, {
+      marker: getCommentMarker('default'),
+      identifier: 'default'
+    })
+
+    expect(body).toContain(
+      '````diff\n- data.value: "old"\n+ data.value: "run:\\n```sh\\nmake\\n```"\n````'
+    )
+  })
+
+  it('includes the identifier in the title', () => {
+    const diff = diffResources([], [configMap('a', 'x')])
+
+    const body = renderComment(diff, {
+      marker: getCommentMarker('prod'),
+      identifier: 'prod'
+    })
+
+    expect(body).toContain('### Kubernetes manifest diff (prod)')
+  })
+
+  it('warns about targets that were not compared in full', () => {
+    const diff = diffResources([], [configMap('a', 'x')])
+
+    const body = renderComment(diff, {
+      marker: getCommentMarker('default'),
+      identifier: 'default',
+      failed: ['prod'],
+      incomplete: ['staging']
+    })
+
+    expect(body).toContain(
+      '> [!WARNING]\n> Not compared, rendering or parsing failed: prod\n>\n' +
+        '> Incomplete, some files failed to parse: staging'
+    )
+  })
+
+  it('truncates resources that exceed the size limit', () => {
+    const head = Array.from({ length: 50 }, (_, i) =>
+      configMap(`cm-${i}`, 'x'.repeat(200))
+    )
+    const diff = diffResources([], head)
+
+    const body = renderComment(diff, {
+      marker: getCommentMarker('default'),
+      identifier: 'default',
+      runUrl: 'https://github.com/o/r/actions/runs/1',
+      maxLength: 4000
+    })
+
+    expect(body.length).toBeLessThanOrEqual(4000)
+    expect(body).toMatch(/> \d+ more resource\(s\) not shown/)
+    expect(body).toContain(
+      '[workflow run](https://github.com/o/r/actions/runs/1)'
+    )
+  })
+})
@@ -0,0 +1,304 @@
+/**
+ * Unit tests for the manifest diff engine, src/diff.js
+ */
+import {
+  parseManifests,
+  parseManifestFiles,
+  diffResources,
+  formatDiff,
+  formatPath
+} from '../src/diff.js'
+
+const deployment = (replicas, image = 'nginx:1.25') => ({
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: { name: 'web', namespace: 'default' },
+  spec: {
+    replicas,
+    template: { spec: { containers: [{ name: 'web', image }] } }
+  }
+})
+
+describe('parseManifests', () => {
+  it('parses multi-document streams and skips empty documents', () => {
+    const docs = parseManifests(
+      '# Source: chart/templates/cm.yaml\n---\napiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: a\n---\n---\napiVersion: v1\nkind: Secret\nmetadata:\n  name: b\n'
+    )
+
+    expect(docs.map((doc) => doc.kind)).toEqual(['ConfigMap', 'Secret'])
+  })
+
+  it('expands Lists and skips documents that are not Kubernetes objects', () => {
+    const docs = parseManifests(
+      [
+        'apiVersion: v1',
+        'kind: List',
+        'items:',
+        '  - apiVersion: v1',
+        '    kind: ConfigMap',
+        '    metadata:',
+        '      name: a',
+        '---',
+        'replicaCount: 2',
+        '---',
+        'apiVersion: v2',
+        'name: chart'
+      ].join('\n')
+    )
+
+    expect(docs).toEqual([
+      { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'a' } }
+    ])
+  })
+
+  it('keeps custom resources whose kind ends with List', () => {
+    const docs = parseManifests(
+      [
+        'apiVersion: apps/v1',
+        'kind: DeploymentList',
+        'items:',
+        '  - apiVersion: apps/v1',
+        '    kind: Deployment',
+        '    metadata:',
+        '      name: web',
+        '---',
+        'apiVersion: security.example.com/v1',
+        'kind: AllowList',
+        'metadata:',
+        '  name: ips',
+        'items: [10.0.0.0/8]'
+      ].join('\n')
+    )
+
+    expect(docs.map((doc) => doc.kind)).toEqual(['Deployment', 'AllowList'])
+  })
+
+  it('returns an empty list for empty content', () => {
+    expect(parseManifests('')).toEqual([])
+    expect(parseManifests('  \n')).toEqual([])
+  })
+
+  it('throws on invalid YAML', () => {
+    expect(() => parseManifests('a: [b')).toThrow('Failed to parse YAML')
+  })
+})
+
+describe('parseManifestFiles', () => {
+  it('parses each file on its own', () => {
+    const content = [
+      '---',
+      '# k8s-diff-source: app/config.yaml',
+      'apiVersion: v1',
+      'kind: ConfigMap',
+      'metadata:',
+      '  name: app',
+      '---',
+      '# k8s-diff-source: app/broken.yaml',
+      'a: [b',
+      '---',
+      '# k8s-diff-source: app/service.yaml',
+      'apiVersion: v1',
+      'kind: Service',
+      'metadata:',
+      '  name: app',
+      ''
+    ].join('\n')
+
+    const { files, errors } = parseManifestFiles(content)
+
+    expect(
+      files.map(({ file, resources }) => [file, resources.map((r) => r.kind)])
+    ).toEqual([
+      ['', []],
+      ['app/config.yaml', ['ConfigMap']],
+      ['app/service.yaml', ['Service']]
+    ])
+    expect(errors).toEqual([
+      {
+        file: 'app/broken.yaml',
+        message: expect.stringContaining('Failed to parse YAML'),
+        line: 2
+      }
+    ])
+  })
+
+  it('keeps the helm source comments of a file in that file', () => {
+    const content = [
+      '---',
+      '# k8s-diff-source: rendered/all.yaml',
+      '---',
+      '# Source: app/templates/cm.yaml',
+      'apiVersion: v1',
+      'kind: ConfigMap',
+      'metadata:',
+      '  name: app',
+      '---',
+      '# Source: app/templates/svc.yaml',
+      'apiVersion: v1',
+      'kind: Service',
+      'metadata:',
+      '  name: app',
+      ''
+    ].join('\n')
+
+    expect(
+      parseManifestFiles(content).files.map(({ file, resources }) => [
+        file,
+        resources.length
+      ])
+    ).toEqual([
+      ['', 0],
+      ['rendered/all.yaml', 2]
+    ])
+  })
+})
+
+describe('diffResources', () => {
+  it('matches resources by identity regardless of document order', () => {
+    const service = {
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: { name: 'web', namespace: 'default' }
+    }
+
+    const diff = diffResources(
+      [deployment(2), service],
+      [service, deployment(2)]
+    )
+
+    expect(diff.resources).toEqual([])
+    expect(diff.summary).toEqual({
+      added: 0,
+      removed: 0,
+      modified: 0,
+      unchanged: 2
+    })
+  })
+
+  it('reports added, removed and modified resources', () => {
+    const base = [
+      deployment(2),
+      { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'old' } }
+    ]
+    const head = [
+      deployment(3, 'nginx:1.27'),
+      { apiVersion: 'v1', kind: 'ConfigMap', metadata: { name: 'new' } }
+    ]
+
+    const diff = diffResources(base, head)
+
+    expect(diff.summary).toMatchObject({ added: 1, removed: 1, modified: 1 })
+    const modified = diff.resources.find((r) => r.changeType === 'modified')
+    expect(modified.changes).toEqual([
+      {
+        path: 'spec.replicas',
+        type: 'changed',
+        oldValue: 2,
+        newValue: 3
+      },
+      {
+        path: 'spec.template.spec.containers[0].image',
+        type: 'changed',
+        oldValue: 'nginx:1.25',
+        newValue: 'nginx:1.27'
+      }
+    ])
+  })
+
+  it('reports added and removed fields', () => {
+    const base = deployment(2)
+    const head = deployment(2)
+    delete head.spec.replicas
+    head.metadata.labels = { 'app.kubernetes.io/name': 'web' }
+
+    const [entry] = diffResources([base], [head]).resources
+
+    expect(entry.changes).toEqual([
+      {
+        path: 'metadata.labels',
+        type: 'added',
+        newValue: { 'app.kubernetes.io/name': 'web' }
+      },
+      { path: 'spec.replicas', type: 'removed', oldValue: 2 }
+    ])
+  })
+
+  it('matches named array elements by name', () => {
+    const base = deployment(2)
+    base.spec.template.spec.containers.push({ name: 'proxy', image: 'envoy' })
+    const head = deployment(2)
+    head.spec.template.spec.containers = [
+      { name: 'init-db', image: 'postgres' },
+      { name: 'web', image: 'nginx:1.27' }
+    ]
+
+    const [entry] = diffResources([base], [head]).resources
+
+    expect(entry.changes).toEqual([
+      {
+        path: 'spec.template.spec.containers[1]',
+        type: 'removed',
+        oldValue: { name: 'proxy', image: 'envoy' }
+      },
+      {
+        path: 'spec.template.spec.containers[0]',
+        type: 'added',
+        newValue: { name: 'init-db', image: 'postgres' }
+      },
+      {
+        path: 'spec.template.spec.containers[1].image',
+        type: 'changed',
+        oldValue: 'nginx:1.25',
+        newValue: 'nginx:1.27'
+      }
+    ])
+  })
+
+  it('compares arrays by position when elements are not all named', () => {
+    const base = deployment(2)
+    base.spec.template.spec.args = [{ name: 'a' }, 'b']
+    const head = deployment(2)
+    head.spec.template.spec.args = ['b', { name: 'a' }]
+
+    const [entry] = diffResources([base], [head]).resources
+
+    expect(entry.changes.map((change) => change.path)).toEqual([
+      'spec.template.spec.args[0]',
+      'spec.template.spec.args[1]'
+    ])
+  })
+})
+
+describe('formatDiff', () => {
+  it('renders each resource with a change marker', () => {
+    const diff = diffResources(
+      [deployment(2)],
+      [
+        deployment(3),
+        { apiVersion: 'v1', kind: 'Namespace', metadata: { name: 'team' } }
+      ]
+    )
+
+    expect(formatDiff(diff)).toBe(
+      [
+        '~ apps/v1 Deployment default/web (modified)',
+        '    ~ spec.replicas: 2 -> 3',
+        '',
+        '+ v1 Namespace team (added)',
+        '+   apiVersion: v1',
+        '+   kind: Namespace',
+        '+   metadata:',
+        '+     name: team'
+      ].join('\n')
+    )
+  })
+})
+
+describe('formatPath', () => {
+  it('quotes keys that are not plain identifiers', () => {
+    expect(formatPath(['metadata', 'labels', 'helm.sh/chart'])).toBe(
+      'metadata.labels["helm.sh/chart"]'
+    )
+    expect(formatPath(['spec', 'ports', 0, 'port'])).toBe('spec.ports[0].port')
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for ignore rules, src/ignore.js
+ */
+import { parseIgnoreConfig, applyIgnoreRules } from '../src/ignore.js'
+
+const deployment = () => ({
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: {
+    name: 'web',
+    namespace: 'default',
+    labels: { app: 'web', 'helm.sh/chart': 'web-1.2.3' }
+  },
+  spec: {
+    template: {
+      metadata: {
+        annotations: { 'checksum/config': 'abc', 'checksum/secret': 'def' }
+      },
+      spec: {
+        containers: [
+          { name: 'web', env: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] }
+        ]
+      }
+    }
+  }
+})
+
+describe('parseIgnoreConfig', () => {
+  it('rejects field rules without a path', () => {
+    expect(() =>
+      parseIgnoreConfig('fields:\n  - kind: Deployment', 'test')
+    ).toThrow('test fields[0] needs a path')
+  })
+
+  it('rejects anything but a mapping', () => {
+    expect(() => parseIgnoreConfig('- kind: Secret', 'test')).toThrow(
+      'expected a mapping'
+    )
+  })
+})
+
+describe('applyIgnoreRules', () => {
+  it('drops resources matching a selector', () => {
+    const config = parseIgnoreConfig(
+      "resources:\n  - kind: Secret\n    name: '*-tls'",
+      'test'
+    )
+    const tls = {
+      apiVersion: 'v1',
+      kind: 'Secret',
+      metadata: { name: 'web-tls' }
+    }
+    const other = { apiVersion: 'v1', kind: 'Secret', metadata: { name: 'db' } }
+
+    const result = applyIgnoreRules([tls, other], config)
+
+    expect(result.resources).toEqual([other])
+    expect(result.ignoredResources).toEqual(['v1/Secret//web-tls'])
+  })
+
+  it('removes fields by path, with or without a selector', () => {
+    const config = parseIgnoreConfig(
+      [
+        'fields:',
+        '  - metadata.labels["helm.sh/chart"]',
+        '  - path: $.spec.template.metadata.annotations["checksum/*"]',
+        '    kind: Deployment',
+        '  - path: spec.template.spec.containers[*].env[*]',
+        '    kind: StatefulSet'
+      ].join('\n'),
+      'test'
+    )
+
+    const result = applyIgnoreRules([deployment()], config)
+    const [resource] = result.resources
+
+    expect(resource.metadata.labels).toEqual({ app: 'web' })
+    expect(resource.spec.template.metadata.annotations).toEqual({})
+    expect(resource.spec.template.spec.containers[0].env).toHaveLength(3)
+    expect(result.ignoredFields).toHaveLength(3)
+  })
+
+  it('removes every matched array item', () => {
+    const config = parseIgnoreConfig(
+      'fields:\n  - spec.template.spec.containers[0].env[*]',
+      'test'
+    )
+
+    const [resource] = applyIgnoreRules([deployment()], config).resources
+
+    expect(resource.spec.template.spec.containers[0].env).toEqual([])
+  })
+})
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the image and chart dependency report, src/images.js
+ */
+import { jest } from '@jest/globals'
+import * as exec from '../__fixtures__/exec.js'
+
+jest.unstable_mockModule('@actions/exec', () => exec)
+
+const {
+  diffImages,
+  readChartDependencies,
+  diffChartDependencies,
+  formatImageChange
+} = await import('../src/images.js')
+
+const deployment = (image, initImage) => ({
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: { name: 'web', namespace: 'apps' },
+  spec: {
+    template: {
+      spec: {
+        initContainers: [{ name: 'migrate', image: initImage }],
+        containers: [
+          { name: 'web', image },
+          { name: 'sidecar', image: 'envoy:1.30' }
+        ]
+      }
+    }
+  }
+})
+
+const cronJob = (image) => ({
+  apiVersion: 'batch/v1',
+  kind: 'CronJob',
+  metadata: { name: 'backup' },
+  spec: {
+    jobTemplate: {
+      spec: { template: { spec: { containers: [{ name: 'backup', image }] } } }
+    }
+  }
+})
+
+describe('diffImages', () => {
+  it('lists changed images of containers, init containers and CronJobs', () => {
+    const changes = diffImages(
+      [deployment('web:1.0', 'web:1.0'), cronJob('backup:1')],
+      [deployment('web:1.1', 'web:1.1'), cronJob('backup:2')]
+    )
+
+    expect(changes).toEqual([
+      expect.objectContaining({
+        kind: 'Deployment',
+        namespace: 'apps',
+        name: 'web',
+        container: 'web',
+        init: false,
+        changeType: 'modified',
+        baseImage: 'web:1.0',
+        headImage: 'web:1.1'
+      }),
+      expect.objectContaining({ container: 'migrate', init: true }),
+      expect.objectContaining({
+        kind: 'CronJob',
+        container: 'backup',
+        baseImage: 'backup:1',
+        headImage: 'backup:2'
+      })
+    ])
+  })
+
+  it('lists the images of added and removed workloads', () => {
+    const changes = diffImages([cronJob('backup:1')], [])
+
+    expect(changes).toEqual([
+      expect.objectContaining({
+        changeType: 'removed',
+        baseImage: 'backup:1',
+        headImage: ''
+      })
+    ])
+    expect(formatImageChange(changes[0])).toBe(
+      'CronJob backup backup: backup:1 -> <none>'
+    )
+  })
+})
+
+describe('chart dependencies', () => {
+  it('reads locked versions of a chart', async () => {
+    const dependencies = await readChartDependencies(
+      'tests/fixtures/helm/basic-app-subchart'
+    )
+
+    expect(dependencies).toEqual(
+      new Map([
+        [
+          'hello-world',
+          { version: '0.1.0', repository: 'https://helm.github.io/examples' }
+        ]
+      ])
+    )
+    expect(await readChartDependencies('tests/fixtures/helm/missing')).toEqual(
+      new Map()
+    )
+  })
+
+  it('reads a chart at a commit and keeps the aliases of locked dependencies', async () => {
+    const files = {
+      'abc123:charts/app/Chart.yaml': [
+        'dependencies:',
+        '  - name: redis',
+        '    alias: cache',
+        '    version: ~18.0.0',
+        '    repository: https://charts.bitnami.com/bitnami',
+        '  - name: redis',
+        '    alias: queue',
+        '    version: ~17.0.0',
+        '    repository: https://charts.bitnami.com/bitnami'
+      ].join('\n'),
+      'abc123:charts/app/Chart.lock': [
+        'dependencies:',
+        '  - name: redis',
+        '    version: 18.0.4',
+        '    repository: https://charts.bitnami.com/bitnami',
+        '  - name: redis',
+        '    version: 17.3.1',
+        '    repository: https://charts.bitnami.com/bitnami'
+      ].join('\n')
+    }
+    exec.getExecOutput.mockImplementation(async (command, [, spec]) =>
+      spec in files
+        ? { exitCode: 0, stdout: files[spec], stderr: '' }
+        : { exitCode: 128, stdout: '', stderr: 'does not exist' }
+    )
+
+    const repository = 'https://charts.bitnami.com/bitnami'
+    expect(
+      await readChartDependencies('charts/app', { sha: 'abc123' })
+    ).toEqual(
+      new Map([
+        ['cache', { version: '18.0.4', repository }],
+        ['queue', { version: '17.3.1', repository }]
+      ])
+    )
+  })
+
+  it('lists version changes', () => {
+    const repository = 'https://charts.bitnami.com/bitnami'
+    const changes = diffChartDependencies(
+      new Map([
+        ['redis', { version: '18.0.0', repository }],
+        ['postgresql', { version: '13.0.0', repository }]
+      ]),
+      new Map([
+        ['redis', { version: '18.1.0', repository }],
+        ['postgresql', { version: '13.0.0', repository }]
+      ])
+    )
+
+    expect(changes).toEqual([
+      {
+        chart: 'redis',
+        repository,
+        changeType: 'modified',
+        baseVersion: '18.0.0',
+        headVersion: '18.1.0'
+      }
+    ])
+    expect(formatImageChange({ ...changes[0], target: 'app' })).toBe(
+      '[app] chart redis: 18.0.0 -> 18.1.0'
+    )
+  })
+})
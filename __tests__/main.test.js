@@ -48,10 +48,12 @@ describe('k8s-diff-action', () => {
     ])
     fs.promises.readFile.mockResolvedValue('mock yaml content')
     fs.promises.writeFile.mockResolvedValue()
+    fs.promises.mkdtemp.mockResolvedValue('/runner/temp/k8s-diff-a1b2c3')
     fs.existsSync.mockReturnValue(true)
     fs.readdirSync.mockReturnValue(['test.yaml'])
 
     process.env.GITHUB_SHA = 'mock-sha'
+    github.context.payload = {}
   })
 
   it('processes yaml tool with default settings', async () => {
@@ -74,24 +76,314 @@ describe('k8s-diff-action', () => {
     )
   })
 
-  it('installs yamldiff when not found', async () => {
-    exec.exec.mockImplementation((cmd, args, options) => {
-      // Allow git commands to succeed
-      if (cmd === 'git') return Promise.resolve(0)
-      // Make 'which yamldiff' fail (triggers installation)
-      if (cmd === 'which yamldiff')
-        return Promise.reject(new Error('not found'))
-      // Allow 'go install' to succeed
-      if (cmd === 'go') return Promise.resolve(0)
-      return Promise.resolve(0)
+  it('diffs base and head manifests by resource identity', async () => {
+    fs.promises.readFile
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: old\n'
+      )
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n'
+      )
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'diff-output',
+      '~ v1 ConfigMap app (modified)\n    ~ data.key: "old" -> "new"'
+    )
+    expect(exec.exec).not.toHaveBeenCalledWith('go', expect.anything())
+  })
+
+  it('sets a structured JSON diff and writes it to a file', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'yaml',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        'diff-json-file': 'out/diff.json'
+      }
+      return inputs[name] || ''
     })
+    exec.getExecOutput.mockResolvedValue({
+      exitCode: 0,
+      stdout: 'abc123\n',
+      stderr: ''
+    })
+    fs.promises.readFile
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: old\n'
+      )
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n'
+      )
 
     await run()
 
-    expect(exec.exec).toHaveBeenCalledWith('go', [
-      'install',
-      'github.com/semihbkgr/yamldiff@v0.3.0'
-    ])
+    const [, value] = core.setOutput.mock.calls.find(
+      ([name]) => name === 'diff-json'
+    )
+    const report = JSON.parse(value)
+    expect(report).toMatchObject({
+      version: 1,
+      base: { ref: 'main', sha: 'abc123' },
+      head: { ref: 'HEAD', sha: 'abc123' },
+      error: false,
+      summary: { added: 0, removed: 0, modified: 1, unchanged: 0 },
+      targets: [{ name: 'default', skipped: false, error: false }],
+      resources: [
+        {
+          target: 'default',
+          apiVersion: 'v1',
+          kind: 'ConfigMap',
+          namespace: '',
+          name: 'app',
+          changeType: 'modified',
+          changes: [
+            {
+              path: 'data.key',
+              type: 'changed',
+              oldValue: 'old',
+              newValue: 'new'
+            }
+          ]
+        }
+      ]
+    })
+    expect(fs.promises.mkdir).toHaveBeenCalledWith('out', { recursive: true })
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(
+      'out/diff.json',
+      JSON.stringify(report, null, 2)
+    )
+  })
+
+  it('redacts Secret values before diffing', async () => {
+    const secret = (value) =>
+      `apiVersion: v1\nkind: Secret\nmetadata:\n  name: creds\ndata:\n  password: ${value}\n`
+    fs.promises.readFile
+      .mockResolvedValueOnce(secret('b2xkLXBhc3N3b3Jk'))
+      .mockResolvedValueOnce(secret('bmV3LXBhc3N3b3Jk'))
+
+    await run()
+
+    const [, diffOutput] = core.setOutput.mock.calls.find(
+      ([name]) => name === 'diff-output'
+    )
+    expect(diffOutput).toMatch(
+      /~ data\.password: "<redacted:[0-9a-f]+>" -> "<redacted:[0-9a-f]+>"/
+    )
+    expect(diffOutput).not.toContain('b2xkLXBhc3N3b3Jk')
+    expect(core.setSecret).toHaveBeenCalledWith('new-password')
+  })
+
+  it('keeps rendered Secret values out of the job log', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'kustomize',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './'
+      }
+      return inputs[name] || ''
+    })
+    exec.getExecOutput.mockImplementation(async (command) => ({
+      exitCode: 0,
+      stdout:
+        command === 'kustomize'
+          ? 'apiVersion: v1\nkind: Secret\nmetadata:\n  name: creds\ndata:\n  token: c3VwZXJzZWNyZXQ=\nstringData:\n  password: hunter2\n'
+          : 'abc123\n',
+      stderr: ''
+    }))
+
+    await run()
+
+    expect(core.setFailed).not.toHaveBeenCalled()
+    const logged = core.info.mock.calls.flat().join('\n')
+    expect(logged).toContain('[command]kustomize build')
+    expect(logged).not.toContain('c3VwZXJzZWNyZXQ')
+    expect(logged).not.toContain('hunter2')
+  })
+
+  it('applies ignore rules from the input and a file', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'yaml',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        ignore: 'resources:\n  - kind: Secret',
+        'ignore-file': '.k8sdiff-ignore.yaml'
+      }
+      return inputs[name] || ''
+    })
+    const manifest = (checksum, secret) =>
+      [
+        'apiVersion: v1',
+        'kind: ConfigMap',
+        'metadata:',
+        '  name: app',
+        '  annotations:',
+        `    checksum/config: ${checksum}`,
+        '---',
+        'apiVersion: v1',
+        'kind: Secret',
+        'metadata:',
+        `  name: ${secret}`
+      ].join('\n')
+    fs.promises.readFile
+      .mockResolvedValueOnce('fields:\n  - metadata.annotations["checksum/*"]')
+      .mockResolvedValueOnce(manifest('aaa', 'old'))
+      .mockResolvedValueOnce(manifest('bbb', 'new'))
+
+    await run()
+
+    expect(fs.promises.readFile).toHaveBeenCalledWith(
+      '.k8sdiff-ignore.yaml',
+      'utf8'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('diff-output', '')
+    expect(core.setOutput).toHaveBeenCalledWith('ignored-resources', '2')
+    expect(core.setOutput).toHaveBeenCalledWith('ignored-fields', '1')
+  })
+
+  it('reports unparseable manifests in stderr', async () => {
+    fs.promises.readFile
+      .mockResolvedValueOnce('key: [unterminated')
+      .mockResolvedValueOnce('')
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'stderr',
+      expect.stringContaining('Base ref parse error')
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('error', 'true')
+  })
+
+  it('installs a pinned kustomize version even when one is on PATH', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'kustomize',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        'kustomize-version': 'v5.3.0',
+        'verify-checksums': 'false'
+      }
+      return inputs[name] || ''
+    })
+    tc.find.mockReturnValue('/cache/kustomize/v5.3.0')
+
+    await run()
+
+    expect(tc.find).toHaveBeenCalledWith('kustomize', 'v5.3.0')
+    expect(core.addPath).toHaveBeenCalledWith('/cache/kustomize/v5.3.0')
+  })
+
+  it('installs the tools a helmfile target runs', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'helmfile',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        'helm-version': 'v3.14.0',
+        'helmfile-version': 'v0.169.1',
+        'verify-checksums': 'false'
+      }
+      return inputs[name] || ''
+    })
+    tc.find.mockImplementation((tool, version) => `/cache/${tool}/${version}`)
+
+    await run()
+
+    expect(tc.find).toHaveBeenCalledWith('helmfile', 'v0.169.1')
+    expect(tc.find).toHaveBeenCalledWith('helm', 'v3.14.0')
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helmfile',
+      ['template'],
+      expect.anything()
+    )
+  })
+
+  it('renders custom tools from a tools file', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'ytt',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        'tools-file': 'tools.yaml'
+      }
+      return inputs[name] || ''
+    })
+    fs.promises.readFile.mockResolvedValueOnce(
+      'tools:\n  ytt:\n    command: ytt -f config\n'
+    )
+
+    await run()
+
+    expect(core.setFailed).not.toHaveBeenCalled()
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'ytt',
+      ['-f', 'config'],
+      expect.anything()
+    )
+  })
+
+  it('passes helm release settings and per-side values files', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'helm',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': 'charts/app',
+        'values-files': 'values-dev.yaml',
+        'head-values-files': 'values-prod.yaml\nvalues-prod-eu.yaml',
+        'set-values': 'image.tag=1.2.3\nreplicas=3',
+        'release-name': 'app',
+        namespace: 'apps',
+        'kube-version': '1.29.0',
+        'api-versions': 'monitoring.coreos.com/v1',
+        'prepare-commands': 'true'
+      }
+      return inputs[name] || ''
+    })
+
+    await run()
+
+    const helmArgs = [
+      'template',
+      '.',
+      '--name-template',
+      'app',
+      '--namespace',
+      'apps',
+      '--kube-version',
+      '1.29.0',
+      '--api-versions',
+      'monitoring.coreos.com/v1'
+    ]
+    const setArgs = ['--set', 'image.tag=1.2.3', '--set', 'replicas=3']
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helm',
+      [...helmArgs, '-f', 'values-dev.yaml', ...setArgs],
+      expect.objectContaining({
+        cwd: '/runner/temp/k8s-diff-a1b2c3/base/charts/app'
+      })
+    )
+    expect(exec.getExecOutput).toHaveBeenCalledWith(
+      'helm',
+      [
+        ...helmArgs,
+        '-f',
+        'values-prod.yaml',
+        '-f',
+        'values-prod-eu.yaml',
+        ...setArgs
+      ],
+      expect.objectContaining({ cwd: `${process.cwd()}/charts/app` })
+    )
   })
 
   it('uses custom command when provided', async () => {
@@ -114,4 +406,827 @@ describe('k8s-diff-action', () => {
       expect.any(Object)
     )
   })
+
+  describe('multiple targets', () => {
+    beforeEach(() => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'base-ref': 'main',
+          'head-ref': 'HEAD',
+          targets: [
+            '- name: app',
+            '  tool: helm',
+            '  working-dir: charts/app',
+            '  values-files: [values-prod.yaml]',
+            '- name: manifests',
+            '  working-dir: deploy'
+          ].join('\n')
+        }
+        return inputs[name] || ''
+      })
+    })
+
+    it('checks out base and head once for all targets', async () => {
+      exec.getExecOutput.mockImplementation(async (cmd, args) => ({
+        exitCode: 0,
+        stdout:
+          cmd === 'git' && args[0] === 'rev-parse'
+            ? `${args[1] === 'HEAD' ? 'current' : args[1]}-sha\n`
+            : '',
+        stderr: ''
+      }))
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'base-ref': 'main',
+          'head-ref': 'feature',
+          targets: '- name: app\n  tool: helm\n- name: manifests'
+        }
+        return inputs[name] || ''
+      })
+
+      await run()
+
+      const worktrees = exec.exec.mock.calls.filter(
+        ([cmd, args]) => cmd === 'git' && args[0] === 'worktree'
+      )
+      expect(worktrees.map(([, args]) => args)).toEqual([
+        [
+          'worktree',
+          'add',
+          '--detach',
+          '/runner/temp/k8s-diff-a1b2c3/head',
+          'feature-sha'
+        ],
+        [
+          'worktree',
+          'add',
+          '--detach',
+          '/runner/temp/k8s-diff-a1b2c3/base',
+          'main-sha'
+        ],
+        ['worktree', 'remove', '--force', '/runner/temp/k8s-diff-a1b2c3/head'],
+        ['worktree', 'remove', '--force', '/runner/temp/k8s-diff-a1b2c3/base'],
+        ['worktree', 'prune']
+      ])
+      expect(fs.promises.mkdtemp).toHaveBeenCalledTimes(1)
+      expect(io.rmRF).toHaveBeenCalledWith('/runner/temp/k8s-diff-a1b2c3')
+    })
+
+    it('renders the head ref from the workspace when it is checked out', async () => {
+      await run()
+
+      const added = exec.exec.mock.calls.filter(
+        ([cmd, args]) =>
+          cmd === 'git' && args[0] === 'worktree' && args[1] === 'add'
+      )
+      expect(added.map(([, args]) => args[3])).toEqual([
+        '/runner/temp/k8s-diff-a1b2c3/base'
+      ])
+      expect(exec.getExecOutput).toHaveBeenCalledWith(
+        'helm',
+        ['template', '.', '-f', 'values-prod.yaml'],
+        expect.objectContaining({
+          cwd: '/runner/temp/k8s-diff-a1b2c3/base/charts/app'
+        })
+      )
+      expect(fs.promises.readdir).toHaveBeenCalledWith(
+        `${process.cwd()}/deploy`,
+        expect.any(Object)
+      )
+    })
+
+    it('sets per-target results', async () => {
+      await run()
+
+      const [, value] = core.setOutput.mock.calls.find(
+        ([name]) => name === 'target-results'
+      )
+      expect(JSON.parse(value).map((result) => result.name)).toEqual([
+        'app',
+        'manifests'
+      ])
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'diff-output',
+        '# Target: app\nNo changes\n\n# Target: manifests\nNo changes'
+      )
+    })
+
+    it('fails on an invalid targets input', async () => {
+      core.getInput.mockImplementation((name) =>
+        name === 'targets' ? '- tool: ansible' : ''
+      )
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Invalid targets input: unsupported tool "ansible" in entry 0'
+      )
+    })
+  })
+
+  describe('only changed targets', () => {
+    const mockGit = (changedFiles, files = {}) => {
+      exec.getExecOutput.mockImplementation((cmd, args) => {
+        if (cmd === 'git' && args[0] === 'diff') {
+          return Promise.resolve({
+            exitCode: 0,
+            stdout: changedFiles.map((file) => `${file}\0`).join(''),
+            stderr: ''
+          })
+        }
+        if (cmd === 'git' && args[0] === 'show') {
+          const file = args[1].slice(args[1].indexOf(':') + 1)
+          return Promise.resolve(
+            file in files
+              ? { exitCode: 0, stdout: files[file], stderr: '' }
+              : { exitCode: 128, stdout: '', stderr: 'not found' }
+          )
+        }
+        return Promise.resolve({ exitCode: 0, stdout: 'sha', stderr: '' })
+      })
+    }
+
+    beforeEach(() => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          'base-ref': 'main',
+          'head-ref': 'HEAD',
+          'only-changed': 'true',
+          targets: [
+            '- name: app',
+            '  tool: helm',
+            '  working-dir: charts/app',
+            '  values-files: [../../env/prod.yaml]',
+            '- name: manifests',
+            '  working-dir: deploy'
+          ].join('\n')
+        }
+        return inputs[name] || ''
+      })
+    })
+
+    it('skips every target and the checkout when only docs changed', async () => {
+      mockGit(['README.md', 'docs/usage.md'])
+
+      await run()
+
+      expect(fs.promises.mkdtemp).not.toHaveBeenCalled()
+      expect(core.setOutput).toHaveBeenCalledWith('skipped', 'true')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'skipped-targets',
+        JSON.stringify(['app', 'manifests'])
+      )
+    })
+
+    it('renders targets whose values files changed', async () => {
+      mockGit(['env/prod.yaml'])
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('skipped', 'false')
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'skipped-targets',
+        JSON.stringify(['manifests'])
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'diff-output',
+        '# Target: app\nNo changes\n\n# Target: manifests\nSkipped: no relevant files changed'
+      )
+    })
+
+    it('renders charts whose local dependencies changed', async () => {
+      mockGit(['charts/common/templates/_helpers.tpl'], {
+        'charts/app/Chart.yaml':
+          'apiVersion: v2\nname: app\ndependencies:\n  - name: common\n    repository: file://../common\n'
+      })
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'skipped-targets',
+        JSON.stringify(['manifests'])
+      )
+    })
+  })
+
+  it('validates head manifests and flags issues next to the diff', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'yaml',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        validate: 'true',
+        'kube-version': '1.29.0'
+      }
+      return inputs[name] || ''
+    })
+    tc.downloadTool.mockRejectedValue(
+      Object.assign(new Error('Unexpected HTTP response: 404'), {
+        httpStatusCode: 404
+      })
+    )
+    fs.promises.readFile
+      .mockResolvedValueOnce('')
+      .mockResolvedValueOnce(
+        'apiVersion: extensions/v1beta1\nkind: Ingress\nmetadata:\n  name: web\n'
+      )
+
+    await run()
+
+    const [, value] = core.setOutput.mock.calls.find(
+      ([name]) => name === 'validation'
+    )
+    expect(JSON.parse(value)).toMatchObject([
+      { kind: 'Ingress', name: 'web', severity: 'error', type: 'removed' }
+    ])
+    expect(core.error).toHaveBeenCalledWith(
+      expect.stringContaining('extensions/v1beta1 Ingress was removed'),
+      {
+        title: 'Kubernetes manifest validation: removed',
+        file: 'test.yaml',
+        startLine: 1
+      }
+    )
+    expect(core.summary.addRaw).toHaveBeenCalledWith(
+      expect.stringContaining(':warning: 1 validation issue(s)</summary>'),
+      true
+    )
+    expect(core.summary.addHeading).toHaveBeenCalledWith('Validation', 3)
+  })
+
+  it('annotates the source file and line of changed resources', async () => {
+    fs.promises.readFile
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: old\n'
+      )
+      .mockResolvedValueOnce(
+        '# config\napiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n'
+      )
+
+    await run()
+
+    expect(core.notice).toHaveBeenCalledWith(
+      '~ v1 ConfigMap app (modified)\n    ~ data.key: "old" -> "new"',
+      {
+        title: 'Kubernetes manifest modified',
+        file: 'test.yaml',
+        startLine: 7
+      }
+    )
+  })
+
+  it('fails on error policy violations after publishing outputs', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'yaml',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'working-dir': './',
+        policy: [
+          'rules:',
+          '  - name: no-configmap-deletion',
+          '    match: { kind: ConfigMap }',
+          '    change: removed',
+          '  - name: no-new-services',
+          '    severity: warning',
+          '    match: { kind: Service }',
+          '    change: added'
+        ].join('\n')
+      }
+      return inputs[name] || ''
+    })
+    fs.promises.readFile
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\n'
+      )
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: Service\nmetadata:\n  name: app\n'
+      )
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'policy-violations',
+      expect.stringContaining('no-configmap-deletion')
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      'no-new-services: v1 Service app (added)',
+      {
+        title: 'Policy no-new-services',
+        file: 'test.yaml',
+        startLine: 1
+      }
+    )
+    expect(core.summary.write).toHaveBeenCalled()
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Policy violations:\n- no-configmap-deletion: v1 ConfigMap app (removed)'
+    )
+  })
+
+  it('fails when a target could not be checked against error policy rules', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'kustomize',
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        policy: 'rules:\n  - name: no-deletion\n    change: removed'
+      }
+      return inputs[name] || ''
+    })
+    tc.find.mockReturnValue('/cache/kustomize')
+    exec.getExecOutput.mockImplementation(async (cmd) =>
+      cmd === 'kustomize'
+        ? { exitCode: 1, stdout: '', stderr: 'accumulating resources' }
+        : { exitCode: 0, stdout: 'sha', stderr: '' }
+    )
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith('policy-violations', '[]')
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Policy not checked, targets not compared: default'
+    )
+  })
+
+  it('reuses cached manifests rendered from commits instead of the workspace', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        'base-ref': 'main',
+        'head-ref': 'HEAD',
+        'cache-dir': '/cache'
+      }
+      return inputs[name] || ''
+    })
+    fs.promises.readFile
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: old\n'
+      )
+      .mockRejectedValueOnce(new Error('ENOENT'))
+      .mockResolvedValueOnce(
+        'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n'
+      )
+
+    await run()
+
+    expect(fs.promises.readdir).toHaveBeenCalledTimes(1)
+    expect(fs.promises.readdir).toHaveBeenCalledWith(
+      '/runner/temp/k8s-diff-a1b2c3/head/',
+      expect.any(Object)
+    )
+    expect(fs.promises.writeFile).toHaveBeenCalledWith(
+      expect.stringMatching(/^\/cache\/[0-9a-f]{64}\.yaml$/),
+      expect.stringContaining('key: new')
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('cache-hits', '1')
+    expect(core.setOutput).toHaveBeenCalledWith('cache-misses', '1')
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'diff-output',
+      '~ v1 ConfigMap app (modified)\n    ~ data.key: "old" -> "new"'
+    )
+  })
+
+  it('renders base and head concurrently with separate logs', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'kustomize',
+        'base-ref': 'main',
+        'head-ref': 'HEAD'
+      }
+      return inputs[name] || ''
+    })
+    tc.find.mockReturnValue('/cache/kustomize')
+    const started = []
+    let release
+    const bothStarted = new Promise((resolve) => (release = resolve))
+    exec.getExecOutput.mockImplementation(async (cmd, args, options) => {
+      if (cmd !== 'kustomize') return { exitCode: 0, stdout: 'sha', stderr: '' }
+      started.push(options.cwd)
+      if (started.length === 2) release()
+      await bothStarted
+      return { exitCode: 0, stdout: '', stderr: '' }
+    })
+
+    await run()
+
+    expect(started).toEqual([
+      '/runner/temp/k8s-diff-a1b2c3/base/',
+      `${process.cwd()}/`
+    ])
+    expect(core.startGroup).toHaveBeenCalledWith('default: base')
+    expect(core.startGroup).toHaveBeenCalledWith('default: head')
+    expect(core.setFailed).not.toHaveBeenCalled()
+  })
+
+  it('does not compare a target whose head fails to render', async () => {
+    core.getInput.mockImplementation((name) => {
+      const inputs = {
+        tool: 'kustomize',
+        'base-ref': 'main',
+        'head-ref': 'HEAD'
+      }
+      return inputs[name] || ''
+    })
+    tc.find.mockReturnValue('/cache/kustomize')
+    exec.getExecOutput.mockImplementation(async (cmd, args, options) => {
+      if (cmd !== 'kustomize') return { exitCode: 0, stdout: 'sha', stderr: '' }
+      return options.cwd.startsWith('/runner/temp')
+        ? {
+            exitCode: 0,
+            stdout: 'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\n',
+            stderr: ''
+          }
+        : { exitCode: 1, stdout: '', stderr: 'accumulating resources' }
+    })
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith('diff-output', '')
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'stderr',
+      'Head ref render error: accumulating resources\n'
+    )
+    expect(core.setOutput).toHaveBeenCalledWith('failed-targets', '["default"]')
+    expect(core.setOutput).toHaveBeenCalledWith('error', 'true')
+  })
+
+  it('diffs the files that parse when others do not', async () => {
+    fs.promises.readdir.mockResolvedValue([
+      { name: 'app.yaml', isFile: () => true, isDirectory: () => false },
+      { name: 'broken.yaml', isFile: () => true, isDirectory: () => false }
+    ])
+    fs.promises.readFile.mockImplementation(async (file) => {
+      const base = file.startsWith('/runner/temp')
+      if (file.endsWith('broken.yaml')) {
+        return base
+          ? 'apiVersion: v1\nkind: Secret\n'
+          : 'apiVersion: v1\nkind: Secret\ndata:\n  key: value\n    other: x\n'
+      }
+      return `apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: ${base ? 'old' : 'new'}\n`
+    })
+
+    await run()
+
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'diff-output',
+      expect.stringContaining('~ v1 ConfigMap app')
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'diff-output',
+      expect.not.stringContaining('Secret')
+    )
+    expect(core.setOutput).toHaveBeenCalledWith(
+      'incomplete-targets',
+      '["default"]'
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'Failed to parse broken.yaml: Failed to parse YAML: Nested mappings are not allowed in compact mappings at line 4'
+      ),
+      { title: 'default: head manifests', file: 'broken.yaml', startLine: 4 }
+    )
+  })
+
+  it('fails on an invalid concurrency', async () => {
+    core.getInput.mockImplementation((name) =>
+      name === 'concurrency' ? 'many' : ''
+    )
+
+    await run()
+
+    expect(core.setFailed).toHaveBeenCalledWith(
+      'Invalid concurrency "many": expected a positive integer'
+    )
+  })
+
+  describe('paths mode', () => {
+    beforeEach(() => {
+      process.env.GITHUB_WORKSPACE = '/workspace'
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          mode: 'paths',
+          tool: 'kustomize',
+          'working-dir': 'overlays/staging',
+          'head-working-dir': 'overlays/prod'
+        }
+        return inputs[name] || ''
+      })
+      tc.find.mockReturnValue('/cache/kustomize')
+    })
+
+    afterEach(() => {
+      delete process.env.GITHUB_WORKSPACE
+    })
+
+    it('compares two directories of the workspace without git', async () => {
+      exec.getExecOutput.mockImplementation(async (cmd, args, options) => ({
+        exitCode: 0,
+        stdout: `apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: env\ndata:\n  env: ${options.cwd.split('/').pop()}\n`,
+        stderr: ''
+      }))
+
+      await run()
+
+      expect(exec.exec).not.toHaveBeenCalledWith('git', expect.anything())
+      expect(fs.promises.mkdtemp).not.toHaveBeenCalled()
+      expect(exec.getExecOutput).toHaveBeenCalledWith(
+        'kustomize',
+        ['build', '.'],
+        expect.objectContaining({ cwd: '/workspace/overlays/staging' })
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'diff-output',
+        '~ v1 ConfigMap env (modified)\n    ~ data.env: "staging" -> "prod"'
+      )
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+
+    it('fails when a compared directory does not exist', async () => {
+      fs.existsSync.mockImplementation(
+        (dir) => dir !== '/workspace/overlays/prod'
+      )
+
+      await run()
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Path overlays/prod of target default does not exist'
+      )
+    })
+
+    it('compares the head manifests against a cluster snapshot', async () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          mode: 'paths',
+          'working-dir': 'deploy',
+          snapshot: 'deployed/prod.yaml'
+        }
+        return inputs[name] || ''
+      })
+      fs.promises.stat.mockResolvedValue({ isDirectory: () => false })
+      fs.statSync.mockReturnValue({ isDirectory: () => false })
+      fs.promises.readFile
+        .mockResolvedValueOnce(
+          [
+            'apiVersion: v1',
+            'kind: List',
+            'items:',
+            '  - apiVersion: v1',
+            '    kind: ConfigMap',
+            '    metadata:',
+            '      name: app',
+            '      uid: 6a1f',
+            '      resourceVersion: "42"',
+            '      annotations:',
+            '        kubectl.kubernetes.io/last-applied-configuration: "{}"',
+            '    data:',
+            '      key: old',
+            '  - apiVersion: v1',
+            '    kind: Secret',
+            '    metadata:',
+            '      name: legacy'
+          ].join('\n')
+        )
+        .mockResolvedValueOnce(
+          'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n'
+        )
+
+      await run()
+
+      expect(fs.promises.readFile).toHaveBeenCalledWith(
+        '/workspace/deployed/prod.yaml',
+        'utf8'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'diff-output',
+        [
+          '~ v1 ConfigMap app (modified)',
+          '    ~ data.key: "old" -> "new"',
+          '',
+          '- v1 Secret legacy (removed)',
+          '-   apiVersion: v1',
+          '-   kind: Secret',
+          '-   metadata:',
+          '-     name: legacy'
+        ].join('\n')
+      )
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('job summary', () => {
+    it('writes a table of changes by kind and a section per resource', async () => {
+      fs.promises.readFile
+        .mockResolvedValueOnce(
+          'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: old\n'
+        )
+        .mockResolvedValueOnce(
+          'apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: new\n---\napiVersion: v1\nkind: Service\nmetadata:\n  name: app\n'
+        )
+
+      await run()
+
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        expect.any(Array),
+        ['ConfigMap', '0', '0', '1'],
+        ['Service', '1', '0', '0']
+      ])
+      expect(core.summary.addRaw).toHaveBeenCalledWith(
+        expect.stringContaining('<summary><code>+ v1 Service app</code>'),
+        true
+      )
+      expect(core.summary.write).toHaveBeenCalled()
+    })
+
+    it('lists image and chart dependency changes', async () => {
+      const pod = (image) =>
+        `apiVersion: v1\nkind: Pod\nmetadata:\n  name: web\nspec:\n  containers:\n    - name: web\n      image: ${image}\n`
+      fs.promises.readFile
+        .mockResolvedValueOnce(pod('web:1.0'))
+        .mockResolvedValueOnce(pod('web:1.1'))
+      // Chart.lock is read from the commits, not from the checkouts that
+      // helm dependency update may have changed
+      const files = {
+        'base-sha:Chart.yaml':
+          'dependencies:\n  - name: redis\n    version: ~18.0.0\n',
+        'base-sha:Chart.lock':
+          'dependencies:\n  - name: redis\n    version: 18.0.0\n',
+        'head-sha:Chart.yaml':
+          'dependencies:\n  - name: redis\n    version: 18.1.0\n'
+      }
+      exec.getExecOutput.mockImplementation(async (command, args) => {
+        const shas = { main: 'base-sha', HEAD: 'head-sha' }
+        const stdout = args[0] === 'show' ? files[args[1]] : shas[args[1]] || ''
+        return { exitCode: stdout === undefined ? 128 : 0, stdout, stderr: '' }
+      })
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'image-changes',
+        JSON.stringify({
+          images: [
+            {
+              apiVersion: 'v1',
+              kind: 'Pod',
+              namespace: '',
+              name: 'web',
+              container: 'web',
+              init: false,
+              changeType: 'modified',
+              baseImage: 'web:1.0',
+              headImage: 'web:1.1'
+            }
+          ],
+          charts: [
+            {
+              chart: 'redis',
+              repository: '',
+              changeType: 'modified',
+              baseVersion: '18.0.0',
+              headVersion: '18.1.0'
+            }
+          ]
+        })
+      )
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Image changes', 3)
+      expect(core.summary.addTable).toHaveBeenCalledWith([
+        expect.any(Array),
+        ['Pod web', 'web', 'web:1.0', 'web:1.1']
+      ])
+    })
+
+    it('includes stderr when a command failed', async () => {
+      fs.promises.readFile.mockResolvedValueOnce('key: [unterminated')
+
+      await run()
+
+      expect(core.summary.addHeading).toHaveBeenCalledWith('Errors', 3)
+      expect(core.summary.addCodeBlock).toHaveBeenCalledWith(
+        expect.stringContaining('Base ref parse error')
+      )
+    })
+
+    it('can be disabled', async () => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          tool: 'yaml',
+          'base-ref': 'main',
+          'head-ref': 'HEAD',
+          'working-dir': './',
+          'job-summary': 'false'
+        }
+        return inputs[name] || ''
+      })
+
+      await run()
+
+      expect(core.setOutput).toHaveBeenCalledWith('error', 'false')
+      expect(core.summary.write).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('pull request comment', () => {
+    const configMap = (value) =>
+      `apiVersion: v1\nkind: ConfigMap\nmetadata:\n  name: app\ndata:\n  key: ${value}\n`
+    let octokit
+
+    beforeEach(() => {
+      core.getInput.mockImplementation((name) => {
+        const inputs = {
+          tool: 'yaml',
+          'base-ref': 'main',
+          'head-ref': 'HEAD',
+          'working-dir': './',
+          'comment-on-pr': 'true',
+          'github-token': 'token'
+        }
+        return inputs[name] || ''
+      })
+      github.context.payload = { pull_request: { number: 7 } }
+      octokit = {
+        paginate: jest.fn(),
+        rest: {
+          issues: {
+            listComments: jest.fn(),
+            createComment: jest.fn(),
+            updateComment: jest.fn(),
+            deleteComment: jest.fn()
+          }
+        }
+      }
+      github.getOctokit.mockReturnValue(octokit)
+    })
+
+    it('creates a marker-tagged comment when none exists', async () => {
+      octokit.paginate.mockResolvedValue([{ id: 1, body: 'unrelated' }])
+      fs.promises.readFile
+        .mockResolvedValueOnce(configMap('old'))
+        .mockResolvedValueOnce(configMap('new'))
+
+      await run()
+
+      expect(github.getOctokit).toHaveBeenCalledWith('token')
+      expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 7,
+        body: expect.stringContaining('<!-- k8s-diff-action:default -->')
+      })
+      expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled()
+    })
+
+    it('updates the existing comment', async () => {
+      octokit.paginate.mockResolvedValue([
+        { id: 5, body: '<!-- k8s-diff-action:default -->\nold diff' }
+      ])
+      fs.promises.readFile
+        .mockResolvedValueOnce(configMap('old'))
+        .mockResolvedValueOnce(configMap('new'))
+
+      await run()
+
+      expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 5,
+        body: expect.stringContaining('+ data.key: "new"')
+      })
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+    })
+
+    it('deletes the existing comment when the diff is empty', async () => {
+      octokit.paginate.mockResolvedValue([
+        { id: 5, body: '<!-- k8s-diff-action:default -->\nold diff' }
+      ])
+      fs.promises.readFile.mockResolvedValue(configMap('same'))
+
+      await run()
+
+      expect(octokit.rest.issues.deleteComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 5
+      })
+      expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+    })
+
+    it('skips commenting outside of pull requests', async () => {
+      github.context.payload = {}
+
+      await run()
+
+      expect(github.getOctokit).not.toHaveBeenCalled()
+    })
+
+    it('warns instead of failing when the comment cannot be posted', async () => {
+      octokit.paginate.mockRejectedValue(new Error('Resource not accessible'))
+
+      await run()
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to publish diff comment: Resource not accessible'
+      )
+      expect(core.setFailed).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for manifest collection, src/manifests.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+import * as exec from '../__fixtures__/exec.js'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/exec', () => exec)
+jest.unstable_mockModule('fs', () => fs)
+
+const { collectYamlFiles, jsonToManifests, generateManifests } = await import(
+  '../src/manifests.js'
+)
+
+/**
+ * Mock a directory tree for fs.promises.readdir and readFile
+ * @param {Object<string, string>} files - File contents by path below /repo
+ */
+function mockTree(files) {
+  const entry = (name, isDirectory) => ({
+    name,
+    isDirectory: () => isDirectory,
+    isFile: () => !isDirectory
+  })
+  fs.promises.readdir.mockImplementation(async (dir) => {
+    const prefix = dir === '/repo' ? '' : `${dir.slice('/repo/'.length)}/`
+    const names = new Map()
+    for (const file of Object.keys(files)) {
+      if (!file.startsWith(prefix)) continue
+      const [name, ...rest] = file.slice(prefix.length).split('/')
+      names.set(name, rest.length > 0)
+    }
+    // Iteration order of a real directory is arbitrary
+    return [...names].reverse().map(([name, isDir]) => entry(name, isDir))
+  })
+  fs.promises.readFile.mockImplementation(
+    async (file) => files[file.slice('/repo/'.length)]
+  )
+}
+
+const sources = (content) =>
+  [...content.matchAll(/^# k8s-diff-source: (.*)$/gm)].map((match) => match[1])
+
+describe('collectYamlFiles', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('collects YAML and JSON files in sorted order', async () => {
+    mockTree({
+      'b.yaml': 'kind: B',
+      'a.yml': 'kind: A',
+      'nested/c.json': '{"kind": "C"}',
+      'README.md': '# docs',
+      'kustomization.yaml': 'resources: []',
+      '.github/workflows/ci.yaml': 'on: push'
+    })
+
+    const content = await collectYamlFiles('/repo')
+
+    expect(sources(content)).toEqual(['a.yml', 'b.yaml', 'nested/c.json'])
+    expect(content).toContain(
+      '# k8s-diff-source: nested/c.json\n{"kind": "C"}\n'
+    )
+  })
+
+  it('applies include and exclude globs', async () => {
+    mockTree({
+      'base/app.yaml': '',
+      'base/tests/case.yaml': '',
+      'overlays/prod/app.yaml': '',
+      'overlays/prod/secret.enc.yaml': ''
+    })
+
+    const content = await collectYamlFiles('/repo', {
+      include: ['base/**', 'overlays/*/*.yaml'],
+      exclude: ['tests/', '*.enc.yaml']
+    })
+
+    expect(sources(content)).toEqual([
+      'base/app.yaml',
+      'overlays/prod/app.yaml'
+    ])
+  })
+
+  it('honors a .k8sdiffignore file', async () => {
+    mockTree({
+      '.k8sdiffignore': '# generated\n/generated/\n!kustomization.yaml\n',
+      'generated/crds.yaml': '',
+      'app/generated/config.yaml': '',
+      'kustomization.yaml': ''
+    })
+
+    const content = await collectYamlFiles('/repo')
+
+    expect(sources(content)).toEqual([
+      'app/generated/config.yaml',
+      'kustomization.yaml'
+    ])
+  })
+})
+
+describe('jsonToManifests', () => {
+  it('converts the objects found in JSON output to YAML documents', () => {
+    const content = JSON.stringify({
+      app: {
+        deployment: { apiVersion: 'apps/v1', kind: 'Deployment' },
+        config: [{ apiVersion: 'v1', kind: 'ConfigMap', data: { a: '1' } }]
+      },
+      replicas: 3
+    })
+
+    expect(jsonToManifests(content)).toBe(
+      '---\napiVersion: apps/v1\nkind: Deployment\n' +
+        '---\napiVersion: v1\nkind: ConfigMap\ndata:\n  a: "1"\n'
+    )
+  })
+
+  it('rejects invalid JSON', () => {
+    expect(() => jsonToManifests('{')).toThrow(SyntaxError)
+  })
+})
+
+describe('generateManifests', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('keeps the stderr of a command printing JSON', async () => {
+    exec.getExecOutput.mockResolvedValue({
+      exitCode: 0,
+      stdout: '{"apiVersion": "v1", "kind": "ConfigMap"}',
+      stderr: 'TRACE: deprecated import\n'
+    })
+
+    expect(
+      await generateManifests('jsonnet', 'jsonnet main.jsonnet', '/repo', '', {
+        output: 'json'
+      })
+    ).toEqual({
+      content: '---\napiVersion: v1\nkind: ConfigMap\n',
+      stderr: 'TRACE: deprecated import\n',
+      hasError: false
+    })
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for defaulting normalization, src/normalize.js
+ */
+import { loadDefaultsSchema, createNormalizer } from '../src/normalize.js'
+import { diffResources } from '../src/diff.js'
+
+const normalize = createNormalizer(await loadDefaultsSchema())
+
+/**
+ * Build a minimal Deployment
+ * @param {object} [spec] - Extra spec fields
+ * @returns {object}
+ */
+function deployment(spec = {}) {
+  return {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: { name: 'web' },
+    spec: {
+      template: {
+        spec: { containers: [{ name: 'web', image: 'nginx:1.27' }] }
+      },
+      ...spec
+    }
+  }
+}
+
+describe('createNormalizer', () => {
+  it('makes explicit defaults compare equal to omitted fields', () => {
+    const base = normalize([deployment()])
+    const head = normalize([
+      deployment({
+        replicas: 1,
+        strategy: {
+          type: 'RollingUpdate',
+          rollingUpdate: { maxSurge: '25%', maxUnavailable: '25%' }
+        }
+      })
+    ])
+
+    expect(diffResources(base, head).summary.modified).toBe(0)
+  })
+
+  it('keeps changes away from the default', () => {
+    const base = normalize([deployment()])
+    const head = normalize([deployment({ replicas: 3 })])
+
+    expect(diffResources(base, head).resources[0].changes).toEqual([
+      {
+        path: 'spec.replicas',
+        type: 'changed',
+        oldValue: 1,
+        newValue: 3
+      }
+    ])
+  })
+
+  it('defaults nested pod template fields', () => {
+    const [resource] = normalize([deployment()])
+
+    expect(resource.spec.template.spec).toMatchObject({
+      restartPolicy: 'Always',
+      dnsPolicy: 'ClusterFirst',
+      containers: [
+        {
+          name: 'web',
+          terminationMessagePath: '/dev/termination-log',
+          terminationMessagePolicy: 'File'
+        }
+      ]
+    })
+  })
+
+  it('applies conditional and copied defaults', () => {
+    const [recreate, service] = normalize([
+      deployment({ strategy: { type: 'Recreate' } }),
+      {
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: { name: 'web' },
+        spec: { type: 'NodePort', ports: [{ port: 80 }] }
+      }
+    ])
+
+    expect(recreate.spec.strategy).toEqual({ type: 'Recreate' })
+    expect(service.spec).toMatchObject({
+      externalTrafficPolicy: 'Cluster',
+      ports: [{ port: 80, protocol: 'TCP', targetPort: 80 }]
+    })
+  })
+
+  it('leaves unknown kinds alone', () => {
+    const resource = {
+      apiVersion: 'example.com/v1',
+      kind: 'Widget',
+      metadata: { name: 'a' },
+      spec: {}
+    }
+
+    expect(normalize([structuredClone(resource)])).toEqual([resource])
+  })
+})
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for policy rules, src/policy.js
+ */
+import { parsePolicyConfig, evaluatePolicy } from '../src/policy.js'
+import { diffResources } from '../src/diff.js'
+
+const rules = parsePolicyConfig(
+  [
+    'rules:',
+    '  - name: no-pvc-deletion',
+    '    match: { kind: [PersistentVolumeClaim, Namespace] }',
+    '    change: removed',
+    '  - name: service-type',
+    '    match: { kind: Service }',
+    '    change: modified',
+    '    path: spec.type',
+    '  - name: limits-removed',
+    '    path: $..containers[*].resources.limits',
+    '    fieldChange: removed',
+    '  - name: latest-image',
+    '    severity: warning',
+    '    message: Pin image tags',
+    '    path: $..containers[*].image',
+    "    value: '*:latest'"
+  ].join('\n'),
+  'policy input'
+)
+
+/**
+ * Build a Deployment with one container
+ * @param {string} image - Container image
+ * @param {object} [resources] - Container resources
+ * @returns {object}
+ */
+function deployment(image, resources) {
+  return {
+    apiVersion: 'apps/v1',
+    kind: 'Deployment',
+    metadata: { name: 'web' },
+    spec: {
+      template: {
+        spec: { containers: [{ name: 'web', image, resources }] }
+      }
+    }
+  }
+}
+
+const service = (type) => ({
+  apiVersion: 'v1',
+  kind: 'Service',
+  metadata: { name: 'web' },
+  spec: { type, ports: [{ port: 80 }] }
+})
+
+describe('evaluatePolicy', () => {
+  it('flags deleted resources of the selected kinds', () => {
+    const pvc = {
+      apiVersion: 'v1',
+      kind: 'PersistentVolumeClaim',
+      metadata: { name: 'data', namespace: 'apps' }
+    }
+    const { resources } = diffResources([pvc, service('ClusterIP')], [])
+
+    expect(evaluatePolicy(resources, rules)).toEqual([
+      {
+        rule: 'no-pvc-deletion',
+        severity: 'error',
+        message: '',
+        apiVersion: 'v1',
+        kind: 'PersistentVolumeClaim',
+        namespace: 'apps',
+        name: 'data',
+        changeType: 'removed',
+        path: ''
+      }
+    ])
+  })
+
+  it('flags changes of a field but not of its siblings', () => {
+    const changedType = diffResources(
+      [service('ClusterIP')],
+      [service('LoadBalancer')]
+    ).resources
+    const changedPort = diffResources(
+      [service('ClusterIP')],
+      [{ ...service('ClusterIP'), spec: { type: 'ClusterIP', ports: [] } }]
+    ).resources
+
+    expect(evaluatePolicy(changedType, rules)).toMatchObject([
+      { rule: 'service-type', path: 'spec.type' }
+    ])
+    expect(evaluatePolicy(changedPort, rules)).toEqual([])
+  })
+
+  it('flags removed limits', () => {
+    const { resources } = diffResources(
+      [deployment('nginx:1.27', { limits: { cpu: '1' } })],
+      [deployment('nginx:1.27', {})]
+    )
+
+    expect(evaluatePolicy(resources, rules)).toMatchObject([
+      {
+        rule: 'limits-removed',
+        path: 'spec.template.spec.containers[0].resources.limits'
+      }
+    ])
+  })
+
+  it('matches new values against a glob', () => {
+    const modified = diffResources(
+      [deployment('nginx:1.27')],
+      [deployment('nginx:latest')]
+    ).resources
+    const added = diffResources([], [deployment('nginx:latest')]).resources
+    const unrelated = diffResources(
+      [{ ...deployment('nginx:latest'), data: 1 }],
+      [{ ...deployment('nginx:latest'), data: 2 }]
+    ).resources
+
+    const expected = [
+      {
+        rule: 'latest-image',
+        severity: 'warning',
+        message: 'Pin image tags',
+        path: 'spec.template.spec.containers[0].image'
+      }
+    ]
+    expect(evaluatePolicy(modified, rules)).toMatchObject(expected)
+    expect(evaluatePolicy(added, rules)).toMatchObject(expected)
+    expect(evaluatePolicy(unrelated, rules)).toEqual([])
+  })
+})
+
+describe('parsePolicyConfig', () => {
+  it('rejects invalid rules', () => {
+    expect(() => parsePolicyConfig('- name: a', 'policy input')).toThrow(
+      'expected a mapping with a rules list'
+    )
+    expect(() =>
+      parsePolicyConfig('rules:\n  - change: removed', 'policy input')
+    ).toThrow('policy input rules[0] needs a name')
+    expect(() =>
+      parsePolicyConfig('rules:\n  - name: a\n    severity: fatal', 'p')
+    ).toThrow('p rules[0] severity must be one of error, warning')
+  })
+})
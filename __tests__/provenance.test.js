@@ -0,0 +1,130 @@
+/**
+ * Unit tests for source tracing, src/provenance.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+
+const { locateResources, findSource, annotateChanges } = await import(
+  '../src/provenance.js'
+)
+
+const helmOutput = [
+  '---',
+  '# Source: app/templates/service.yaml',
+  'apiVersion: v1',
+  'kind: Service',
+  'metadata:',
+  '  name: web',
+  '---',
+  '# Source: app/charts/redis/templates/deployment.yaml',
+  'apiVersion: apps/v1',
+  'kind: Deployment',
+  'metadata:',
+  '  name: redis',
+  'spec:',
+  '  template:',
+  '    spec:',
+  '      containers:',
+  '        - name: redis',
+  '          image: redis:7'
+].join('\n')
+
+const id = (apiVersion, kind, name) => ({
+  apiVersion,
+  kind,
+  namespace: '',
+  name
+})
+
+describe('findSource', () => {
+  it('maps helm templates to files in the chart directory', () => {
+    const locations = locateResources(helmOutput)
+
+    expect(
+      findSource(locations, id('apps/v1', 'Deployment', 'redis'), '', {
+        workingDir: './charts/app',
+        chart: true
+      })
+    ).toEqual({ file: 'charts/app/charts/redis/templates/deployment.yaml' })
+  })
+
+  it('finds the line of a field in plain YAML files', () => {
+    const locations = locateResources(
+      helmOutput.replaceAll('# Source:', '# k8s-diff-source:'),
+      { collected: true }
+    )
+    const options = { workingDir: 'deploy', lines: true }
+    const deployment = id('apps/v1', 'Deployment', 'redis')
+
+    expect(
+      findSource(
+        locations,
+        deployment,
+        'spec.template.spec.containers[0].image',
+        options
+      )
+    ).toEqual({
+      file: 'deploy/app/charts/redis/templates/deployment.yaml',
+      line: 10
+    })
+    // Missing fields fall back to their closest parent
+    expect(
+      findSource(locations, deployment, 'spec.replicas', options).line
+    ).toBe(5)
+    expect(
+      findSource(locations, id('v1', 'Service', 'web'), '', options).line
+    ).toBe(1)
+  })
+
+  it('ignores helm source comments inside collected files', () => {
+    const locations = locateResources(
+      `---\n# k8s-diff-source: rendered/all.yaml\n${helmOutput}`,
+      { collected: true }
+    )
+
+    expect(
+      findSource(locations, id('v1', 'Service', 'web'), 'metadata.name', {
+        workingDir: '.',
+        lines: true
+      })
+    ).toEqual({ file: 'rendered/all.yaml', line: 6 })
+  })
+
+  it('returns nothing for output without source comments', () => {
+    const locations = locateResources('apiVersion: v1\nkind: Service\n')
+
+    expect(
+      findSource(locations, id('v1', 'Service', ''), '', { workingDir: '.' })
+    ).toBeUndefined()
+  })
+})
+
+describe('annotateChanges', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('warns about removed resources and skips unknown sources', () => {
+    annotateChanges([
+      {
+        ...id('v1', 'Service', 'web'),
+        target: 'app',
+        changeType: 'removed',
+        base: {},
+        source: { file: 'charts/app/templates/service.yaml' }
+      },
+      { ...id('v1', 'Service', 'api'), changeType: 'added', head: {} }
+    ])
+
+    expect(core.warning).toHaveBeenCalledWith(
+      '[app] v1 Service web (removed)',
+      {
+        title: 'Kubernetes manifest removed',
+        file: 'charts/app/templates/service.yaml'
+      }
+    )
+    expect(core.notice).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for sensitive value redaction, src/redact.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+
+const { createRedactor, parseRedactPatterns } = await import('../src/redact.js')
+
+const secret = (data) => ({
+  apiVersion: 'v1',
+  kind: 'Secret',
+  metadata: { name: 'creds' },
+  data,
+  stringData: { token: 'plain-token' }
+})
+
+describe('createRedactor', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('replaces Secret values with stable placeholders', () => {
+    const redact = createRedactor({ redactSecrets: true })
+
+    const [base] = redact([secret({ password: 'c2VjcmV0', user: 'YWRtaW4=' })])
+    const [head] = redact([
+      secret({ password: 'bmV3LXNlY3JldA==', user: 'YWRtaW4=' })
+    ])
+
+    expect(base.data.password).toMatch(/^<redacted:[0-9a-f]{12}>$/)
+    expect(base.stringData.token).toMatch(/^<redacted:[0-9a-f]{12}>$/)
+    expect(base.data.user).toBe(head.data.user)
+    expect(base.data.password).not.toBe(head.data.password)
+  })
+
+  it('masks raw and decoded Secret values', () => {
+    const redact = createRedactor({ redactSecrets: true })
+
+    redact([secret({ password: 'c2VjcmV0' })])
+
+    expect(core.setSecret).toHaveBeenCalledWith('c2VjcmV0')
+    expect(core.setSecret).toHaveBeenCalledWith('secret')
+    expect(core.setSecret).toHaveBeenCalledWith('plain-token')
+  })
+
+  it('leaves Secrets untouched when disabled', () => {
+    const redact = createRedactor({ redactSecrets: false })
+
+    const [resource] = redact([secret({ password: 'c2VjcmV0' })])
+
+    expect(resource.data.password).toBe('c2VjcmV0')
+    expect(core.setSecret).not.toHaveBeenCalled()
+  })
+
+  it('redacts JSONPath and key name patterns', () => {
+    const redact = createRedactor({
+      redactSecrets: true,
+      patterns: [
+        '$.spec.template.spec.containers[*].env[*].value',
+        '*password*'
+      ].join('\n')
+    })
+
+    const [resource] = redact([
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web' },
+        spec: {
+          template: {
+            spec: {
+              containers: [
+                {
+                  name: 'web',
+                  env: [{ name: 'API_KEY', value: 'abc123' }],
+                  args: { dbPassword: 'hunter2' }
+                }
+              ]
+            }
+          }
+        }
+      }
+    ])
+
+    const container = resource.spec.template.spec.containers[0]
+    expect(container.env[0].name).toBe('API_KEY')
+    expect(container.env[0].value).toMatch(/^<redacted:/)
+    expect(container.args.dbPassword).toMatch(/^<redacted:/)
+    expect(core.setSecret).toHaveBeenCalledWith('hunter2')
+  })
+})
+
+describe('parseRedactPatterns', () => {
+  it('ignores blank lines and comments', () => {
+    const { paths, keys } = parseRedactPatterns(
+      '\n# secrets\n$..token\ntoken\n'
+    )
+
+    expect(paths).toEqual([[{ type: 'descendant', value: 'token' }]])
+    expect(keys).toHaveLength(1)
+  })
+
+  it('rejects unsupported JSONPath selectors', () => {
+    expect(() => parseRedactPatterns('$.items[?(@.name)]')).toThrow(
+      'unsupported selector'
+    )
+  })
+})
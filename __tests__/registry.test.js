@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the tool registry, src/registry.js
+ */
+import { jest } from '@jest/globals'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('fs', () => fs)
+
+const { createToolRegistry, parseToolsConfig, loadToolRegistry } = await import(
+  '../src/registry.js'
+)
+
+describe('createToolRegistry', () => {
+  it('includes the built-in tools', () => {
+    const tools = createToolRegistry()
+
+    expect([...tools.keys()]).toEqual([
+      'yaml',
+      'helm',
+      'kustomize',
+      'helmfile',
+      'jsonnet',
+      'node'
+    ])
+    expect(tools.get('helmfile')).toMatchObject({
+      command: 'helmfile template',
+      output: 'yaml',
+      requires: ['helm']
+    })
+    expect(tools.get('jsonnet')).toMatchObject({ output: 'json' })
+    expect(tools.get('node').command).toMatch(
+      /generators\/node\.js' index\.js$/
+    )
+  })
+
+  it('lets custom tools replace built-ins', () => {
+    const tools = createToolRegistry({ helm: { command: 'helm3 template .' } })
+
+    expect(tools.get('helm')).toEqual({
+      name: 'helm',
+      command: 'helm3 template .',
+      output: 'yaml',
+      sources: 'none',
+      files: []
+    })
+  })
+})
+
+describe('parseToolsConfig', () => {
+  it('parses custom tools', () => {
+    const content = [
+      'tools:',
+      '  ytt:',
+      '    command: ytt -f .',
+      '    prepare-commands: [vendir sync, ./gen.sh]',
+      '    files: ../../lib',
+      '    binary: ytt',
+      '    version-args: version',
+      '  tk:',
+      '    command: tk show --dangerous-allow-redirect environments/prod',
+      '    output: json'
+    ].join('\n')
+
+    expect(parseToolsConfig(content, 'tools.yaml')).toEqual({
+      ytt: {
+        command: 'ytt -f .',
+        prepareCommands: 'vendir sync\n./gen.sh',
+        output: 'yaml',
+        sources: 'none',
+        files: ['../../lib'],
+        binary: 'ytt',
+        versionArgs: ['version']
+      },
+      tk: {
+        command: 'tk show --dangerous-allow-redirect environments/prod',
+        prepareCommands: '',
+        output: 'json',
+        sources: 'none',
+        files: []
+      }
+    })
+  })
+
+  it('rejects invalid tools', () => {
+    expect(() =>
+      parseToolsConfig('tools:\n  ytt:\n    files: [lib]\n', 'tools.yaml')
+    ).toThrow('Invalid tools config: tools.yaml tools.ytt needs a command')
+    expect(() =>
+      parseToolsConfig(
+        'tools:\n  ytt:\n    command: ytt\n    output: toml\n',
+        'tools.yaml'
+      )
+    ).toThrow('tools.ytt output must be one of yaml, json')
+    expect(() => parseToolsConfig('tools: [ytt]\n', 'tools.yaml')).toThrow(
+      'expected a tools mapping of names to tools'
+    )
+  })
+})
+
+describe('loadToolRegistry', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('adds the tools of a config file', async () => {
+    fs.promises.readFile.mockResolvedValue('tools:\n  ytt:\n    command: ytt\n')
+
+    const tools = await loadToolRegistry({ file: '.github/k8s-tools.yaml' })
+
+    expect(fs.promises.readFile).toHaveBeenCalledWith(
+      '.github/k8s-tools.yaml',
+      'utf8'
+    )
+    expect(tools.has('ytt')).toBe(true)
+    expect(tools.has('helm')).toBe(true)
+  })
+
+  it('reports a missing config file', async () => {
+    fs.promises.readFile.mockRejectedValue(new Error('ENOENT'))
+
+    await expect(loadToolRegistry({ file: 'tools.yaml' })).rejects.toThrow(
+      'Failed to read tools file tools.yaml: ENOENT'
+    )
+  })
+})
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for cluster snapshots, src/snapshot.js
+ */
+import { jest } from '@jest/globals'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('fs', () => fs)
+
+const { readSnapshot, stripServerFields } = await import('../src/snapshot.js')
+
+const exported = {
+  apiVersion: 'apps/v1',
+  kind: 'Deployment',
+  metadata: {
+    name: 'web',
+    namespace: 'prod',
+    uid: '0b6c2a3e-1f1e-4d4e-9a57-3b1c1f0d2a11',
+    resourceVersion: '123456',
+    generation: 4,
+    creationTimestamp: '2024-05-01T10:00:00Z',
+    managedFields: [{ manager: 'kubectl', operation: 'Apply' }],
+    labels: { app: 'web' },
+    annotations: {
+      'kubectl.kubernetes.io/last-applied-configuration': '{"kind":"..."}',
+      'deployment.kubernetes.io/revision': '3'
+    }
+  },
+  spec: { replicas: 2 },
+  status: { readyReplicas: 2 }
+}
+
+describe('stripServerFields', () => {
+  it('removes the fields populated by the API server', () => {
+    const [resource] = stripServerFields([structuredClone(exported)])
+
+    expect(resource).toEqual({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: { name: 'web', namespace: 'prod', labels: { app: 'web' } },
+      spec: { replicas: 2 }
+    })
+  })
+
+  it('keeps other annotations', () => {
+    const resource = structuredClone(exported)
+    resource.metadata.annotations.owner = 'team-a'
+
+    stripServerFields([resource])
+
+    expect(resource.metadata.annotations).toEqual({ owner: 'team-a' })
+  })
+
+  it('removes the cluster IPs allocated to Services', () => {
+    const service = (spec) => ({
+      apiVersion: 'v1',
+      kind: 'Service',
+      metadata: { name: 'web' },
+      spec: { ports: [{ port: 80 }], ...spec }
+    })
+
+    const [allocated, headless] = stripServerFields([
+      service({ clusterIP: '10.0.0.12', clusterIPs: ['10.0.0.12'] }),
+      service({ clusterIP: 'None', clusterIPs: ['None'] })
+    ])
+
+    expect(allocated.spec).toEqual({ ports: [{ port: 80 }] })
+    expect(headless.spec).toEqual({
+      ports: [{ port: 80 }],
+      clusterIP: 'None',
+      clusterIPs: ['None']
+    })
+  })
+})
+
+describe('readSnapshot', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  it('reads a single file with its name as source', async () => {
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => false })
+    fs.promises.readFile.mockResolvedValue('apiVersion: v1\nkind: List\n')
+
+    const result = await readSnapshot('/repo/deployed/prod.yaml')
+
+    expect(result).toEqual({
+      content: '# k8s-diff-source: prod.yaml\napiVersion: v1\nkind: List\n',
+      stderr: '',
+      hasError: false
+    })
+  })
+
+  it('collects the YAML files of a directory', async () => {
+    fs.promises.stat.mockResolvedValue({ isDirectory: () => true })
+    fs.promises.readdir.mockResolvedValue([
+      { name: 'web.yaml', isDirectory: () => false, isFile: () => true }
+    ])
+    fs.promises.readFile.mockResolvedValue('kind: Service\n')
+
+    const result = await readSnapshot('/repo/deployed')
+
+    expect(result.content).toBe(
+      '---\n# k8s-diff-source: web.yaml\nkind: Service\n\n'
+    )
+  })
+
+  it('reports a missing snapshot as an error', async () => {
+    fs.promises.stat.mockRejectedValue(new Error('ENOENT: no such file'))
+
+    const result = await readSnapshot('/repo/deployed.yaml')
+
+    expect(result).toEqual({
+      content: '',
+      stderr:
+        'Failed to read snapshot /repo/deployed.yaml: ENOENT: no such file',
+      hasError: true,
+      step: 'read'
+    })
+  })
+})
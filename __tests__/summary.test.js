@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the job summary, src/summary.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+import * as github from '../__fixtures__/github.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/github', () => github)
+
+const { writeJobSummary } = await import('../src/summary.js')
+const { diffResources } = await import('../src/diff.js')
+
+const configMap = (name, value) => ({
+  apiVersion: 'v1',
+  kind: 'ConfigMap',
+  metadata: { name, namespace: 'default' },
+  data: { value }
+})
+
+describe('writeJobSummary', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+  })
+
+  const raw = () => core.summary.addRaw.mock.calls.map(([text]) => text)
+
+  it('escapes error output', async () => {
+    await writeJobSummary(diffResources([], []), {
+      hasError: true,
+      stderr: 'error: <script>alert(1)</script> & more'
+    })
+
+    expect(core.summary.addCodeBlock).toHaveBeenCalledWith(
+      'error: &lt;script&gt;alert(1)&lt;/script&gt; &amp; more'
+    )
+  })
+
+  it('fences diffs of values containing backticks', async () => {
+    await writeJobSummary(
+      diffResources([], [configMap('docs', '````\nexample\n````')]),
+      { hasError: false, stderr: '' }
+    )
+
+    const [section] = raw().filter((text) => text.startsWith('<details>'))
+    expect(section).toContain('`````diff\n+ apiVersion: v1\n')
+    expect(section).toMatch(/\n`````\n\n<\/details>$/)
+  })
+
+  it('leaves out resources beyond the size limit', async () => {
+    const diff = diffResources(
+      [],
+      Array.from({ length: 20 }, (_, i) =>
+        configMap(`app-${i}`, 'x'.repeat(1000))
+      )
+    )
+
+    await writeJobSummary(diff, {
+      hasError: false,
+      stderr: '',
+      maxSize: 4096 + 5000
+    })
+
+    const sections = raw().filter((text) => text.startsWith('<details>'))
+    expect(sections.length).toBeGreaterThan(0)
+    expect(sections.length).toBeLessThan(20)
+    expect(raw()).toContain(
+      `> [!NOTE]\n> ${20 - sections.length} more resource(s) not shown because the job summary size limit was reached. ` +
+        'See the [workflow run](https://github.com/test-owner/test-repo/actions/runs/42) for the full diff.'
+    )
+    expect(core.summary.write).toHaveBeenCalled()
+  })
+})
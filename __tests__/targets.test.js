@@ -0,0 +1,172 @@
+/**
+ * Unit tests for target configuration, src/targets.js
+ */
+import { createTarget, parseTargets, parseEnvInput } from '../src/targets.js'
+import { createToolRegistry } from '../src/registry.js'
+
+describe('createTarget', () => {
+  it('fills in tool defaults', () => {
+    expect(createTarget({ name: 'app', tool: 'helm' })).toEqual({
+      name: 'app',
+      tool: 'helm',
+      command: 'helm template .',
+      headTool: 'helm',
+      headCommand: 'helm template .',
+      workingDir: './',
+      headWorkingDir: './',
+      valuesFiles: [],
+      headValuesFiles: [],
+      helm: {
+        releaseName: '',
+        namespace: '',
+        kubeVersion: '',
+        apiVersions: [],
+        set: []
+      },
+      prepareCommands: 'helm dependency update',
+      headPrepareCommands: 'helm dependency update',
+      shell: false,
+      env: {},
+      include: [],
+      exclude: [],
+      snapshot: '',
+      tools: {
+        base: expect.objectContaining({ name: 'helm', sources: 'chart' }),
+        head: expect.objectContaining({ name: 'helm', sources: 'chart' })
+      }
+    })
+  })
+
+  it('uses the defaults of registered tools', () => {
+    const tools = createToolRegistry({
+      ytt: { command: 'ytt -f .', prepareCommands: 'vendir sync' }
+    })
+
+    expect(createTarget({ name: 'app', tool: 'ytt' }, tools)).toMatchObject({
+      command: 'ytt -f .',
+      prepareCommands: 'vendir sync',
+      tools: { base: { name: 'ytt', output: 'yaml', files: [] } }
+    })
+    expect(() => createTarget({ name: 'app', tool: 'ytt' })).toThrow(
+      'Unsupported tool "ytt"'
+    )
+  })
+
+  it('uses the defaults of a different head tool', () => {
+    expect(
+      createTarget({ name: 'app', tool: 'helm', headTool: 'yaml' })
+    ).toMatchObject({
+      command: 'helm template .',
+      prepareCommands: 'helm dependency update',
+      headTool: 'yaml',
+      headCommand: '',
+      headPrepareCommands: ''
+    })
+    expect(
+      createTarget({
+        name: 'app',
+        tool: 'kustomize',
+        command: 'kustomize build --enable-helm .'
+      })
+    ).toMatchObject({ headCommand: 'kustomize build --enable-helm .' })
+  })
+
+  it('uses the base values files for head unless given', () => {
+    const target = createTarget({
+      name: 'app',
+      tool: 'helm',
+      valuesFiles: ['values.yaml']
+    })
+
+    expect(target.headValuesFiles).toEqual(['values.yaml'])
+  })
+})
+
+describe('parseTargets', () => {
+  it('parses a YAML list of targets', () => {
+    const targets = parseTargets(
+      [
+        '- name: app',
+        '  tool: kustomize',
+        '  working-dir: overlays/prod',
+        '  set: [replicas=2]',
+        '  kube-version: 1.29.0',
+        '  prepare-commands:',
+        '    - echo one',
+        '    - echo two',
+        '- working-dir: deploy'
+      ].join('\n')
+    )
+
+    expect(targets).toMatchObject([
+      {
+        name: 'app',
+        tool: 'kustomize',
+        command: 'kustomize build .',
+        workingDir: 'overlays/prod',
+        helm: { set: ['replicas=2'], kubeVersion: '1.29.0' },
+        prepareCommands: 'echo one\necho two'
+      },
+      { name: 'deploy', tool: 'yaml', workingDir: 'deploy' }
+    ])
+  })
+
+  it('reads shell mode and environment variables', () => {
+    const [target] = parseTargets(
+      [
+        '- name: app',
+        '  shell: true',
+        '  command: helm template . "$@" | kbld -f -',
+        '  env:',
+        '    HELM_DEBUG: 1'
+      ].join('\n')
+    )
+
+    expect(target).toMatchObject({
+      shell: true,
+      command: 'helm template . "$@" | kbld -f -',
+      env: { HELM_DEBUG: '1' }
+    })
+    expect(() => parseTargets('- name: a\n  env: [A=1]')).toThrow(
+      'env of entry 0 must be a mapping'
+    )
+  })
+
+  it('passes tool arguments to default commands in shell mode', () => {
+    const [target] = parseTargets(
+      '- name: app\n  tool: helm\n  head-tool: kustomize\n  shell: true'
+    )
+
+    expect(target).toMatchObject({
+      command: 'helm template . "$@"',
+      headCommand: 'kustomize build . "$@"'
+    })
+    expect(parseTargets('- name: a\n  shell: true')[0].command).toBe('')
+  })
+
+  it('rejects duplicate names', () => {
+    expect(() =>
+      parseTargets('- name: a\n  working-dir: x\n- name: a\n  working-dir: y')
+    ).toThrow('duplicate target name "a"')
+  })
+
+  it('rejects anything but a non-empty list', () => {
+    expect(() => parseTargets('name: a')).toThrow('expected a non-empty')
+    expect(() => parseTargets('[]')).toThrow('expected a non-empty')
+    expect(() => parseTargets('- just a string')).toThrow('is not a mapping')
+  })
+})
+
+describe('parseEnvInput', () => {
+  it('parses KEY=VALUE lines', () => {
+    expect(parseEnvInput('A=1\n# comment\n\nB=x=y\nC=')).toEqual({
+      A: '1',
+      B: 'x=y',
+      C: ''
+    })
+  })
+
+  it('rejects lines without a variable name', () => {
+    expect(() => parseEnvInput('not a pair')).toThrow('expected KEY=VALUE')
+  })
+})
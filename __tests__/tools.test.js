@@ -0,0 +1,133 @@
+/**
+ * Unit tests for tool installation, src/tools.js
+ */
+import { jest } from '@jest/globals'
+import * as crypto from 'crypto'
+import * as core from '../__fixtures__/core.js'
+import * as exec from '../__fixtures__/exec.js'
+import * as tc from '../__fixtures__/tool-cache.js'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/exec', () => exec)
+jest.unstable_mockModule('@actions/tool-cache', () => tc)
+jest.unstable_mockModule('fs', () => fs)
+
+const { installHelm, installKustomize, installHelmfile, findChecksum } =
+  await import('../src/tools.js')
+
+const archive = Buffer.from('archive')
+const sha256 = crypto.createHash('sha256').update(archive).digest('hex')
+const platform = process.platform === 'darwin' ? 'darwin' : 'linux'
+const arch = process.arch === 'arm64' ? 'arm64' : 'amd64'
+
+describe('tool installation', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+
+    tc.find.mockReturnValue('')
+    tc.downloadTool.mockImplementation((url) =>
+      Promise.resolve(url.endsWith('.tar.gz') ? '/tmp/archive' : '/tmp/sums')
+    )
+    tc.extractTar.mockResolvedValue('/tmp/extracted')
+    tc.cacheDir.mockImplementation((dir, tool, version) =>
+      Promise.resolve(`/cache/${tool}/${version}`)
+    )
+    fs.promises.readFile.mockImplementation((file) =>
+      Promise.resolve(
+        file === '/tmp/archive'
+          ? archive
+          : `${sha256}  helm-v3.15.2-${platform}-${arch}.tar.gz\n` +
+              `${sha256}  kustomize_v5.4.3_${platform}_${arch}.tar.gz\n` +
+              `${sha256}  helmfile_0.169.1_${platform}_${arch}.tar.gz\n`
+      )
+    )
+  })
+
+  it('installs a pinned helm version after verifying its checksum', async () => {
+    await installHelm({ version: '3.15.2' })
+
+    const url = `https://get.helm.sh/helm-v3.15.2-${platform}-${arch}.tar.gz`
+    expect(tc.downloadTool).toHaveBeenCalledWith(url)
+    expect(tc.downloadTool).toHaveBeenCalledWith(`${url}.sha256sum`)
+    expect(tc.cacheDir).toHaveBeenCalledWith(
+      '/tmp/extracted',
+      'helm',
+      'v3.15.2'
+    )
+    expect(core.addPath).toHaveBeenCalledWith(
+      `/cache/helm/v3.15.2/${platform}-${arch}`
+    )
+  })
+
+  it('downloads kustomize from a mirror', async () => {
+    await installKustomize({ mirrorUrl: 'https://mirror.example.com/tools/' })
+
+    expect(tc.downloadTool).toHaveBeenCalledWith(
+      `https://mirror.example.com/tools/kustomize/v5.4.3/kustomize_v5.4.3_${platform}_${arch}.tar.gz`
+    )
+    expect(tc.downloadTool).toHaveBeenCalledWith(
+      'https://mirror.example.com/tools/kustomize/v5.4.3/checksums.txt'
+    )
+    expect(core.addPath).toHaveBeenCalledWith('/cache/kustomize/v5.4.3')
+  })
+
+  it('installs helmfile from its GitHub release', async () => {
+    await installHelmfile()
+
+    const baseUrl =
+      'https://github.com/helmfile/helmfile/releases/download/v0.169.1'
+    expect(tc.downloadTool).toHaveBeenCalledWith(
+      `${baseUrl}/helmfile_0.169.1_${platform}_${arch}.tar.gz`
+    )
+    expect(tc.downloadTool).toHaveBeenCalledWith(
+      `${baseUrl}/helmfile_0.169.1_checksums.txt`
+    )
+    expect(core.addPath).toHaveBeenCalledWith('/cache/helmfile/v0.169.1')
+  })
+
+  it('rejects a download with a wrong checksum', async () => {
+    fs.promises.readFile.mockImplementation((file) =>
+      Promise.resolve(file === '/tmp/archive' ? archive : 'deadbeef')
+    )
+
+    await expect(installHelm()).rejects.toThrow(
+      `Checksum mismatch for helm-v3.14.0-${platform}-${arch}.tar.gz`
+    )
+    expect(tc.extractTar).not.toHaveBeenCalled()
+  })
+
+  it('skips verification when disabled', async () => {
+    await installHelm({ verify: false })
+
+    expect(tc.downloadTool).toHaveBeenCalledTimes(1)
+    expect(tc.extractTar).toHaveBeenCalled()
+  })
+
+  it('reuses a cached version', async () => {
+    tc.find.mockReturnValue('/cache/kustomize/v5.4.3')
+
+    await installKustomize()
+
+    expect(tc.downloadTool).not.toHaveBeenCalled()
+    expect(core.addPath).toHaveBeenCalledWith('/cache/kustomize/v5.4.3')
+  })
+})
+
+describe('findChecksum', () => {
+  it('finds a file in a checksum list', () => {
+    expect(findChecksum('AAA  a.tar.gz\nBBB *b.tar.gz\n', 'b.tar.gz')).toBe(
+      'bbb'
+    )
+  })
+
+  it('accepts a file holding only the hash', () => {
+    expect(findChecksum('abc\n', 'a.tar.gz')).toBe('abc')
+  })
+
+  it('returns undefined when the file is not listed', () => {
+    expect(findChecksum('AAA  a.tar.gz\nBBB  b.tar.gz', 'c.tar.gz')).toBe(
+      undefined
+    )
+  })
+})
@@ -0,0 +1,290 @@
+/**
+ * Unit tests for manifest validation, src/validate.js
+ */
+import { jest } from '@jest/globals'
+import * as core from '../__fixtures__/core.js'
+import * as tc from '../__fixtures__/tool-cache.js'
+import * as fs from '../__fixtures__/fs.js'
+
+jest.unstable_mockModule('@actions/core', () => core)
+jest.unstable_mockModule('@actions/tool-cache', () => tc)
+jest.unstable_mockModule('fs', () => fs)
+
+const {
+  createValidator,
+  getCrdSchemas,
+  getSchemaFileName,
+  validateSchema,
+  annotateIssues
+} = await import('../src/validate.js')
+const { findDeprecation } = await import('../src/deprecations.js')
+
+const deploymentSchema = {
+  type: 'object',
+  required: ['apiVersion', 'kind'],
+  properties: {
+    apiVersion: { type: ['string', 'null'] },
+    kind: { type: ['string', 'null'], enum: ['Deployment'] },
+    metadata: { type: 'object', additionalProperties: true },
+    spec: {
+      type: 'object',
+      required: ['selector'],
+      additionalProperties: false,
+      properties: {
+        replicas: { type: 'integer' },
+        selector: { type: 'object' },
+        strategy: {
+          type: 'object',
+          properties: {
+            rollingUpdate: {
+              type: 'object',
+              properties: {
+                maxSurge: {
+                  oneOf: [{ type: 'string' }, { type: 'integer' }]
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+describe('getSchemaFileName', () => {
+  it('follows the kubernetes-json-schema naming', () => {
+    expect(getSchemaFileName('v1', 'Service')).toBe('service-v1.json')
+    expect(getSchemaFileName('apps/v1', 'Deployment')).toBe(
+      'deployment-apps-v1.json'
+    )
+    expect(getSchemaFileName('networking.k8s.io/v1', 'Ingress')).toBe(
+      'ingress-networking-v1.json'
+    )
+  })
+})
+
+describe('validateSchema', () => {
+  it('reports wrong types, unknown fields and missing fields', () => {
+    const problems = validateSchema(
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        spec: {
+          replicas: '3',
+          replica: 3,
+          strategy: { rollingUpdate: { maxSurge: true } }
+        }
+      },
+      deploymentSchema
+    )
+
+    expect(problems).toEqual([
+      { path: 'spec.selector', message: 'missing required field' },
+      { path: 'spec.replicas', message: 'expected integer, got string' },
+      { path: 'spec.replica', message: 'unknown field' },
+      {
+        path: 'spec.strategy.rollingUpdate.maxSurge',
+        message: 'expected string, got boolean'
+      }
+    ])
+  })
+
+  it('accepts a valid object', () => {
+    expect(
+      validateSchema(
+        {
+          apiVersion: 'apps/v1',
+          kind: 'Deployment',
+          metadata: { name: 'web', labels: { app: 'web' } },
+          spec: { replicas: 2, selector: {} }
+        },
+        deploymentSchema
+      )
+    ).toEqual([])
+  })
+})
+
+describe('findDeprecation', () => {
+  it('distinguishes deprecated and removed API versions', () => {
+    expect(findDeprecation('batch/v1beta1', 'CronJob', '1.22.0')).toEqual({
+      status: 'deprecated',
+      message:
+        'batch/v1beta1 CronJob is deprecated since Kubernetes 1.21 and removed in 1.25, use batch/v1 instead'
+    })
+    expect(findDeprecation('batch/v1beta1', 'CronJob', 'v1.25')).toMatchObject({
+      status: 'removed'
+    })
+    expect(findDeprecation('batch/v1beta1', 'CronJob', '1.20')).toBeUndefined()
+    expect(findDeprecation('batch/v1', 'CronJob', '1.30')).toBeUndefined()
+  })
+})
+
+describe('createValidator', () => {
+  beforeEach(() => {
+    jest.resetAllMocks()
+    tc.downloadTool.mockImplementation(async (url) => {
+      if (url.endsWith('/deployment-apps-v1.json')) return '/tmp/deployment'
+      throw Object.assign(new Error('Unexpected HTTP response: 404'), {
+        httpStatusCode: 404
+      })
+    })
+    fs.promises.readFile.mockResolvedValue(JSON.stringify(deploymentSchema))
+  })
+
+  it('validates objects against downloaded schemas', async () => {
+    const validate = createValidator({ kubeVersion: '1.29' })
+
+    const issues = await validate([
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'web', namespace: 'apps' },
+        spec: { selector: {}, replicas: 'two' }
+      },
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        metadata: { name: 'api', namespace: 'apps' },
+        spec: { selector: {} }
+      }
+    ])
+
+    expect(tc.downloadTool).toHaveBeenCalledTimes(1)
+    expect(tc.downloadTool).toHaveBeenCalledWith(
+      'https://raw.githubusercontent.com/yannh/kubernetes-json-schema/master/v1.29.0-standalone-strict/deployment-apps-v1.json'
+    )
+    expect(issues).toEqual([
+      {
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        namespace: 'apps',
+        name: 'web',
+        severity: 'error',
+        type: 'invalid',
+        path: 'spec.replicas',
+        message: 'expected integer, got string'
+      }
+    ])
+  })
+
+  it('reports removed API versions and unknown kinds', async () => {
+    const validate = createValidator({ kubeVersion: '1.30.0' })
+
+    const issues = await validate([
+      {
+        apiVersion: 'extensions/v1beta1',
+        kind: 'Ingress',
+        metadata: { name: 'web' }
+      },
+      { apiVersion: 'example.com/v1', kind: 'Widget', metadata: { name: 'a' } }
+    ])
+
+    expect(issues).toMatchObject([
+      {
+        kind: 'Ingress',
+        severity: 'error',
+        type: 'removed',
+        message:
+          'extensions/v1beta1 Ingress was removed in Kubernetes 1.22, use networking.k8s.io/v1 instead'
+      },
+      {
+        kind: 'Widget',
+        severity: 'error',
+        type: 'unknown-kind',
+        message: 'No schema for example.com/v1 Widget in Kubernetes 1.30.0'
+      }
+    ])
+    expect(tc.downloadTool).toHaveBeenCalledTimes(1)
+  })
+
+  it('validates custom resources against CRDs among the objects', async () => {
+    const crd = {
+      apiVersion: 'apiextensions.k8s.io/v1',
+      kind: 'CustomResourceDefinition',
+      metadata: { name: 'widgets.example.com' },
+      spec: {
+        group: 'example.com',
+        names: { kind: 'Widget' },
+        versions: [
+          {
+            name: 'v1',
+            schema: {
+              openAPIV3Schema: {
+                type: 'object',
+                properties: {
+                  spec: {
+                    type: 'object',
+                    properties: { size: { type: 'integer' } }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+    expect([...getCrdSchemas([crd]).keys()]).toEqual(['example.com/v1 Widget'])
+
+    const validate = createValidator({ schemaLocation: '/schemas' })
+    fs.promises.readFile.mockRejectedValue(
+      Object.assign(new Error('not found'), { code: 'ENOENT' })
+    )
+
+    const issues = await validate([
+      crd,
+      {
+        apiVersion: 'example.com/v1',
+        kind: 'Widget',
+        metadata: { name: 'a' },
+        spec: { size: 'large', colour: 'red' }
+      }
+    ])
+
+    expect(fs.promises.readFile).toHaveBeenCalledWith(
+      '/schemas/v1.30.0-standalone-strict/customresourcedefinition-apiextensions-v1.json',
+      'utf8'
+    )
+    expect(issues.filter((issue) => issue.kind === 'Widget')).toMatchObject([
+      { path: 'spec.size', message: 'expected integer, got string' },
+      { path: 'spec.colour', message: 'unknown field' }
+    ])
+  })
+})
+
+describe('annotateIssues', () => {
+  it('annotates errors and warnings', () => {
+    annotateIssues([
+      {
+        target: 'app',
+        apiVersion: 'apps/v1',
+        kind: 'Deployment',
+        namespace: 'apps',
+        name: 'web',
+        severity: 'error',
+        type: 'invalid',
+        path: 'spec.replicas',
+        message: 'expected integer, got string'
+      },
+      {
+        apiVersion: 'batch/v1beta1',
+        kind: 'CronJob',
+        namespace: '',
+        name: 'job',
+        severity: 'warning',
+        type: 'deprecated',
+        path: '',
+        message: 'deprecated'
+      }
+    ])
+
+    expect(core.error).toHaveBeenCalledWith(
+      '[app] apps/v1 Deployment apps/web: spec.replicas: expected integer, got string',
+      { title: 'Kubernetes manifest validation: invalid' }
+    )
+    expect(core.warning).toHaveBeenCalledWith(
+      'batch/v1beta1 CronJob job: deprecated',
+      { title: 'Kubernetes manifest validation: deprecated' }
+    )
+  })
+})
@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * The entrypoint for the k8s-diff command line, running the action's diff
+ * outside GitHub Actions. See src/cli.js.
+ */
+import { run } from '../src/cli.js'
+
+process.exitCode = await run(process.argv.slice(2))
@@ -0,0 +1,31 @@
+/**
+ * Render the manifests exported by a JavaScript module as JSON, for the node
+ * tool. Usage: node generators/node.js [module]
+ *
+ * The module (index.js by default, relative to the working directory) exports
+ * manifests as its default export or as named exports: an object, a list, a
+ * function returning either, or a cdk8s App or Chart. Manifests are found
+ * anywhere in the output, see jsonToManifests() in src/manifests.js.
+ */
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+
+/**
+ * Synthesize cdk8s apps and charts into plain objects
+ * @param {*} value - Exported value
+ * @returns {*}
+ */
+function synthesize(value) {
+  if (value && Array.isArray(value.charts)) {
+    return value.charts.map((chart) => chart.toJson())
+  }
+  if (value && typeof value.toJson === 'function') return value.toJson()
+  return value
+}
+
+const file = path.resolve(process.argv[2] || 'index.js')
+const module = await import(pathToFileURL(file).href)
+let exported = 'default' in module ? module.default : { ...module }
+if (typeof exported === 'function') exported = await exported()
+
+process.stdout.write(JSON.stringify(synthesize(await exported)))
@@ -0,0 +1,126 @@
+import * as core from '@actions/core'
+import * as exec from '@actions/exec'
+import * as crypto from 'crypto'
+import * as fs from 'fs'
+import * as path from 'path'
+
+/**
+ * Bumped when the rendered output changes for the same inputs, e.g. when the
+ * way YAML files are collected or tool versions are read changes, so that old
+ * entries are not reused
+ */
+const CACHE_FORMAT = 4
+
+/**
+ * Get the git object id of a path at a commit
+ * @param {string} sha - Commit
+ * @param {string} file - Path relative to the repository root ('.' for the root)
+ * @returns {Promise<string>} Tree or blob id, empty when the path does not exist
+ */
+async function getObjectId(sha, file) {
+  const { stdout, exitCode } = await exec.getExecOutput(
+    'git',
+    ['rev-parse', `${sha}:${file === '.' ? '' : file}`],
+    { silent: true, ignoreReturnCode: true }
+  )
+  return exitCode === 0 ? stdout.trim() : ''
+}
+
+/**
+ * Create a cache of rendered manifests in a directory, e.g. one restored and
+ * saved with actions/cache. Entries are keyed by a hash of everything that
+ * affects rendering: the git objects of the paths the target depends on, the
+ * tool and its version, the command, prepare commands, arguments and
+ * environment.
+ * @param {string} directory - Cache directory
+ * @returns {{getKey: (inputs: object) => Promise<string>, get: (key: string) => Promise<string|undefined>, set: (key: string, content: string) => Promise<void>, stats: {hits: number, misses: number}}}
+ */
+export function createRenderCache(directory) {
+  const toolVersions = new Map()
+  const stats = { hits: 0, misses: 0 }
+
+  const getToolVersion = async ({ binary, versionArgs = [] }) => {
+    if (!binary) return ''
+    if (!toolVersions.has(binary)) {
+      const { stdout } = await exec.getExecOutput(binary, versionArgs, {
+        silent: true,
+        ignoreReturnCode: true
+      })
+      toolVersions.set(binary, stdout.trim())
+    }
+    return toolVersions.get(binary)
+  }
+
+  const file = (key) => path.join(directory, `${key}.yaml`)
+
+  return {
+    stats,
+
+    /**
+     * Compute the cache key of a side of a target
+     * @param {object} inputs
+     * @param {string} inputs.sha - Commit the side is rendered at
+     * @param {string[]} inputs.paths - Paths the rendered output depends on, see getTargetPaths()
+     * @param {object} inputs.tool - Tool definition of the side, see createToolRegistry()
+     * @param {string} inputs.command - Render command
+     * @param {string} inputs.prepareCommands - Prepare commands
+     * @param {string} inputs.workingDir - Working directory relative to the repository root
+     * @param {string[]} inputs.extraArgs - Arguments appended to the command
+     * @param {boolean} inputs.shell - Whether the commands run through bash
+     * @param {Object<string, string>} inputs.env - Extra environment variables
+     * @param {string[]} inputs.include - Files collected for the yaml tool
+     * @param {string[]} inputs.exclude - Paths skipped for the yaml tool
+     * @returns {Promise<string>}
+     */
+    async getKey({ sha, paths, tool, ...inputs }) {
+      const objects = []
+      for (const item of [...paths].sort()) {
+        objects.push([item, await getObjectId(sha, item)])
+      }
+      return crypto
+        .createHash('sha256')
+        .update(
+          JSON.stringify({
+            format: CACHE_FORMAT,
+            objects,
+            tool: tool.name,
+            toolVersion: await getToolVersion(tool),
+            ...inputs
+          })
+        )
+        .digest('hex')
+    },
+
+    /**
+     * Read cached manifests, counting the lookup as a hit or a miss
+     * @param {string} key - Key from getKey()
+     * @returns {Promise<string|undefined>}
+     */
+    async get(key) {
+      try {
+        const content = await fs.promises.readFile(file(key), 'utf8')
+        stats.hits++
+        return content
+      } catch {
+        stats.misses++
+        return undefined
+      }
+    },
+
+    /**
+     * Store rendered manifests. Failures are reported as warnings, since the
+     * cache is only an optimization.
+     * @param {string} key - Key from getKey()
+     * @param {string} content - Rendered manifests
+     * @returns {Promise<void>}
+     */
+    async set(key, content) {
+      try {
+        await fs.promises.mkdir(directory, { recursive: true })
+        await fs.promises.writeFile(file(key), content)
+      } catch (error) {
+        core.warning(`Failed to write render cache: ${error.message}`)
+      }
+    }
+  }
+}
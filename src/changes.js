@@ -0,0 +1,233 @@
+import * as path from 'path'
+import YAML from 'yaml'
+import { readFileAtRef } from './git.js'
+
+/**
+ * Normalize a path relative to the repository root
+ * @param {string} file - Relative path
+ * @returns {string} Normalized path without leading ./ or trailing slash ('.' for the root)
+ */
+function normalize(file) {
+  const normalized = path.posix.normalize(file).replace(/\/+$/, '')
+  return normalized === '' ? '.' : normalized
+}
+
+/**
+ * Check whether a file is the given path or lives below it
+ * @param {string} file - Changed file relative to the repository root
+ * @param {string} dir - Directory or file relative to the repository root
+ * @returns {boolean}
+ */
+function isWithin(file, dir) {
+  return dir === '.' || file === dir || file.startsWith(`${dir}/`)
+}
+
+/**
+ * Find local chart dependencies (repository: file://...) of a Helm chart,
+ * following dependencies of dependencies
+ * @param {string} chartDir - Chart directory relative to the repository root
+ * @param {string[]} shas - Commits to read Chart.yaml from
+ * @param {Set<string>} [visited] - Charts already inspected
+ * @returns {Promise<string[]>} Dependency directories relative to the repository root
+ */
+export async function getLocalChartDependencies(
+  chartDir,
+  shas,
+  visited = new Set()
+) {
+  visited.add(chartDir)
+  const dependencies = []
+
+  for (const sha of shas) {
+    const content = await readFileAtRef(
+      sha,
+      path.posix.join(chartDir, 'Chart.yaml')
+    )
+    if (!content) continue
+
+    let chart
+    try {
+      chart = YAML.parse(content)
+    } catch {
+      continue
+    }
+
+    for (const dependency of chart?.dependencies || []) {
+      const repository = dependency?.repository || ''
+      if (!repository.startsWith('file://')) continue
+
+      const dependencyDir = normalize(
+        path.posix.join(chartDir, repository.slice('file://'.length))
+      )
+      if (visited.has(dependencyDir)) continue
+
+      dependencies.push(
+        dependencyDir,
+        ...(await getLocalChartDependencies(dependencyDir, shas, visited))
+      )
+    }
+  }
+
+  return dependencies
+}
+
+/**
+ * Names kustomize looks for in a kustomization directory, in order
+ */
+const KUSTOMIZATION_FILES = [
+  'kustomization.yaml',
+  'kustomization.yml',
+  'Kustomization'
+]
+
+/**
+ * List the local files and directories a kustomization refers to. Remote
+ * resources (URLs and git repositories) are left out.
+ * @param {object} kustomization - Parsed kustomization file
+ * @returns {{directories: string[], files: string[]}} Entries that may hold
+ *   kustomizations of their own, and plain files
+ */
+function getKustomizationReferences(kustomization) {
+  // Generators and transformers may also be given inline as YAML strings
+  const isLocal = (entry) =>
+    typeof entry === 'string' &&
+    !entry.includes('\n') &&
+    !/^[a-z][\w+.-]*:\/\/|^git@|^github\.com\//i.test(entry) &&
+    !entry.includes('?ref=')
+  const generatorFiles = [
+    ...(kustomization.configMapGenerator || []),
+    ...(kustomization.secretGenerator || [])
+  ].flatMap((generator) => [
+    ...(generator?.files || []),
+    ...(generator?.envs || []),
+    ...(generator?.env ? [generator.env] : [])
+  ])
+  const valuesFiles = (kustomization.helmCharts || []).flatMap((chart) => [
+    ...(chart?.valuesFile ? [chart.valuesFile] : []),
+    ...(chart?.additionalValuesFiles || [])
+  ])
+  const entries = [
+    ...(kustomization.resources || []),
+    ...(kustomization.bases || []),
+    ...(kustomization.components || []),
+    ...(kustomization.generators || []),
+    ...(kustomization.transformers || [])
+  ].filter(isLocal)
+  return {
+    // A resource, generator or transformer is either a file or a
+    // kustomization directory
+    directories: entries.filter((entry) => !/\.(ya?ml|json)$/.test(entry)),
+    files: [
+      ...entries.filter((entry) => /\.(ya?ml|json)$/.test(entry)),
+      ...(kustomization.patchesStrategicMerge || []),
+      ...[
+        ...(kustomization.patches || []),
+        ...(kustomization.patchesJson6902 || []),
+        ...(kustomization.replacements || [])
+      ].map((entry) => entry?.path),
+      ...(kustomization.crds || []),
+      ...(kustomization.configurations || []),
+      ...valuesFiles,
+      // Generator files may be given as key=path
+      ...generatorFiles.map((file) => `${file}`.replace(/^[^=]*=/, ''))
+    ].filter(isLocal)
+  }
+}
+
+/**
+ * Find the paths a kustomization refers to (resources, bases, components,
+ * patches, replacements, generators, transformers, CRDs, configurations,
+ * generator files and helm chart values files), following the kustomizations
+ * it includes, so that an overlay depends on its bases outside its directory
+ * @param {string} dir - Kustomization directory relative to the repository root
+ * @param {string[]} shas - Commits to read kustomization files from
+ * @param {Set<string>} [visited] - Directories already inspected
+ * @returns {Promise<string[]>} Paths relative to the repository root
+ */
+export async function getKustomizeDependencies(dir, shas, visited = new Set()) {
+  visited.add(dir)
+  const dependencies = []
+
+  for (const sha of shas) {
+    let content = null
+    for (const name of KUSTOMIZATION_FILES) {
+      content = await readFileAtRef(sha, path.posix.join(dir, name))
+      if (content !== null) break
+    }
+    if (!content) continue
+
+    let kustomization
+    try {
+      kustomization = YAML.parse(content)
+    } catch {
+      continue
+    }
+    if (!kustomization || typeof kustomization !== 'object') continue
+
+    const { directories, files } = getKustomizationReferences(kustomization)
+    for (const file of files) {
+      dependencies.push(normalize(path.posix.join(dir, file)))
+    }
+    for (const entry of directories) {
+      const entryDir = normalize(path.posix.join(dir, entry))
+      if (visited.has(entryDir)) continue
+
+      dependencies.push(
+        entryDir,
+        ...(await getKustomizeDependencies(entryDir, shas, visited))
+      )
+    }
+  }
+
+  return dependencies
+}
+
+/**
+ * List the paths whose changes affect the rendered output of a target
+ * @param {object} target - Target from createTarget()
+ * @param {string[]} shas - Commits the target is rendered at
+ * @returns {Promise<string[]>} Paths relative to the repository root
+ */
+export async function getTargetPaths(target, shas) {
+  const sides = [
+    {
+      dir: normalize(target.workingDir),
+      tool: target.tools.base,
+      valuesFiles: target.valuesFiles
+    },
+    {
+      dir: normalize(target.headWorkingDir),
+      tool: target.tools.head,
+      valuesFiles: target.headValuesFiles
+    }
+  ]
+  const paths = sides.map((side) => side.dir)
+  if (target.snapshot) paths.push(normalize(target.snapshot))
+
+  for (const { dir, tool, valuesFiles } of sides) {
+    for (const file of [...valuesFiles, ...tool.files]) {
+      paths.push(normalize(path.posix.join(dir, file)))
+    }
+  }
+  const dependencies = new Set()
+  for (const { dir, tool } of sides) {
+    const key = `${tool.name}:${dir}`
+    if (!tool.dependencies || dependencies.has(key)) continue
+    dependencies.add(key)
+    paths.push(...(await tool.dependencies(dir, shas)))
+  }
+
+  return [...new Set(paths)]
+}
+
+/**
+ * Check whether any changed file affects a target
+ * @param {object} target - Target from createTarget()
+ * @param {string[]} changedFiles - Files changed between base and head
+ * @param {string[]} shas - Commits the target is rendered at
+ * @returns {Promise<boolean>}
+ */
+export async function isTargetAffected(target, changedFiles, shas) {
+  const paths = await getTargetPaths(target, shas)
+  return changedFiles.some((file) => paths.some((dir) => isWithin(file, dir)))
+}
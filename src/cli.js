@@ -0,0 +1,508 @@
+import * as io from '@actions/io'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { parseArgs } from 'util'
+import {
+  getDefaultBranch,
+  getRepositoryRoot,
+  resolveCommit,
+  createCheckouts
+} from './git.js'
+import { loadToolRegistry } from './registry.js'
+import {
+  createTarget,
+  parseTargets,
+  parseEnvInput,
+  diffTargets,
+  combineResults,
+  checkTargetPaths
+} from './targets.js'
+import { createRedactor } from './redact.js'
+import { loadIgnoreConfig } from './ignore.js'
+import { loadDefaultsSchema, createNormalizer } from './normalize.js'
+import { createRenderCache } from './cache.js'
+import {
+  DEFAULT_VALIDATION_KUBE_VERSION,
+  createValidator,
+  loadCrdSchemas,
+  resolveSchemaLocation,
+  formatIssue
+} from './validate.js'
+import { buildJsonReport } from './report.js'
+import { formatImageChange } from './images.js'
+import { loadPolicy, evaluatePolicy, formatViolation } from './policy.js'
+
+/**
+ * Command line options, named after the action inputs. Options that can be
+ * repeated replace the newline-separated list inputs.
+ */
+const OPTIONS = {
+  base: { type: 'string' },
+  head: { type: 'string' },
+  mode: { type: 'string', default: 'refs' },
+  tool: { type: 'string', default: 'yaml' },
+  command: { type: 'string', default: '' },
+  'head-tool': { type: 'string', default: '' },
+  'head-command': { type: 'string', default: '' },
+  'working-dir': { type: 'string', default: './' },
+  'head-working-dir': { type: 'string', default: '' },
+  'values-file': { type: 'string', multiple: true, default: [] },
+  'head-values-file': { type: 'string', multiple: true, default: [] },
+  set: { type: 'string', multiple: true, default: [] },
+  'release-name': { type: 'string', default: '' },
+  namespace: { type: 'string', default: '' },
+  'kube-version': { type: 'string', default: '' },
+  'api-version': { type: 'string', multiple: true, default: [] },
+  'prepare-commands': { type: 'string', default: '' },
+  shell: { type: 'boolean', default: false },
+  env: { type: 'string', multiple: true, default: [] },
+  include: { type: 'string', multiple: true, default: [] },
+  exclude: { type: 'string', multiple: true, default: [] },
+  snapshot: { type: 'string', default: '' },
+  targets: { type: 'string', default: '' },
+  'tools-file': { type: 'string', default: '' },
+  'ignore-file': { type: 'string', default: '' },
+  'policy-file': { type: 'string', default: '' },
+  redact: { type: 'string', multiple: true, default: [] },
+  'show-secrets': { type: 'boolean', default: false },
+  'normalize-defaults': { type: 'boolean', default: false },
+  validate: { type: 'boolean', default: false },
+  'schema-location': { type: 'string', default: '' },
+  'crd-schemas-dir': { type: 'string', default: '' },
+  'cache-dir': { type: 'string', default: '' },
+  concurrency: { type: 'string', default: '1' },
+  json: { type: 'boolean', default: false },
+  'no-color': { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+const USAGE = `Usage: k8s-diff [options]
+
+Render Kubernetes manifests at two git refs (or two directories) and print
+the differences, like the k8s-diff action does on a pull request.
+
+Refs:
+  --base <ref>               Base ref (default: the default branch)
+  --head <ref>               Head ref (default: the working tree, including
+                             uncommitted changes)
+  --mode <refs|paths>        paths compares --working-dir and --head-working-dir
+                             of the working tree
+
+Rendering:
+  --tool <name>              yaml, helm, kustomize, helmfile, jsonnet, node or
+                             a tool from --tools-file (default: yaml)
+  --command <command>        Render command (default: the tool's)
+  --head-tool <name>         Tool for the head side
+  --head-command <command>   Render command for the head side
+  --working-dir <dir>        Directory to render, relative to the repository root
+  --head-working-dir <dir>   Directory to render for the head side
+  --values-file <file>       Helm values file (repeatable)
+  --head-values-file <file>  Helm values file for the head side (repeatable)
+  --set <key=value>          Helm value (repeatable)
+  --release-name <name>      Helm release name
+  --namespace <namespace>    Helm namespace
+  --kube-version <version>   Helm kube version
+  --api-version <version>    Helm API version (repeatable)
+  --prepare-commands <cmds>  Commands run before rendering, one per line
+  --shell                    Run commands through bash
+  --env <KEY=VALUE>          Environment variable for commands (repeatable)
+  --include <glob>           Files collected by the yaml tool (repeatable)
+  --exclude <glob>           Paths skipped by the yaml tool (repeatable)
+  --snapshot <path>          Exported objects compared instead of the base
+  --targets <file>           YAML file listing several targets, as the targets input
+  --tools-file <file>        Custom tools, as the tools-file input
+  --cache-dir <dir>          Cache rendered manifests in a directory
+  --concurrency <n>          Targets rendered at once (default: 1)
+
+Comparison:
+  --ignore-file <file>       Ignore rules
+  --policy-file <file>       Policy rules; error violations exit with code 1
+  --redact <pattern>         Redact matching keys or JSONPath (repeatable)
+  --show-secrets             Do not redact Secret data
+  --normalize-defaults       Drop fields set to their API server default
+  --validate                 Validate head manifests against Kubernetes schemas
+  --schema-location <url>    Base URL or directory of the schemas
+  --crd-schemas-dir <dir>    CustomResourceDefinitions to validate custom resources
+
+Output:
+  --json                     Print the JSON report instead of the text diff
+  --no-color                 Do not color the diff (also NO_COLOR)
+  -v, --verbose              Show the log of rendering commands
+  -h, --help                 Show this help
+
+Files given as options are found from the current directory, the paths of
+targets (working directories, values files, snapshots) from the repository
+root. Tools are used from PATH. Exit code 1 means the diff could not be
+produced or a policy error was found, as when the action fails.`
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Option values by name
+ * @throws {Error} On unknown options or invalid values
+ */
+export function parseCliArgs(argv) {
+  let values
+  try {
+    ;({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }))
+  } catch (error) {
+    throw new Error(`${error.message}\nRun k8s-diff --help for usage.`)
+  }
+  if (!['refs', 'paths'].includes(values.mode)) {
+    throw new Error(`Invalid mode "${values.mode}": expected refs or paths`)
+  }
+  const concurrency = Number(values.concurrency)
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency "${values.concurrency}": expected a positive integer`
+    )
+  }
+  return { ...values, concurrency }
+}
+
+const COLORS = { red: 31, green: 32, yellow: 33, bold: 1 }
+
+/**
+ * Wrap text in an ANSI color
+ * @param {string} text - Text
+ * @param {string} color - Name from COLORS
+ * @returns {string}
+ */
+function paint(text, color) {
+  return `\x1b[${COLORS[color]}m${text}\x1b[0m`
+}
+
+/**
+ * Color a text diff from formatDiff() for a terminal
+ * @param {string} text - Text diff
+ * @returns {string}
+ */
+export function colorizeDiff(text) {
+  return text
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('# Target: ')) return paint(line, 'bold')
+      const marker = line.trimStart()[0]
+      if (marker === '+') return paint(line, 'green')
+      if (marker === '-') return paint(line, 'red')
+      if (marker === '~') return paint(line, 'yellow')
+      return line
+    })
+    .join('\n')
+}
+
+/**
+ * Unescape the message of a workflow command
+ * @param {string} value - Escaped message
+ * @returns {string}
+ */
+function unescapeCommandValue(value) {
+  return value.replace(/%0D/g, '\r').replace(/%0A/g, '\n').replace(/%25/g, '%')
+}
+
+/**
+ * Translate the output of @actions/core for a terminal. Warnings, errors and
+ * notices become plain messages; group titles and other lines are only kept
+ * when verbose, and the remaining workflow commands are dropped.
+ * @param {string} text - Output written to stdout by @actions/core or @actions/exec
+ * @param {object} [options]
+ * @param {boolean} [options.verbose] - Keep info lines and group titles
+ * @param {boolean} [options.color] - Color the messages
+ * @returns {string}
+ */
+export function formatActionsOutput(
+  text,
+  { verbose = false, color = false } = {}
+) {
+  return text
+    .split(/(?<=\n)/)
+    .map((line) => {
+      const match = /^::([\w-]+)(?: [^:]*)?::(.*?)(\r?\n)?$/s.exec(line)
+      if (!match) return verbose ? line : ''
+      const [, command, value, eol = ''] = match
+      const message = unescapeCommandValue(value)
+      if (['warning', 'error', 'notice'].includes(command)) {
+        const label = `${command}:`
+        const colored = color
+          ? paint(label, command === 'error' ? 'red' : 'yellow')
+          : label
+        return `${colored} ${message}${eol}`
+      }
+      if (command === 'group' && verbose) {
+        return `${color ? paint(message, 'bold') : message}${eol}`
+      }
+      return ''
+    })
+    .join('')
+}
+
+/**
+ * Send what @actions/core and @actions/exec write to stdout to stderr,
+ * translated with formatActionsOutput(), so that stdout only holds the diff
+ * @param {object} options - Options of formatActionsOutput()
+ * @returns {{write: (text: string) => void, restore: () => void}}
+ *   A function writing to the real stdout, and one undoing the redirection
+ */
+function redirectActionsOutput(options) {
+  const stdoutWrite = process.stdout.write
+  process.stdout.write = (chunk, ...args) => {
+    const text = formatActionsOutput(`${chunk}`, options)
+    const callback = args.find((arg) => typeof arg === 'function')
+    if (!text) {
+      callback?.()
+      return true
+    }
+    return process.stderr.write(text, callback)
+  }
+  return {
+    write: (text) => stdoutWrite.call(process.stdout, text),
+    restore: () => {
+      process.stdout.write = stdoutWrite
+    }
+  }
+}
+
+/**
+ * Options naming files or directories, relative to the directory the command
+ * runs in rather than to the repository root
+ */
+const FILE_OPTIONS = [
+  'targets',
+  'tools-file',
+  'ignore-file',
+  'policy-file',
+  'cache-dir',
+  'crd-schemas-dir'
+]
+
+/**
+ * Build the targets from the command line options
+ * @param {object} options - Options from parseCliArgs()
+ * @param {Map<string, object>} tools - Tool registry from loadToolRegistry()
+ * @returns {Promise<object[]>}
+ */
+async function loadTargets(options, tools) {
+  if (options.targets) {
+    let content
+    try {
+      content = await fs.promises.readFile(options.targets, 'utf8')
+    } catch (error) {
+      throw new Error(
+        `Failed to read targets file ${options.targets}: ${error.message}`
+      )
+    }
+    return parseTargets(content, tools)
+  }
+  return [
+    createTarget(
+      {
+        name: 'default',
+        tool: options.tool,
+        command: options.command,
+        headTool: options['head-tool'],
+        headCommand: options['head-command'],
+        workingDir: options['working-dir'],
+        headWorkingDir: options['head-working-dir'],
+        valuesFiles: options['values-file'],
+        headValuesFiles: options['head-values-file'],
+        helm: {
+          releaseName: options['release-name'],
+          namespace: options.namespace,
+          kubeVersion: options['kube-version'],
+          apiVersions: options['api-version'],
+          set: options.set
+        },
+        prepareCommands: options['prepare-commands'],
+        shell: options.shell,
+        env: parseEnvInput(options.env.join('\n')),
+        include: options.include,
+        exclude: options.exclude,
+        snapshot: options.snapshot
+      },
+      tools
+    )
+  ]
+}
+
+/**
+ * Render and diff the targets described by the options
+ * @param {object} options - Options from parseCliArgs()
+ * @param {(text: string) => void} write - Writes to stdout
+ * @param {boolean} color - Color the output
+ * @returns {Promise<number>} Exit code
+ */
+async function diff(options, write, color) {
+  const log = (text) => process.stderr.write(`${text}\n`)
+
+  // Files given on the command line are found from the current directory,
+  // target paths from the repository root, as in the action
+  for (const name of FILE_OPTIONS) {
+    if (options[name])
+      options = { ...options, [name]: path.resolve(options[name]) }
+  }
+  const schemaLocation = resolveSchemaLocation(options['schema-location'])
+  process.chdir(await getRepositoryRoot())
+
+  const tools = await loadToolRegistry({ file: options['tools-file'] })
+  const targets = await loadTargets(options, tools)
+  const ignore = await loadIgnoreConfig({ file: options['ignore-file'] })
+  const policy = await loadPolicy({ file: options['policy-file'] })
+  const redact = createRedactor({
+    redactSecrets: !options['show-secrets'],
+    patterns: options.redact.join('\n')
+  })
+  const normalize = options['normalize-defaults']
+    ? createNormalizer(await loadDefaultsSchema())
+    : undefined
+  const validate = options.validate
+    ? createValidator({
+        kubeVersion: options['kube-version'] || DEFAULT_VALIDATION_KUBE_VERSION,
+        schemaLocation,
+        crdSchemas: options['crd-schemas-dir']
+          ? await loadCrdSchemas(options['crd-schemas-dir'])
+          : undefined
+      })
+    : undefined
+  const cache = options['cache-dir']
+    ? createRenderCache(options['cache-dir'])
+    : undefined
+
+  let refs = { baseRef: '', baseSha: '', headRef: '', headSha: '' }
+  let checkouts
+  if (options.mode === 'paths') {
+    checkTargetPaths(targets, process.cwd())
+    checkouts = {
+      baseRoot: process.cwd(),
+      headRoot: process.cwd(),
+      cleanup: async () => {}
+    }
+  } else {
+    const baseRef = options.base || (await getDefaultBranch())
+    const headRef = options.head || 'HEAD'
+    refs = {
+      baseRef,
+      baseSha: await resolveCommit(baseRef),
+      headRef: options.head || 'working tree',
+      headSha: await resolveCommit(headRef)
+    }
+    // Without --head, the working tree is used for head as is. With it, the
+    // commit is checked out even when it is HEAD, since the rendered head
+    // is cached under its sha.
+    checkouts = await createCheckouts({
+      ...refs,
+      useWorkspace: !options.head
+    })
+  }
+
+  let results
+  try {
+    results = await diffTargets(targets, {
+      baseRoot: checkouts.baseRoot,
+      headRoot: checkouts.headRoot,
+      baseSha: refs.baseSha,
+      // Uncommitted changes are not part of a cache key
+      headSha: options.head ? refs.headSha : '',
+      cache,
+      validate,
+      normalize,
+      ignore,
+      redact,
+      concurrency: options.concurrency
+    })
+  } finally {
+    await checkouts.cleanup()
+  }
+
+  const combined = combineResults(results)
+  const violations = evaluatePolicy(combined.diff.resources, policy)
+
+  if (options.json) {
+    const report = buildJsonReport({
+      results,
+      base: { ref: refs.baseRef, sha: refs.baseSha },
+      head: { ref: refs.headRef, sha: refs.headSha }
+    })
+    write(`${JSON.stringify(report, null, 2)}\n`)
+  } else if (combined.diffOutput) {
+    const { added, removed, modified } = combined.diff.summary
+    write(
+      `${color ? colorizeDiff(combined.diffOutput) : combined.diffOutput}\n\n`
+    )
+    write(`${added} added, ${removed} removed, ${modified} modified\n`)
+  } else {
+    write('No changes detected.\n')
+  }
+  const imageChanges = [...combined.images, ...combined.charts]
+  if (!options.json && imageChanges.length > 0) {
+    write(
+      `\nImage and chart changes:\n${imageChanges.map((change) => `  ${formatImageChange(change)}\n`).join('')}`
+    )
+  }
+
+  for (const issue of combined.validation) {
+    log(`validation: ${formatIssue(issue)}`)
+  }
+  for (const violation of violations) {
+    log(`policy ${violation.severity}: ${formatViolation(violation)}`)
+  }
+  if (combined.failed.length > 0) {
+    log(`Not compared: ${combined.failed.join(', ')}`)
+  }
+  if (combined.incomplete.length > 0) {
+    log(`Incomplete: ${combined.incomplete.join(', ')}`)
+  }
+  if (combined.hasError) {
+    log(`Some commands failed:\n${combined.stderr.trimEnd()}`)
+  }
+
+  // Failed targets could not be checked against the error rules
+  const policyFailed =
+    violations.some((violation) => violation.severity === 'error') ||
+    (combined.failed.length > 0 &&
+      policy.some((rule) => rule.severity === 'error'))
+  return policyFailed ? 1 : 0
+}
+
+/**
+ * Run the k8s-diff command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code: 0 when the diff was produced, 1 when
+ *   it could not be or a policy error was found, as when the action fails
+ */
+export async function run(argv) {
+  let options
+  try {
+    options = parseCliArgs(argv)
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`)
+    return 1
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`)
+    return 0
+  }
+
+  const color =
+    !options['no-color'] && !process.env.NO_COLOR && !!process.stdout.isTTY
+  const output = redirectActionsOutput({ verbose: options.verbose, color })
+  // @actions/tool-cache downloads schemas and tools to RUNNER_TEMP, which is
+  // only set on a runner
+  const tempDir = process.env.RUNNER_TEMP
+    ? ''
+    : await fs.promises.mkdtemp(path.join(os.tmpdir(), 'k8s-diff-cli-'))
+  if (tempDir) process.env.RUNNER_TEMP = tempDir
+  try {
+    return await diff(options, output.write, color)
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`)
+    return 1
+  } finally {
+    output.restore()
+    if (tempDir) {
+      delete process.env.RUNNER_TEMP
+      await io.rmRF(tempDir)
+    }
+  }
+}
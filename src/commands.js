@@ -1,28 +1,201 @@
 import * as core from '@actions/core'
 import * as exec from '@actions/exec'
 
+/**
+ * Characters that only a shell can interpret. Commands containing them
+ * unquoted must run with the shell option.
+ */
+const SHELL_OPERATORS = new Set(['|', '&', ';', '<', '>', '(', ')', '`'])
+
+/**
+ * Glob characters, expanded by a shell wherever they appear unquoted
+ */
+const GLOB_CHARACTERS = new Set(['*', '?'])
+
+/**
+ * Characters a shell interprets at the start of a word only: ~ expands to the
+ * home directory and # starts a comment
+ */
+const WORD_START_CHARACTERS = new Set(['~', '#'])
+
+/**
+ * Split a command line into arguments with POSIX shell quoting rules: single
+ * quotes are literal, double quotes allow \", \\, \$ and \` escapes, and a
+ * backslash outside quotes escapes the next character. Leading NAME=value
+ * words become environment variables, as in a shell.
+ * @param {string} command - Command line
+ * @returns {{args: string[], env: Object<string, string>, shellSyntax: string}}
+ *   Arguments, environment assignments and the first shell-only construct found ('' if none)
+ * @throws {Error} If a quote is not terminated
+ */
+export function parseCommandLine(command) {
+  const words = []
+  let shellSyntax = ''
+  let current = ''
+  let inWord = false
+  let i = 0
+
+  const flag = (construct) => {
+    if (!shellSyntax) shellSyntax = construct
+  }
+
+  while (i < command.length) {
+    const char = command[i]
+
+    if (/\s/.test(char)) {
+      if (inWord) words.push(current)
+      current = ''
+      inWord = false
+      i++
+      continue
+    }
+
+    const wordStart = !inWord
+    inWord = true
+    if (char === "'") {
+      const end = command.indexOf("'", i + 1)
+      if (end === -1)
+        throw new Error(`Unterminated quote in command: ${command}`)
+      current += command.slice(i + 1, end)
+      i = end + 1
+    } else if (char === '"') {
+      i++
+      while (i < command.length && command[i] !== '"') {
+        if (command[i] === '\\' && '"\\$`'.includes(command[i + 1])) {
+          current += command[i + 1]
+          i += 2
+          continue
+        }
+        if (command[i] === '$' || command[i] === '`') flag(command[i])
+        current += command[i]
+        i++
+      }
+      if (i >= command.length) {
+        throw new Error(`Unterminated quote in command: ${command}`)
+      }
+      i++
+    } else if (char === '\\') {
+      // A backslash before a newline continues the line
+      if (command[i + 1] !== '\n') current += command[i + 1] ?? ''
+      i += 2
+    } else {
+      if (SHELL_OPERATORS.has(char) || GLOB_CHARACTERS.has(char)) flag(char)
+      if (wordStart && WORD_START_CHARACTERS.has(char)) flag(char)
+      if (char === '$' && /[\w{(]/.test(command[i + 1] ?? '')) flag('$')
+      current += char
+      i++
+    }
+  }
+  if (inWord) words.push(current)
+
+  const env = {}
+  while (words.length > 1 && /^[A-Za-z_]\w*=/.test(words[0])) {
+    const word = words.shift()
+    const index = word.indexOf('=')
+    env[word.slice(0, index)] = word.slice(index + 1)
+  }
+
+  return { args: words, env, shellSyntax }
+}
+
+/**
+ * Create a log that holds messages and command output until flushed, so that
+ * commands running concurrently do not interleave their output
+ * @returns {{info: (message: string) => void, flush: (title: string) => void}}
+ */
+export function createBufferedLog() {
+  const lines = []
+  return {
+    info(message) {
+      lines.push(message)
+    },
+    flush(title) {
+      core.startGroup(title)
+      for (const line of lines.splice(0)) core.info(line)
+      core.endGroup()
+    }
+  }
+}
+
 /**
  * Run a command in a specific directory and capture output
  * @param {string} command - Command to run
  * @param {string} workingDir - Directory to run command in
+ * @param {object} [options]
+ * @param {string[]} [options.extraArgs] - Arguments appended as is, without splitting.
+ *   In shell mode they are passed as positional parameters, and the script must reference them as "$@".
+ * @param {boolean} [options.shell] - Run the command as a bash script (pipes, &&, redirects, variables)
+ * @param {Object<string, string>} [options.env] - Extra environment variables
+ * @param {object} [options.log] - Log from createBufferedLog() receiving the command and its stderr instead of the job log
+ * @param {boolean} [options.logStdout] - Log stdout as well. Off by default, since
+ *   render output holds Secret data that is only masked once it is parsed; only
+ *   its line count is logged then.
  * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
  */
-export async function runCommand(command, workingDir) {
-  const args = command.split(' ')
-  const cmd = args.shift()
-
+export async function runCommand(
+  command,
+  workingDir,
+  { extraArgs = [], shell = false, env = {}, log, logStdout = false } = {}
+) {
+  const { info } = log || core
   let stdout = ''
   let stderr = ''
   let exitCode = 0
 
   try {
+    let cmd
+    let args
+    let commandEnv = env
+
+    if (shell) {
+      if (extraArgs.length > 0 && !command.includes('$@')) {
+        throw new Error(
+          `Command does not reference "$@", add it where the tool arguments go: ${extraArgs.join(' ')}`
+        )
+      }
+      cmd = 'bash'
+      args = [
+        '--noprofile',
+        '--norc',
+        '-eo',
+        'pipefail',
+        '-c',
+        command,
+        'bash',
+        ...extraArgs
+      ]
+    } else {
+      const parsed = parseCommandLine(command)
+      if (parsed.shellSyntax) {
+        throw new Error(
+          `Command uses shell syntax (${parsed.shellSyntax}), enable the shell option to run it: ${command}`
+        )
+      }
+      if (parsed.args.length === 0) {
+        throw new Error('Command is empty')
+      }
+      ;[cmd, ...args] = [...parsed.args, ...extraArgs]
+      commandEnv = { ...env, ...parsed.env }
+    }
+
+    info(`[command]${[cmd, ...args].join(' ')}`)
     const result = await exec.getExecOutput(cmd, args, {
       cwd: workingDir,
-      ignoreReturnCode: true
+      ignoreReturnCode: true,
+      silent: true,
+      ...(Object.keys(commandEnv).length > 0 && {
+        env: { ...process.env, ...commandEnv }
+      })
     })
     stdout = result.stdout
     stderr = result.stderr
     exitCode = result.exitCode
+    if (logStdout && stdout.trim()) {
+      info(stdout.trimEnd())
+    } else if (stdout.trim()) {
+      info(`(${stdout.trimEnd().split('\n').length} line(s) of output)`)
+    }
+    if (stderr.trim()) info(stderr.trimEnd())
   } catch (error) {
     stderr = error.message
     exitCode = 1
@@ -32,27 +205,72 @@ export async function runCommand(command, workingDir) {
 }
 
 /**
- * Run prepare commands in the working directory
+ * Split prepare commands into individual commands. Lines ending with a
+ * backslash continue on the next line.
+ * @param {string} prepareCommands - Newline-separated list of commands
+ * @returns {string[]}
+ */
+export function splitPrepareCommands(prepareCommands) {
+  return prepareCommands
+    .replace(/\\\r?\n/g, ' ')
+    .split('\n')
+    .map((cmd) => cmd.trim())
+    .filter((cmd) => cmd.length > 0)
+}
+
+/**
+ * Run prepare commands in the working directory. In shell mode the whole
+ * block runs as one bash script, so multi-line constructs (if, for, heredocs)
+ * work and the script stops at the first failing command.
  * @param {string} prepareCommands - Newline-separated list of commands to run
  * @param {string} workingDir - Working directory
+ * @param {object} [options]
+ * @param {boolean} [options.shell] - Run through bash
+ * @param {Object<string, string>} [options.env] - Extra environment variables
+ * @param {object} [options.log] - Log from createBufferedLog(), defaults to the job log
  * @returns {Promise<{stderr: string, hasError: boolean}>}
  */
-export async function runPrepareCommands(prepareCommands, workingDir) {
+export async function runPrepareCommands(
+  prepareCommands,
+  workingDir,
+  { shell = false, env = {}, log } = {}
+) {
   if (!prepareCommands || !prepareCommands.trim()) {
     return { stderr: '', hasError: false }
   }
+  const { info } = log || core
 
-  const commands = prepareCommands
-    .split('\n')
-    .map((cmd) => cmd.trim())
-    .filter((cmd) => cmd.length > 0)
+  if (shell) {
+    info(
+      `Running prepare script (${prepareCommands.trim().split('\n').length} line(s))`
+    )
+    const result = await runCommand(prepareCommands, workingDir, {
+      shell,
+      env,
+      log,
+      logStdout: true
+    })
+    if (result.exitCode !== 0) {
+      return {
+        stderr: `Prepare script failed: ${result.stderr}\n`,
+        hasError: true
+      }
+    }
+    return { stderr: '', hasError: false }
+  }
+
+  const commands = splitPrepareCommands(prepareCommands)
 
   let allStderr = ''
   let hasError = false
 
   for (const cmd of commands) {
-    core.info(`Running prepare command: ${cmd}`)
-    const result = await runCommand(cmd, workingDir)
+    info(`Running prepare command: ${cmd}`)
+    const result = await runCommand(cmd, workingDir, {
+      env,
+      log,
+      logStdout: true
+    })
 
     if (result.exitCode !== 0) {
       allStderr += `Prepare command failed (${cmd}): ${result.stderr}\n`
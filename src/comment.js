@@ -0,0 +1,162 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  getRunUrl,
+  renderFailureNote,
+  renderOmittedNote,
+  renderResourceDetails,
+  renderSummaryLine
+} from './markdown.js'
+
+/**
+ * GitHub rejects issue comments longer than 65536 characters
+ */
+export const MAX_COMMENT_LENGTH = 65536
+
+/**
+ * Build the hidden marker used to find the comment on later runs
+ * @param {string} identifier - Distinguishes several diffs posted on the same pull request
+ * @returns {string}
+ */
+export function getCommentMarker(identifier) {
+  return `<!-- k8s-diff-action:${identifier} -->`
+}
+
+/**
+ * Render the pull request comment for a diff. Resources are added in order
+ * until the size limit is reached; the remainder is replaced by a note
+ * pointing at the workflow run.
+ * @param {{resources: object[], summary: object}} diff - Result of diffResources()
+ * @param {object} options
+ * @param {string} options.marker - Hidden marker from getCommentMarker()
+ * @param {string} options.identifier - Comment identifier, shown in the title unless "default"
+ * @param {string} [options.runUrl] - Link to the workflow run with the full diff
+ * @param {number} [options.maxLength] - Maximum length of the comment body
+ * @param {string[]} [options.failed] - Targets not compared because a side failed
+ * @param {string[]} [options.incomplete] - Targets compared without files that failed to parse
+ * @returns {string}
+ */
+export function renderComment(
+  diff,
+  {
+    marker,
+    identifier,
+    runUrl,
+    maxLength = MAX_COMMENT_LENGTH,
+    failed = [],
+    incomplete = []
+  }
+) {
+  const title =
+    identifier && identifier !== 'default'
+      ? `### Kubernetes manifest diff (${identifier})`
+      : '### Kubernetes manifest diff'
+  const failureNote = renderFailureNote({ failed, incomplete })
+  const header = [
+    marker,
+    title,
+    '',
+    ...(failureNote ? [failureNote, ''] : []),
+    renderSummaryLine(diff.summary),
+    ''
+  ].join('\n')
+
+  const sections = diff.resources.map(renderResourceDetails)
+  const included = []
+  // Reserve room for the truncation note so that adding it never overflows
+  const budget = maxLength - header.length - 300
+  let length = 0
+
+  for (const section of sections) {
+    if (length + section.length + 1 > budget) break
+    included.push(section)
+    length += section.length + 1
+  }
+
+  let body = header + '\n' + included.join('\n')
+
+  const omitted = sections.length - included.length
+  if (omitted > 0) {
+    body += `\n\n${renderOmittedNote(omitted, { limit: 'comment', runUrl })}`
+  }
+
+  return body
+}
+
+/**
+ * Find the comment carrying the marker on an issue or pull request
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {{owner: string, repo: string, issue_number: number}} issue - Issue coordinates
+ * @param {string} marker - Hidden marker from getCommentMarker()
+ * @returns {Promise<object|undefined>} The existing comment, if any
+ */
+export async function findComment(octokit, issue, marker) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    ...issue,
+    per_page: 100
+  })
+  return comments.find((comment) => comment.body?.includes(marker))
+}
+
+/**
+ * Create, update or delete the sticky diff comment on the current pull request.
+ * The comment is removed when the diff is empty and every target was compared.
+ * @param {{resources: object[], summary: object}} diff - Result of diffResources()
+ * @param {object} options
+ * @param {string} options.token - GitHub token with pull-requests write access
+ * @param {string} options.identifier - Distinguishes several diffs posted on the same pull request
+ * @param {string[]} [options.failed] - Targets not compared because a side failed
+ * @param {string[]} [options.incomplete] - Targets compared without files that failed to parse
+ * @returns {Promise<void>}
+ */
+export async function publishDiffComment(
+  diff,
+  { token, identifier, failed = [], incomplete = [] }
+) {
+  const { context } = github
+  const pullRequest = context.payload?.pull_request
+  if (!pullRequest) {
+    core.info('Not running on a pull request, skipping diff comment')
+    return
+  }
+
+  const octokit = github.getOctokit(token)
+  const issue = { ...context.repo, issue_number: pullRequest.number }
+  const marker = getCommentMarker(identifier)
+  const existing = await findComment(octokit, issue, marker)
+
+  if (
+    diff.resources.length === 0 &&
+    failed.length === 0 &&
+    incomplete.length === 0
+  ) {
+    if (existing) {
+      core.info(`Deleting diff comment ${existing.id}, diff is empty`)
+      await octokit.rest.issues.deleteComment({
+        ...context.repo,
+        comment_id: existing.id
+      })
+    }
+    return
+  }
+
+  const body = renderComment(diff, {
+    marker,
+    identifier,
+    runUrl: getRunUrl(context),
+    failed,
+    incomplete
+  })
+
+  if (existing) {
+    core.info(`Updating diff comment ${existing.id}`)
+    await octokit.rest.issues.updateComment({
+      ...context.repo,
+      comment_id: existing.id,
+      body
+    })
+  } else {
+    core.info('Creating diff comment')
+    await octokit.rest.issues.createComment({ ...issue, body })
+  }
+}
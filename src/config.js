@@ -1,27 +1,11 @@
 /**
- * Get the default command for a given tool
- * @param {string} tool - The tool name (yaml, helm, kustomize)
- * @returns {string} The default command for the tool
+ * Parse a list input with one item per line
+ * @param {string} input - Newline-separated list
+ * @returns {string[]} Trimmed, non-empty items
  */
-export function getDefaultCommand(tool) {
-  const defaults = {
-    yaml: '',
-    helm: 'helm template .',
-    kustomize: 'kustomize build .'
-  }
-  return defaults[tool] || ''
-}
-
-/**
- * Get the default prepare commands for a given tool
- * @param {string} tool - The tool name (yaml, helm, kustomize)
- * @returns {string} The default prepare commands for the tool (newline-separated)
- */
-export function getDefaultPrepareCommands(tool) {
-  const defaults = {
-    yaml: '',
-    helm: 'helm dependency update',
-    kustomize: ''
-  }
-  return defaults[tool] || ''
+export function parseListInput(input) {
+  return (input || '')
+    .split('\n')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0)
 }
@@ -0,0 +1,236 @@
+/**
+ * Built-in API versions that were deprecated and later removed from
+ * Kubernetes, with the version serving their replacement
+ */
+export const DEPRECATED_APIS = [
+  ...['Deployment', 'DaemonSet', 'ReplicaSet'].map((kind) => ({
+    apiVersion: 'extensions/v1beta1',
+    kind,
+    deprecatedIn: '1.9',
+    removedIn: '1.16',
+    replacement: 'apps/v1'
+  })),
+  ...['Deployment', 'StatefulSet'].map((kind) => ({
+    apiVersion: 'apps/v1beta1',
+    kind,
+    deprecatedIn: '1.9',
+    removedIn: '1.16',
+    replacement: 'apps/v1'
+  })),
+  ...['Deployment', 'DaemonSet', 'ReplicaSet', 'StatefulSet'].map((kind) => ({
+    apiVersion: 'apps/v1beta2',
+    kind,
+    deprecatedIn: '1.9',
+    removedIn: '1.16',
+    replacement: 'apps/v1'
+  })),
+  {
+    apiVersion: 'extensions/v1beta1',
+    kind: 'NetworkPolicy',
+    deprecatedIn: '1.9',
+    removedIn: '1.16',
+    replacement: 'networking.k8s.io/v1'
+  },
+  {
+    apiVersion: 'extensions/v1beta1',
+    kind: 'PodSecurityPolicy',
+    deprecatedIn: '1.10',
+    removedIn: '1.16',
+    replacement: 'policy/v1beta1'
+  },
+  {
+    apiVersion: 'extensions/v1beta1',
+    kind: 'Ingress',
+    deprecatedIn: '1.14',
+    removedIn: '1.22',
+    replacement: 'networking.k8s.io/v1'
+  },
+  ...['Ingress', 'IngressClass'].map((kind) => ({
+    apiVersion: 'networking.k8s.io/v1beta1',
+    kind,
+    deprecatedIn: '1.19',
+    removedIn: '1.22',
+    replacement: 'networking.k8s.io/v1'
+  })),
+  ...['ClusterRole', 'ClusterRoleBinding', 'Role', 'RoleBinding'].map(
+    (kind) => ({
+      apiVersion: 'rbac.authorization.k8s.io/v1beta1',
+      kind,
+      deprecatedIn: '1.17',
+      removedIn: '1.22',
+      replacement: 'rbac.authorization.k8s.io/v1'
+    })
+  ),
+  {
+    apiVersion: 'apiextensions.k8s.io/v1beta1',
+    kind: 'CustomResourceDefinition',
+    deprecatedIn: '1.16',
+    removedIn: '1.22',
+    replacement: 'apiextensions.k8s.io/v1'
+  },
+  ...['MutatingWebhookConfiguration', 'ValidatingWebhookConfiguration'].map(
+    (kind) => ({
+      apiVersion: 'admissionregistration.k8s.io/v1beta1',
+      kind,
+      deprecatedIn: '1.16',
+      removedIn: '1.22',
+      replacement: 'admissionregistration.k8s.io/v1'
+    })
+  ),
+  {
+    apiVersion: 'apiregistration.k8s.io/v1beta1',
+    kind: 'APIService',
+    deprecatedIn: '1.19',
+    removedIn: '1.22',
+    replacement: 'apiregistration.k8s.io/v1'
+  },
+  {
+    apiVersion: 'certificates.k8s.io/v1beta1',
+    kind: 'CertificateSigningRequest',
+    deprecatedIn: '1.19',
+    removedIn: '1.22',
+    replacement: 'certificates.k8s.io/v1'
+  },
+  {
+    apiVersion: 'coordination.k8s.io/v1beta1',
+    kind: 'Lease',
+    deprecatedIn: '1.19',
+    removedIn: '1.22',
+    replacement: 'coordination.k8s.io/v1'
+  },
+  {
+    apiVersion: 'scheduling.k8s.io/v1beta1',
+    kind: 'PriorityClass',
+    deprecatedIn: '1.14',
+    removedIn: '1.22',
+    replacement: 'scheduling.k8s.io/v1'
+  },
+  ...['CSIDriver', 'CSINode', 'StorageClass', 'VolumeAttachment'].map(
+    (kind) => ({
+      apiVersion: 'storage.k8s.io/v1beta1',
+      kind,
+      deprecatedIn: '1.19',
+      removedIn: '1.22',
+      replacement: 'storage.k8s.io/v1'
+    })
+  ),
+  {
+    apiVersion: 'batch/v1beta1',
+    kind: 'CronJob',
+    deprecatedIn: '1.21',
+    removedIn: '1.25',
+    replacement: 'batch/v1'
+  },
+  {
+    apiVersion: 'discovery.k8s.io/v1beta1',
+    kind: 'EndpointSlice',
+    deprecatedIn: '1.21',
+    removedIn: '1.25',
+    replacement: 'discovery.k8s.io/v1'
+  },
+  {
+    apiVersion: 'events.k8s.io/v1beta1',
+    kind: 'Event',
+    deprecatedIn: '1.19',
+    removedIn: '1.25',
+    replacement: 'events.k8s.io/v1'
+  },
+  {
+    apiVersion: 'autoscaling/v2beta1',
+    kind: 'HorizontalPodAutoscaler',
+    deprecatedIn: '1.22',
+    removedIn: '1.25',
+    replacement: 'autoscaling/v2'
+  },
+  {
+    apiVersion: 'policy/v1beta1',
+    kind: 'PodDisruptionBudget',
+    deprecatedIn: '1.21',
+    removedIn: '1.25',
+    replacement: 'policy/v1'
+  },
+  {
+    apiVersion: 'policy/v1beta1',
+    kind: 'PodSecurityPolicy',
+    deprecatedIn: '1.21',
+    removedIn: '1.25',
+    replacement: ''
+  },
+  {
+    apiVersion: 'node.k8s.io/v1beta1',
+    kind: 'RuntimeClass',
+    deprecatedIn: '1.20',
+    removedIn: '1.25',
+    replacement: 'node.k8s.io/v1'
+  },
+  {
+    apiVersion: 'autoscaling/v2beta2',
+    kind: 'HorizontalPodAutoscaler',
+    deprecatedIn: '1.23',
+    removedIn: '1.26',
+    replacement: 'autoscaling/v2'
+  },
+  ...[
+    ['v1beta1', '1.23', '1.26'],
+    ['v1beta2', '1.26', '1.29'],
+    ['v1beta3', '1.29', '1.32']
+  ].flatMap(([version, deprecatedIn, removedIn]) =>
+    ['FlowSchema', 'PriorityLevelConfiguration'].map((kind) => ({
+      apiVersion: `flowcontrol.apiserver.k8s.io/${version}`,
+      kind,
+      deprecatedIn,
+      removedIn,
+      replacement: 'flowcontrol.apiserver.k8s.io/v1'
+    }))
+  ),
+  {
+    apiVersion: 'storage.k8s.io/v1beta1',
+    kind: 'CSIStorageCapacity',
+    deprecatedIn: '1.24',
+    removedIn: '1.27',
+    replacement: 'storage.k8s.io/v1'
+  }
+]
+
+/**
+ * Compare two Kubernetes versions such as 1.29 or v1.29.3 by major and minor
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareKubeVersions(a, b) {
+  const parse = (version) =>
+    version.replace(/^v/, '').split('.').slice(0, 2).map(Number)
+  const [majorA, minorA = 0] = parse(a)
+  const [majorB, minorB = 0] = parse(b)
+  return majorA - majorB || minorA - minorB
+}
+
+/**
+ * Look up whether an API version of a kind is deprecated or removed in a
+ * Kubernetes version
+ * @param {string} apiVersion - API version of the object
+ * @param {string} kind - Kind of the object
+ * @param {string} kubeVersion - Kubernetes version the manifests target
+ * @returns {{status: 'deprecated'|'removed', message: string}|undefined}
+ */
+export function findDeprecation(apiVersion, kind, kubeVersion) {
+  const api = DEPRECATED_APIS.find(
+    (entry) => entry.apiVersion === apiVersion && entry.kind === kind
+  )
+  if (!api || compareKubeVersions(kubeVersion, api.deprecatedIn) < 0) {
+    return undefined
+  }
+
+  const replacement = api.replacement ? `, use ${api.replacement} instead` : ''
+  if (compareKubeVersions(kubeVersion, api.removedIn) >= 0) {
+    return {
+      status: 'removed',
+      message: `${apiVersion} ${kind} was removed in Kubernetes ${api.removedIn}${replacement}`
+    }
+  }
+  return {
+    status: 'deprecated',
+    message: `${apiVersion} ${kind} is deprecated since Kubernetes ${api.deprecatedIn} and removed in ${api.removedIn}${replacement}`
+  }
+}
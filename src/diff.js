@@ -0,0 +1,412 @@
+import YAML from 'yaml'
+
+/**
+ * Check whether an object is a list of the Kubernetes API: v1 List, as
+ * written by kubectl get -o yaml, or the list kind of a built-in resource
+ * (ConfigMapList, apps/v1 DeploymentList, ...). Custom resources whose kind
+ * happens to end with List are not lists.
+ * @param {object} resource - Kubernetes object
+ * @returns {boolean}
+ */
+function isListObject({ apiVersion = '', kind = '' }) {
+  if (!/.List$/.test(kind)) return apiVersion === 'v1' && kind === 'List'
+  // Built-in groups are the core group, groups without a dot (apps, batch,
+  // ...) and the *.k8s.io groups
+  const group = apiVersion.includes('/') ? apiVersion.split('/')[0] : ''
+  return !group.includes('.') || group.endsWith('.k8s.io')
+}
+
+/**
+ * Replace List objects (List, ConfigMapList, ...) by their items, as found in
+ * the output of kubectl get -o yaml
+ * @param {object[]} resources - Kubernetes objects
+ * @returns {object[]}
+ */
+export function expandLists(resources) {
+  return resources.flatMap((resource) =>
+    isListObject(resource) && Array.isArray(resource.items)
+      ? expandLists(
+          resource.items.filter(
+            (item) => item && typeof item === 'object' && !Array.isArray(item)
+          )
+        )
+      : [resource]
+  )
+}
+
+/**
+ * Comment written by collectYamlFiles() before each collected file. It differs
+ * from the "# Source:" comments of helm template, which checked-in rendered
+ * files may contain themselves.
+ */
+export const SOURCE_MARKER = '# k8s-diff-source:'
+
+/**
+ * Parse a multi-document YAML stream into Kubernetes objects. List objects
+ * are expanded into their items, and documents without apiVersion or kind
+ * (Helm values, CI configs, ...) are skipped.
+ * @param {string} content - YAML content (may contain multiple documents)
+ * @returns {object[]} Kubernetes objects (empty, scalar and non-Kubernetes documents are skipped)
+ * @throws {Error} If any document fails to parse, caused by the YAML error
+ */
+export function parseManifests(content) {
+  if (!content || !content.trim()) {
+    return []
+  }
+
+  const documents = YAML.parseAllDocuments(content)
+  const objects = []
+
+  for (const doc of documents) {
+    if (doc.errors.length > 0) {
+      throw new Error(`Failed to parse YAML: ${doc.errors[0].message}`, {
+        cause: doc.errors[0]
+      })
+    }
+
+    const value = doc.toJS()
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      objects.push(value)
+    }
+  }
+
+  return expandLists(objects).filter(
+    (object) => object.apiVersion && object.kind
+  )
+}
+
+/**
+ * Parse a YAML stream collected from several files, where each file is
+ * preceded by a SOURCE_MARKER comment as written by collectYamlFiles(), one
+ * file at a time so that a broken file does not prevent the others from
+ * being compared. The marker line is left out, so that the lines in errors
+ * are those of the file.
+ * @param {string} content - Collected YAML content
+ * @returns {{files: Array<{file: string, resources: object[]}>, errors: Array<{file: string, message: string, line?: number}>}}
+ *   Objects of the files that parsed, and the errors of those that did not
+ */
+export function parseManifestFiles(content) {
+  const files = []
+  const errors = []
+  for (const section of (content || '').split(
+    new RegExp(`^(?=${SOURCE_MARKER})`, 'm')
+  )) {
+    const header = section.startsWith(SOURCE_MARKER)
+      ? section.match(/^.*\n?/)[0]
+      : ''
+    const file = header.slice(SOURCE_MARKER.length).trim()
+    try {
+      files.push({
+        file,
+        resources: parseManifests(section.slice(header.length))
+      })
+    } catch (error) {
+      const line = error.cause?.linePos?.[0].line
+      errors.push({ file, message: error.message, ...(line && { line }) })
+    }
+  }
+  return { files, errors }
+}
+
+/**
+ * Build the identity of a Kubernetes object
+ * @param {object} resource - Kubernetes object
+ * @returns {{apiVersion: string, kind: string, namespace: string, name: string}}
+ */
+export function getResourceId(resource) {
+  const metadata = resource.metadata || {}
+  return {
+    apiVersion: resource.apiVersion || '',
+    kind: resource.kind || '',
+    namespace: metadata.namespace || '',
+    name: metadata.name || ''
+  }
+}
+
+/**
+ * Build a unique key for a Kubernetes object from its identity
+ * @param {{apiVersion: string, kind: string, namespace: string, name: string}} id - Resource identity
+ * @returns {string} Key in the form apiVersion/kind/namespace/name
+ */
+export function getResourceKey(id) {
+  return [id.apiVersion, id.kind, id.namespace, id.name].join('/')
+}
+
+/**
+ * Format a resource identity for display
+ * @param {{apiVersion: string, kind: string, namespace: string, name: string}} id - Resource identity
+ * @returns {string} Human readable name, e.g. "apps/v1 Deployment default/web"
+ */
+export function formatResourceId(id) {
+  const name = id.namespace ? `${id.namespace}/${id.name}` : id.name
+  return `${id.apiVersion} ${id.kind} ${name}`
+}
+
+/**
+ * Format a list of path segments as a field path
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} Field path, e.g. spec.containers[0].image or metadata.labels["app.kubernetes.io/name"]
+ */
+export function formatPath(segments) {
+  let result = ''
+  for (const segment of segments) {
+    if (typeof segment === 'number') {
+      result += `[${segment}]`
+    } else if (/^[A-Za-z_$][\w$-]*$/.test(segment)) {
+      result += result ? `.${segment}` : segment
+    } else {
+      result += `[${JSON.stringify(segment)}]`
+    }
+  }
+  return result
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Check whether two arrays list named elements (containers, ports, env
+ * variables, ...), every element on both sides being an object with a name
+ * unique in its array
+ * @param {Array} oldValue - Array in base
+ * @param {Array} newValue - Array in head
+ * @returns {boolean}
+ */
+function isNamedList(oldValue, newValue) {
+  return [oldValue, newValue].every((list) => {
+    const names = list.map((item) =>
+      isPlainObject(item) && typeof item.name === 'string' ? item.name : null
+    )
+    return !names.includes(null) && new Set(names).size === names.length
+  })
+}
+
+/**
+ * Compare arrays of named elements by name, so that inserting or reordering
+ * elements does not show as a change of every element after them. Paths use
+ * the head index, or the base index for removed elements.
+ * @param {object[]} oldValue - Array in base
+ * @param {object[]} newValue - Array in head
+ * @param {Array<string|number>} segments - Path to the arrays
+ * @param {object[]} changes - Accumulator for changes
+ */
+function compareNamedLists(oldValue, newValue, segments, changes) {
+  const oldByName = new Map(oldValue.map((item) => [item.name, item]))
+  const newNames = new Set(newValue.map((item) => item.name))
+  oldValue.forEach((item, index) => {
+    if (newNames.has(item.name)) return
+    changes.push({
+      path: formatPath([...segments, index]),
+      type: 'removed',
+      oldValue: item
+    })
+  })
+  newValue.forEach((item, index) => {
+    const childPath = [...segments, index]
+    if (oldByName.has(item.name)) {
+      compareValues(oldByName.get(item.name), item, childPath, changes)
+    } else {
+      changes.push({
+        path: formatPath(childPath),
+        type: 'added',
+        newValue: item
+      })
+    }
+  })
+}
+
+/**
+ * Recursively compare two values and collect field-level changes. Arrays of
+ * named elements are compared by name, other arrays by position.
+ * @param {*} oldValue - Value in base
+ * @param {*} newValue - Value in head
+ * @param {Array<string|number>} segments - Path to the current value
+ * @param {object[]} changes - Accumulator for changes
+ */
+function compareValues(oldValue, newValue, segments, changes) {
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)])
+    for (const key of [...keys].sort()) {
+      const childPath = [...segments, key]
+      if (!(key in oldValue)) {
+        changes.push({
+          path: formatPath(childPath),
+          type: 'added',
+          newValue: newValue[key]
+        })
+      } else if (!(key in newValue)) {
+        changes.push({
+          path: formatPath(childPath),
+          type: 'removed',
+          oldValue: oldValue[key]
+        })
+      } else {
+        compareValues(oldValue[key], newValue[key], childPath, changes)
+      }
+    }
+    return
+  }
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    if (isNamedList(oldValue, newValue)) {
+      compareNamedLists(oldValue, newValue, segments, changes)
+      return
+    }
+    const length = Math.max(oldValue.length, newValue.length)
+    for (let i = 0; i < length; i++) {
+      const childPath = [...segments, i]
+      if (i >= oldValue.length) {
+        changes.push({
+          path: formatPath(childPath),
+          type: 'added',
+          newValue: newValue[i]
+        })
+      } else if (i >= newValue.length) {
+        changes.push({
+          path: formatPath(childPath),
+          type: 'removed',
+          oldValue: oldValue[i]
+        })
+      } else {
+        compareValues(oldValue[i], newValue[i], childPath, changes)
+      }
+    }
+    return
+  }
+
+  if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+    changes.push({
+      path: formatPath(segments),
+      type: 'changed',
+      oldValue,
+      newValue
+    })
+  }
+}
+
+/**
+ * Index Kubernetes objects by their identity. When the same identity appears
+ * more than once the last occurrence wins.
+ * @param {object[]} resources - Kubernetes objects
+ * @returns {Map<string, {id: object, resource: object}>}
+ */
+function indexResources(resources) {
+  const index = new Map()
+  for (const resource of resources) {
+    const id = getResourceId(resource)
+    index.set(getResourceKey(id), { id, resource })
+  }
+  return index
+}
+
+/**
+ * Compare two sets of Kubernetes objects
+ * @param {object[]} baseResources - Objects rendered from the base ref
+ * @param {object[]} headResources - Objects rendered from the head ref
+ * @returns {{resources: object[], summary: {added: number, removed: number, modified: number, unchanged: number}}}
+ */
+export function diffResources(baseResources, headResources) {
+  const baseIndex = indexResources(baseResources)
+  const headIndex = indexResources(headResources)
+  const keys = new Set([...baseIndex.keys(), ...headIndex.keys()])
+
+  const resources = []
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 }
+
+  for (const key of [...keys].sort()) {
+    const base = baseIndex.get(key)
+    const head = headIndex.get(key)
+
+    if (!base) {
+      summary.added++
+      resources.push({ ...head.id, changeType: 'added', head: head.resource })
+      continue
+    }
+    if (!head) {
+      summary.removed++
+      resources.push({ ...base.id, changeType: 'removed', base: base.resource })
+      continue
+    }
+
+    const changes = []
+    compareValues(base.resource, head.resource, [], changes)
+    if (changes.length === 0) {
+      summary.unchanged++
+      continue
+    }
+
+    summary.modified++
+    resources.push({
+      ...head.id,
+      changeType: 'modified',
+      base: base.resource,
+      head: head.resource,
+      changes
+    })
+  }
+
+  return { resources, summary }
+}
+
+/**
+ * Render a value on a single line for change listings
+ * @param {*} value - Any YAML value
+ * @returns {string}
+ */
+export function formatValue(value) {
+  return value === undefined ? '<none>' : JSON.stringify(value)
+}
+
+/**
+ * Prefix every line of a YAML dump
+ * @param {object} resource - Kubernetes object
+ * @param {string} prefix - Prefix for each line
+ * @returns {string}
+ */
+export function prefixYaml(resource, prefix) {
+  return YAML.stringify(resource)
+    .trimEnd()
+    .split('\n')
+    .map((line) => `${prefix}${line}`)
+    .join('\n')
+}
+
+/**
+ * Render the diff of a single resource as text
+ * @param {object} entry - Resource entry from diffResources()
+ * @returns {string}
+ */
+export function formatResourceDiff(entry) {
+  const title = formatResourceId(entry)
+
+  if (entry.changeType === 'added') {
+    return `+ ${title} (added)\n${prefixYaml(entry.head, '+   ')}`
+  }
+  if (entry.changeType === 'removed') {
+    return `- ${title} (removed)\n${prefixYaml(entry.base, '-   ')}`
+  }
+
+  const lines = [`~ ${title} (modified)`]
+  for (const change of entry.changes) {
+    if (change.type === 'added') {
+      lines.push(`    + ${change.path}: ${formatValue(change.newValue)}`)
+    } else if (change.type === 'removed') {
+      lines.push(`    - ${change.path}: ${formatValue(change.oldValue)}`)
+    } else {
+      lines.push(
+        `    ~ ${change.path}: ${formatValue(change.oldValue)} -> ${formatValue(change.newValue)}`
+      )
+    }
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Render a full diff result as text
+ * @param {{resources: object[]}} diff - Result of diffResources()
+ * @returns {string} Text diff, empty when nothing changed
+ */
+export function formatDiff(diff) {
+  return diff.resources.map(formatResourceDiff).join('\n\n')
+}
@@ -1,4 +1,8 @@
 import * as exec from '@actions/exec'
+import * as io from '@actions/io'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
 
 /**
  * Get the default branch of the repository
@@ -15,3 +19,121 @@ export async function getDefaultBranch() {
     return 'main'
   }
 }
+
+/**
+ * Resolve a ref of the local repository to a commit, without fetching
+ * @param {string} ref - Branch, tag, commit or any other revision
+ * @returns {Promise<string>} Commit sha
+ * @throws {Error} If the ref does not name a commit
+ */
+export async function resolveCommit(ref) {
+  const { stdout, exitCode } = await exec.getExecOutput(
+    'git',
+    ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`],
+    { silent: true, ignoreReturnCode: true }
+  )
+  if (exitCode !== 0) throw new Error(`Unknown git ref: ${ref}`)
+  return stdout.trim()
+}
+
+/**
+ * Get the root directory of the repository containing the working directory
+ * @returns {Promise<string>}
+ * @throws {Error} If the working directory is not in a git repository
+ */
+export async function getRepositoryRoot() {
+  const { stdout, exitCode } = await exec.getExecOutput(
+    'git',
+    ['rev-parse', '--show-toplevel'],
+    { silent: true, ignoreReturnCode: true }
+  )
+  if (exitCode !== 0) throw new Error('Not in a git repository')
+  return stdout.trim()
+}
+
+/**
+ * Check out the base and head commits for rendering. Each commit gets a git
+ * worktree in a unique directory under RUNNER_TEMP, so that jobs sharing a
+ * runner do not collide; the workspace itself is used for the head commit
+ * when it is already checked out there, unless useWorkspace is false.
+ * @param {object} options
+ * @param {string} options.baseSha - Base commit, already fetched
+ * @param {string} options.headSha - Head commit, already fetched
+ * @param {boolean} [options.useWorkspace] - Render the head commit in the
+ *   workspace when checked out there. Uncommitted changes are rendered then.
+ * @returns {Promise<{baseRoot: string, headRoot: string, cleanup: () => Promise<void>}>}
+ *   Checkout directories, and a function removing the worktrees
+ */
+export async function createCheckouts({
+  baseSha,
+  headSha,
+  useWorkspace = true
+}) {
+  const tempDir = await fs.promises.mkdtemp(
+    path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'k8s-diff-')
+  )
+  const worktrees = []
+
+  const cleanup = async () => {
+    for (const directory of worktrees) {
+      await exec.exec('git', ['worktree', 'remove', '--force', directory], {
+        ignoreReturnCode: true
+      })
+    }
+    await io.rmRF(tempDir)
+    await exec.exec('git', ['worktree', 'prune'], { ignoreReturnCode: true })
+  }
+
+  const addWorktree = async (sha, name) => {
+    const directory = path.join(tempDir, name)
+    worktrees.push(directory)
+    await exec.exec('git', ['worktree', 'add', '--detach', directory, sha])
+    return directory
+  }
+
+  try {
+    const { stdout } = await exec.getExecOutput('git', ['rev-parse', 'HEAD'], {
+      silent: true
+    })
+    const headRoot =
+      useWorkspace && stdout.trim() === headSha
+        ? process.cwd()
+        : await addWorktree(headSha, 'head')
+    const baseRoot = await addWorktree(baseSha, 'base')
+    return { baseRoot, headRoot, cleanup }
+  } catch (error) {
+    await cleanup()
+    throw error
+  }
+}
+
+/**
+ * List the files changed between two commits
+ * @param {string} baseSha - Base commit
+ * @param {string} headSha - Head commit
+ * @returns {Promise<string[]>} Paths relative to the repository root
+ */
+export async function getChangedFiles(baseSha, headSha) {
+  // -z keeps paths with spaces, quotes or non-ASCII characters unquoted
+  const { stdout } = await exec.getExecOutput(
+    'git',
+    ['diff', '--name-only', '-z', baseSha, headSha],
+    { silent: true }
+  )
+  return stdout.split('\0').filter((file) => file.length > 0)
+}
+
+/**
+ * Read a file at a given commit without checking it out
+ * @param {string} sha - Commit to read from
+ * @param {string} file - Path relative to the repository root
+ * @returns {Promise<string|null>} File content, or null if it does not exist at that commit
+ */
+export async function readFileAtRef(sha, file) {
+  const { stdout, exitCode } = await exec.getExecOutput(
+    'git',
+    ['show', `${sha}:${file}`],
+    { silent: true, ignoreReturnCode: true }
+  )
+  return exitCode === 0 ? stdout : null
+}
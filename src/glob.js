@@ -0,0 +1,56 @@
+/**
+ * Convert a glob with * and ? wildcards into an anchored regular expression
+ * @param {string} glob - Glob pattern
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreCase] - Match case-insensitively
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob, { ignoreCase = false } = {}) {
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*'
+      if (char === '?') return '.'
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`, ignoreCase ? 'i' : '')
+}
+
+/**
+ * Check whether a string contains glob wildcards
+ * @param {string} value - Pattern to inspect
+ * @returns {boolean}
+ */
+export function isGlob(value) {
+  return /[*?]/.test(value)
+}
+
+/**
+ * Convert a gitignore-style path pattern into an anchored regular expression
+ * matched against slash-separated relative paths. * and ? do not match /,
+ * ** matches any number of directories, and a pattern without a slash
+ * matches at any depth.
+ * @param {string} pattern - Path pattern, e.g. *.yaml, /base/*.yml or charts/**
+ * @returns {RegExp}
+ */
+export function pathGlobToRegExp(pattern) {
+  const anchored = pattern.includes('/')
+  const glob = pattern.replace(/^\//, '')
+  let source = ''
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index]
+    if (char === '*' && glob[index + 1] === '*') {
+      const slash = glob[index + 2] === '/'
+      source += slash ? '(?:.*/)?' : '.*'
+      index += slash ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`)
+}
@@ -0,0 +1,169 @@
+import * as fs from 'fs'
+import YAML from 'yaml'
+import { parseJsonPath, visitJsonPath } from './jsonpath.js'
+import { globToRegExp } from './glob.js'
+import { getResourceId, getResourceKey, formatPath } from './diff.js'
+
+const SELECTOR_FIELDS = ['apiVersion', 'kind', 'namespace', 'name']
+
+/**
+ * Compile a resource selector whose fields are globs, or lists of globs of
+ * which any may match
+ * @param {object} selector - Any of apiVersion, kind, namespace and name
+ * @param {string} context - Description of the rule for error messages
+ * @param {string} [configName] - Name of the configuration for error messages
+ * @returns {(id: object) => boolean} Matches a resource identity
+ */
+export function compileSelector(selector, context, configName = 'ignore') {
+  const matchers = []
+  for (const field of SELECTOR_FIELDS) {
+    if (selector[field] === undefined) continue
+    const globs = Array.isArray(selector[field])
+      ? selector[field]
+      : [selector[field]]
+    if (globs.length === 0 || globs.some((glob) => typeof glob !== 'string')) {
+      throw new Error(
+        `Invalid ${configName} config: ${context} ${field} must be a string or a list of strings`
+      )
+    }
+    const patterns = globs.map((glob) => globToRegExp(glob))
+    matchers.push((id) => patterns.some((pattern) => pattern.test(id[field])))
+  }
+  return (id) => matchers.every((match) => match(id))
+}
+
+/**
+ * Parse an ignore configuration
+ *
+ * ```yaml
+ * resources:
+ *   - kind: Secret
+ *     name: '*-tls'
+ * fields:
+ *   - metadata.labels["helm.sh/chart"]
+ *   - path: $.metadata.annotations["checksum/*"]
+ *     kind: Deployment
+ * ```
+ *
+ * Field paths are JSONPath expressions; the leading $. may be omitted.
+ * @param {string} content - YAML content
+ * @param {string} source - Where the configuration came from, for error messages
+ * @returns {{resources: Function[], fields: Array<{match: Function, segments: object[]}>}}
+ * @throws {Error} If the configuration is invalid
+ */
+export function parseIgnoreConfig(content, source) {
+  let config
+  try {
+    config = YAML.parse(content) || {}
+  } catch (error) {
+    throw new Error(`Invalid ignore config in ${source}: ${error.message}`)
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ignore config in ${source}: expected a mapping`)
+  }
+
+  const resources = (config.resources || []).map((selector, index) =>
+    compileSelector(selector || {}, `${source} resources[${index}]`)
+  )
+
+  const fields = (config.fields || []).map((rule, index) => {
+    const { path, ...selector } =
+      typeof rule === 'string' ? { path: rule } : rule || {}
+    if (typeof path !== 'string' || !path.trim()) {
+      throw new Error(
+        `Invalid ignore config: ${source} fields[${index}] needs a path`
+      )
+    }
+    const expression = path.trim().startsWith('$')
+      ? path.trim()
+      : `$.${path.trim()}`
+    return {
+      match: compileSelector(selector, `${source} fields[${index}]`),
+      segments: parseJsonPath(expression)
+    }
+  })
+
+  return { resources, fields }
+}
+
+/**
+ * Merge several ignore configurations
+ * @param {...{resources: Function[], fields: object[]}} configs - Parsed configurations
+ * @returns {{resources: Function[], fields: object[]}}
+ */
+export function mergeIgnoreConfigs(...configs) {
+  return {
+    resources: configs.flatMap((config) => config.resources),
+    fields: configs.flatMap((config) => config.fields)
+  }
+}
+
+/**
+ * Load the ignore configuration from the inline input and an optional file
+ * @param {object} options
+ * @param {string} [options.inline] - YAML configuration from the `ignore` input
+ * @param {string} [options.file] - Path of a configuration file in the repository
+ * @returns {Promise<{resources: Function[], fields: object[]}|null>} Merged configuration, or null when no rules are configured
+ */
+export async function loadIgnoreConfig({ inline, file }) {
+  const configs = []
+  if (inline && inline.trim()) {
+    configs.push(parseIgnoreConfig(inline, 'ignore input'))
+  }
+  if (file) {
+    let content
+    try {
+      content = await fs.promises.readFile(file, 'utf8')
+    } catch (error) {
+      throw new Error(`Failed to read ignore file ${file}: ${error.message}`)
+    }
+    configs.push(parseIgnoreConfig(content, file))
+  }
+  return configs.length > 0 ? mergeIgnoreConfigs(...configs) : null
+}
+
+/**
+ * Remove ignored resources and fields. Objects are modified in place.
+ * @param {object[]} resources - Kubernetes objects
+ * @param {{resources: Function[], fields: object[]}} config - Parsed ignore configuration
+ * @returns {{resources: object[], ignoredResources: string[], ignoredFields: string[]}}
+ *   The kept objects, plus the keys of ignored resources and "key path" entries of ignored fields
+ */
+export function applyIgnoreRules(resources, config) {
+  const kept = []
+  const ignoredResources = []
+  const ignoredFields = []
+
+  for (const resource of resources) {
+    const id = getResourceId(resource)
+    const key = getResourceKey(id)
+
+    if (config.resources.some((match) => match(id))) {
+      ignoredResources.push(key)
+      continue
+    }
+
+    for (const rule of config.fields) {
+      if (!rule.match(id)) continue
+
+      const matches = []
+      visitJsonPath(resource, rule.segments, (parent, field, path) => {
+        matches.push({ parent, field, path })
+      })
+      // Remove array items from the end so earlier indices stay valid
+      matches.reverse()
+      for (const { parent, field, path } of matches) {
+        if (Array.isArray(parent)) {
+          parent.splice(field, 1)
+        } else {
+          delete parent[field]
+        }
+        ignoredFields.push(`${key} ${formatPath(path)}`)
+      }
+    }
+
+    kept.push(resource)
+  }
+
+  return { resources: kept, ignoredResources, ignoredFields }
+}
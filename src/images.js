@@ -0,0 +1,224 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import YAML from 'yaml'
+import { getResourceId, getResourceKey } from './diff.js'
+import { readFileAtRef } from './git.js'
+
+/**
+ * Container lists of a pod spec, and whether they hold init containers
+ */
+const CONTAINER_LISTS = [
+  ['containers', false],
+  ['initContainers', true]
+]
+
+/**
+ * Find the pod spec of a workload: the spec of a Pod, the job template of a
+ * CronJob, or the pod template of anything else (Deployment, StatefulSet,
+ * DaemonSet, Job, and custom resources such as Argo Rollouts)
+ * @param {object} resource - Kubernetes object
+ * @returns {object|undefined}
+ */
+function getPodSpec(resource) {
+  const spec = resource.spec
+  if (resource.kind === 'Pod') return spec
+  return spec?.jobTemplate?.spec?.template?.spec || spec?.template?.spec
+}
+
+/**
+ * List the container images of workloads
+ * @param {object[]} resources - Kubernetes objects
+ * @returns {Map<string, {id: object, container: string, init: boolean, image: string}>}
+ *   Images keyed by workload and container
+ */
+function collectImages(resources) {
+  const images = new Map()
+  for (const resource of resources) {
+    const podSpec = getPodSpec(resource)
+    if (!podSpec || typeof podSpec !== 'object') continue
+    const id = getResourceId(resource)
+
+    for (const [list, init] of CONTAINER_LISTS) {
+      if (!Array.isArray(podSpec[list])) continue
+      for (const container of podSpec[list]) {
+        if (!container?.image) continue
+        const key = `${getResourceKey(id)}/${list}/${container.name}`
+        images.set(key, {
+          id,
+          container: `${container.name}`,
+          init,
+          image: `${container.image}`
+        })
+      }
+    }
+  }
+  return images
+}
+
+/**
+ * List the container images that change between two sets of manifests, per
+ * workload and container, init containers included. Containers of added or
+ * removed workloads are listed as added or removed.
+ * @param {object[]} baseResources - Base Kubernetes objects
+ * @param {object[]} headResources - Head Kubernetes objects
+ * @returns {Array<{apiVersion: string, kind: string, namespace: string, name: string, container: string, init: boolean, changeType: string, baseImage: string, headImage: string}>}
+ *   Changes, with an empty baseImage or headImage for added and removed containers
+ */
+export function diffImages(baseResources, headResources) {
+  const base = collectImages(baseResources)
+  const head = collectImages(headResources)
+  const changes = []
+
+  const add = (changeType, { id, container, init }, baseImage, headImage) => {
+    changes.push({ ...id, container, init, changeType, baseImage, headImage })
+  }
+  for (const [key, entry] of head) {
+    const before = base.get(key)
+    if (!before) {
+      add('added', entry, '', entry.image)
+    } else if (before.image !== entry.image) {
+      add('modified', entry, before.image, entry.image)
+    }
+  }
+  for (const [key, entry] of base) {
+    if (!head.has(key)) add('removed', entry, entry.image, '')
+  }
+  return changes
+}
+
+/**
+ * Parse a YAML file, treating a missing or invalid file as empty
+ * @param {string|null} content - File content, null when the file is missing
+ * @returns {object|null}
+ */
+function parseYamlFile(content) {
+  try {
+    return content === null ? null : YAML.parse(content)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read a file of a chart from a commit or from disk
+ * @param {string} chartDir - Chart directory, relative to the repository root when sha is given
+ * @param {string} file - File name
+ * @param {string} sha - Commit to read from, '' to read from disk
+ * @returns {Promise<string|null>} Content, null when the file is missing
+ */
+async function readChartFile(chartDir, file, sha) {
+  if (sha) return readFileAtRef(sha, path.posix.join(chartDir, file))
+  try {
+    return await fs.promises.readFile(path.join(chartDir, file), 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read the dependencies of a Helm chart. Versions locked in Chart.lock take
+ * precedence over the constraints of Chart.yaml. Chart.lock does not hold
+ * aliases, so its entries are matched to those of Chart.yaml by name and
+ * repository, in order.
+ * @param {string} chartDir - Chart directory, relative to the repository root when sha is given
+ * @param {object} [options]
+ * @param {string} [options.sha] - Commit to read the chart from instead of
+ *   the disk, where prepare commands such as helm dependency update may have
+ *   rewritten Chart.lock
+ * @returns {Promise<Map<string, {version: string, repository: string}>>}
+ *   Dependencies by alias (or name), empty when the directory holds no chart
+ */
+export async function readChartDependencies(chartDir, { sha = '' } = {}) {
+  const [chart, lock] = await Promise.all(
+    ['Chart.yaml', 'Chart.lock'].map(async (file) =>
+      parseYamlFile(await readChartFile(chartDir, file, sha))
+    )
+  )
+  const toEntry = (dependency) => ({
+    version: `${dependency.version ?? ''}`,
+    repository: `${dependency.repository ?? ''}`
+  })
+
+  const dependencies = new Map()
+  const declared = (chart?.dependencies || []).filter(
+    (dependency) => dependency?.name
+  )
+  for (const dependency of declared) {
+    dependencies.set(
+      `${dependency.alias || dependency.name}`,
+      toEntry(dependency)
+    )
+  }
+  for (const locked of lock?.dependencies || []) {
+    if (!locked?.name) continue
+    const sameName = (dependency) => dependency.name === locked.name
+    let index = declared.findIndex(
+      (dependency) =>
+        sameName(dependency) &&
+        `${dependency.repository ?? ''}` === `${locked.repository ?? ''}`
+    )
+    if (index === -1) index = declared.findIndex(sameName)
+    const [dependency] = index === -1 ? [locked] : declared.splice(index, 1)
+    dependencies.set(`${dependency.alias || dependency.name}`, toEntry(locked))
+  }
+  return dependencies
+}
+
+/**
+ * List the chart dependencies whose version changes between two refs
+ * @param {Map<string, object>} base - Dependencies from readChartDependencies() at the base ref
+ * @param {Map<string, object>} head - Dependencies from readChartDependencies() at the head ref
+ * @returns {Array<{chart: string, repository: string, changeType: string, baseVersion: string, headVersion: string}>}
+ */
+export function diffChartDependencies(base, head) {
+  const changes = []
+  for (const [chart, dependency] of head) {
+    const before = base.get(chart)
+    if (!before) {
+      changes.push({
+        chart,
+        repository: dependency.repository,
+        changeType: 'added',
+        baseVersion: '',
+        headVersion: dependency.version
+      })
+    } else if (before.version !== dependency.version) {
+      changes.push({
+        chart,
+        repository: dependency.repository,
+        changeType: 'modified',
+        baseVersion: before.version,
+        headVersion: dependency.version
+      })
+    }
+  }
+  for (const [chart, dependency] of base) {
+    if (head.has(chart)) continue
+    changes.push({
+      chart,
+      repository: dependency.repository,
+      changeType: 'removed',
+      baseVersion: dependency.version,
+      headVersion: ''
+    })
+  }
+  return changes
+}
+
+/**
+ * Format an image or chart dependency change as a single line
+ * @param {object} change - Entry from diffImages() or diffChartDependencies()
+ * @returns {string}
+ */
+export function formatImageChange(change) {
+  const target = change.target ? `[${change.target}] ` : ''
+  const [before, after] =
+    'chart' in change
+      ? [change.baseVersion, change.headVersion]
+      : [change.baseImage, change.headImage]
+  const subject =
+    'chart' in change
+      ? `chart ${change.chart}`
+      : `${change.kind} ${change.namespace ? `${change.namespace}/` : ''}${change.name} ${change.container}${change.init ? ' (init)' : ''}`
+  return `${target}${subject}: ${before || '<none>'} -> ${after || '<none>'}`
+}
@@ -0,0 +1,136 @@
+import { globToRegExp, isGlob } from './glob.js'
+
+/**
+ * Parse a JSONPath expression into segments. The supported subset covers
+ * what is useful for Kubernetes objects: $, .key, ['key'], [n], [*], .* and
+ * ..key (recursive descent). Keys containing * or ? are matched as globs, e.g.
+ * $.metadata.annotations["checksum/*"].
+ * @param {string} expression - JSONPath expression, e.g. $.spec.template.spec.containers[*].env[*].value
+ * @returns {Array<{type: string, value?: string|number}>} Segments of type key, index, wildcard or descendant
+ * @throws {Error} If the expression cannot be parsed
+ */
+export function parseJsonPath(expression) {
+  const input = expression.trim()
+  if (!input.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${expression}": must start with $`)
+  }
+
+  const segments = []
+  let i = 1
+
+  const readName = () => {
+    const match = /^[^.[\]]+/.exec(input.slice(i))
+    if (!match) {
+      throw new Error(`Invalid JSONPath "${expression}" at position ${i}`)
+    }
+    i += match[0].length
+    return match[0]
+  }
+
+  while (i < input.length) {
+    if (input.startsWith('..', i)) {
+      i += 2
+      const name = input[i] === '*' ? (i++, '*') : readName()
+      segments.push({ type: 'descendant', value: name })
+    } else if (input[i] === '.') {
+      i++
+      if (input[i] === '*') {
+        i++
+        segments.push({ type: 'wildcard' })
+      } else {
+        segments.push({ type: 'key', value: readName() })
+      }
+    } else if (input[i] === '[') {
+      const end = input.indexOf(']', i)
+      if (end === -1) {
+        throw new Error(`Invalid JSONPath "${expression}": missing ]`)
+      }
+      const content = input.slice(i + 1, end).trim()
+      i = end + 1
+      if (content === '*') {
+        segments.push({ type: 'wildcard' })
+      } else if (/^-?\d+$/.test(content)) {
+        segments.push({ type: 'index', value: Number(content) })
+      } else if (/^(['"]).*\1$/.test(content)) {
+        segments.push({ type: 'key', value: content.slice(1, -1) })
+      } else {
+        throw new Error(
+          `Invalid JSONPath "${expression}": unsupported selector [${content}]`
+        )
+      }
+    } else {
+      throw new Error(`Invalid JSONPath "${expression}" at position ${i}`)
+    }
+  }
+
+  return segments
+}
+
+/**
+ * List the child keys of a value
+ * @param {*} value - Object or array
+ * @returns {Array<string|number>}
+ */
+function childKeys(value) {
+  if (Array.isArray(value)) return value.map((_, index) => index)
+  if (value && typeof value === 'object') return Object.keys(value)
+  return []
+}
+
+/**
+ * Visit every location matched by parsed JSONPath segments
+ * @param {*} root - Object to search
+ * @param {Array<{type: string, value?: string|number}>} segments - Segments from parseJsonPath()
+ * @param {(parent: object, key: string|number, path: Array<string|number>) => void} visit - Called for each match; may modify parent[key]
+ */
+export function visitJsonPath(root, segments, visit) {
+  const walk = (value, index, path, parent, key) => {
+    if (index === segments.length) {
+      if (parent !== undefined) visit(parent, key, path)
+      return
+    }
+    if (!value || typeof value !== 'object') return
+
+    const segment = segments[index]
+    if (segment.type === 'key' && isGlob(segment.value)) {
+      const pattern = globToRegExp(segment.value)
+      if (!Array.isArray(value)) {
+        for (const child of Object.keys(value)) {
+          if (pattern.test(child)) {
+            walk(value[child], index + 1, [...path, child], value, child)
+          }
+        }
+      }
+    } else if (segment.type === 'key') {
+      if (!Array.isArray(value) && segment.value in value) {
+        walk(
+          value[segment.value],
+          index + 1,
+          [...path, segment.value],
+          value,
+          segment.value
+        )
+      }
+    } else if (segment.type === 'index') {
+      const position =
+        segment.value < 0 ? value.length + segment.value : segment.value
+      if (Array.isArray(value) && position >= 0 && position < value.length) {
+        walk(value[position], index + 1, [...path, position], value, position)
+      }
+    } else if (segment.type === 'wildcard') {
+      for (const child of childKeys(value)) {
+        walk(value[child], index + 1, [...path, child], value, child)
+      }
+    } else {
+      // Recursive descent: match here, then keep looking deeper
+      for (const child of childKeys(value)) {
+        if (segment.value === '*' || child === segment.value) {
+          walk(value[child], index + 1, [...path, child], value, child)
+        }
+        walk(value[child], index, [...path, child], value, child)
+      }
+    }
+  }
+
+  walk(root, 0, [], undefined, undefined)
+}
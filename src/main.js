@@ -1,14 +1,138 @@
 import * as core from '@actions/core'
 import * as exec from '@actions/exec'
-import * as io from '@actions/io'
 import * as github from '@actions/github'
-import * as fs from 'fs'
-import * as path from 'path'
-import { getDefaultCommand, getDefaultPrepareCommands } from './config.js'
-import { getDefaultBranch } from './git.js'
-import { isToolInstalled, installHelm, installYamldiff } from './tools.js'
-import { runCommand } from './commands.js'
-import { generateManifests } from './manifests.js'
+import { parseListInput } from './config.js'
+import { getDefaultBranch, createCheckouts, getChangedFiles } from './git.js'
+import { isToolInstalled } from './tools.js'
+import { loadToolRegistry } from './registry.js'
+import { formatDiff } from './diff.js'
+import {
+  createTarget,
+  parseTargets,
+  parseEnvInput,
+  diffTargets,
+  createSkippedResult,
+  combineResults,
+  checkTargetPaths
+} from './targets.js'
+import { isTargetAffected } from './changes.js'
+import { createRedactor } from './redact.js'
+import { loadIgnoreConfig } from './ignore.js'
+import { loadDefaultsSchema, createNormalizer } from './normalize.js'
+import { createRenderCache } from './cache.js'
+import {
+  DEFAULT_VALIDATION_KUBE_VERSION,
+  createValidator,
+  loadCrdSchemas,
+  resolveSchemaLocation,
+  annotateIssues
+} from './validate.js'
+import { buildJsonReport, writeJsonReport } from './report.js'
+import { annotateChanges } from './provenance.js'
+import { loadPolicy, evaluatePolicy, formatViolation } from './policy.js'
+import { publishDiffComment } from './comment.js'
+import { writeJobSummary } from './summary.js'
+
+/**
+ * Supported values of the mode input: refs renders the working directories at
+ * the base and head commits, paths compares two directories of the workspace
+ */
+const MODES = ['refs', 'paths']
+
+/**
+ * Install the tools needed by the targets, including the tools their
+ * commands run (e.g. helm for helmfile). A pinned version is always
+ * installed; otherwise a tool already on PATH is used as is. Tools without an
+ * installer, such as custom ones, are expected on PATH.
+ * @param {object[]} targets - Targets that will be rendered
+ * @param {Map<string, object>} tools - Tool registry from loadToolRegistry()
+ * @param {object} options
+ * @param {Object<string, string>} options.versions - Pinned versions by tool name
+ * @param {string} options.mirrorUrl - Mirror to download tools from
+ * @param {boolean} options.verify - Verify download checksums
+ * @returns {Promise<void>}
+ */
+async function installTools(targets, tools, { versions, mirrorUrl, verify }) {
+  const needed = new Set()
+  const add = (tool) => {
+    if (needed.has(tool)) return
+    needed.add(tool)
+    for (const name of tool.requires || []) add(tools.get(name))
+  }
+  for (const target of targets) {
+    if (!target.snapshot) add(target.tools.base)
+    add(target.tools.head)
+  }
+
+  for (const tool of needed) {
+    if (!tool.install) continue
+    const version = versions[tool.name]
+    if (version || !(await isToolInstalled(tool.binary))) {
+      await tool.install({ version: version || undefined, mirrorUrl, verify })
+    }
+  }
+}
+
+/**
+ * Resolve the base and head refs to commits, fetching them from origin
+ * @returns {Promise<{baseRef: string, baseSha: string, headRef: string, headSha: string}>}
+ */
+async function resolveRefs() {
+  let errorMsg = ''
+
+  // if baseRef is undefined, use git to get default branch
+  let baseRef = core.getInput('base-ref') || ''
+  if (!baseRef && github.context.payload.pull_request) {
+    // Accessing the event payload
+    const payload = github.context.payload
+    baseRef = payload.pull_request.base.sha
+  }
+  // if baseRef is still undefined, use git to get default branch
+  if (!baseRef) {
+    let defaultBranch = await getDefaultBranch()
+    core.info(`Default branch: ${defaultBranch}`)
+    baseRef = defaultBranch
+  }
+
+  // get the sha of the base ref
+  let baseSha
+  try {
+    // exec git fetch origin ${baseRef}
+    await exec.exec('git', ['fetch', 'origin', baseRef])
+    const result = await exec.getExecOutput('git', ['rev-parse', baseRef])
+    baseSha = result.stdout
+  } catch {
+    errorMsg = `Failed to figure out commit for ref: ${baseRef}, please provide input as base-ref`
+    core.error(errorMsg)
+    throw new Error(errorMsg)
+  }
+
+  // if headRef is undefined, use git to get current HEAD
+  let result
+  result = await exec.getExecOutput('git', ['rev-parse', 'HEAD'])
+  const currentHeadSha = result.stdout.trim()
+  const headRef =
+    core.getInput('head-ref') || process.env.GITHUB_SHA || currentHeadSha
+  // get the sha of the base ref
+  let headSha
+  try {
+    // exec git fetch origin ${headRef}
+    await exec.exec('git', ['fetch', 'origin', headRef])
+    const result = await exec.getExecOutput('git', ['rev-parse', headRef])
+    headSha = result.stdout
+  } catch {
+    errorMsg = `Failed to fetch origin ${headRef}`
+    core.error(errorMsg)
+    throw new Error(errorMsg)
+  }
+
+  return {
+    baseRef,
+    baseSha: baseSha.trim(),
+    headRef,
+    headSha: headSha.trim()
+  }
+}
 
 /**
  * The main function for the action.
@@ -17,175 +141,332 @@ import { generateManifests } from './manifests.js'
  */
 export async function run() {
   try {
-    const tool = core.getInput('tool') || 'yaml'
-    const customCommand = core.getInput('command')
-    const workingDir = core.getInput('working-dir') || './'
-    const headWorkingDir = core.getInput('head-working-dir') || workingDir
-    const customPrepareCommands = core.getInput('prepare-commands')
-    const command = customCommand || getDefaultCommand(tool)
-    const prepareCommands =
-      customPrepareCommands || getDefaultPrepareCommands(tool)
-    let errorMsg = ''
-
-    // if baseRef is undefined, use git to get default branch
-    let baseRef = core.getInput('base-ref') || ''
-    if (!baseRef && github.context.payload.pull_request) {
-      // Accessing the event payload
-      const payload = github.context.payload
-      baseRef = payload.pull_request.base.sha
-    }
-    // if baseRef is still undefined, use git to get default branch
-    if (!baseRef) {
-      let defaultBranch = await getDefaultBranch()
-      core.info(`Default branch: ${defaultBranch}`)
-      baseRef = defaultBranch
-    }
-
-    // get the sha of the base ref
-    let baseSha
-    try {
-      // exec git fetch origin ${baseRef}
-      await exec.exec('git', ['fetch', 'origin', baseRef])
-      const result = await exec.getExecOutput('git', ['rev-parse', baseRef])
-      baseSha = result.stdout
-    } catch {
-      errorMsg = `Failed to figure out commit for ref: ${baseRef}, please provide input as base-ref`
-      core.error(errorMsg)
-      throw new Error(errorMsg)
-    }
-
-    // if headRef is undefined, use git to get current HEAD
-    let result
-    result = await exec.getExecOutput('git', ['rev-parse', 'HEAD'])
-    const currentHeadSha = result.stdout.trim()
-    const headRef =
-      core.getInput('head-ref') || process.env.GITHUB_SHA || currentHeadSha
-    // get the sha of the base ref
-    let headSha
-    try {
-      // exec git fetch origin ${headRef}
-      await exec.exec('git', ['fetch', 'origin', headRef])
-      const result = await exec.getExecOutput('git', ['rev-parse', headRef])
-      headSha = result.stdout
-    } catch {
-      errorMsg = `Failed to fetch origin ${headRef}`
-      core.error(errorMsg)
-      throw new Error(errorMsg)
-    }
-
-    core.info(`Tool: ${tool}`)
-    core.info(`Command: ${command}`)
-    core.info(`Base ref: ${baseRef}`)
-    core.info(`Base sha: ${baseSha}`)
-    core.info(`Head ref: ${headRef}`)
-    core.info(`Head sha: ${headSha}`)
-    core.info(`Working dir: ${workingDir}`)
-    core.info(`Head working dir: ${headWorkingDir}`)
-    if (prepareCommands) {
-      core.info(
-        `Prepare commands: ${prepareCommands.split('\n').length} command(s)`
+    const tools = await loadToolRegistry({
+      file: core.getInput('tools-file')
+    })
+    const targetsInput = core.getInput('targets')
+    const targets = targetsInput
+      ? parseTargets(targetsInput, tools)
+      : [
+          createTarget(
+            {
+              name: 'default',
+              tool: core.getInput('tool') || 'yaml',
+              command: core.getInput('command'),
+              headTool: core.getInput('head-tool'),
+              headCommand: core.getInput('head-command'),
+              workingDir: core.getInput('working-dir') || './',
+              headWorkingDir: core.getInput('head-working-dir'),
+              valuesFiles: parseListInput(core.getInput('values-files')),
+              headValuesFiles: parseListInput(
+                core.getInput('head-values-files')
+              ),
+              helm: {
+                releaseName: core.getInput('release-name'),
+                namespace: core.getInput('namespace'),
+                kubeVersion: core.getInput('kube-version'),
+                apiVersions: parseListInput(core.getInput('api-versions')),
+                set: parseListInput(core.getInput('set-values'))
+              },
+              prepareCommands: core.getInput('prepare-commands'),
+              shell: core.getInput('shell') === 'true',
+              env: parseEnvInput(core.getInput('env')),
+              include: parseListInput(core.getInput('include')),
+              exclude: parseListInput(core.getInput('exclude')),
+              snapshot: core.getInput('snapshot')
+            },
+            tools
+          )
+        ]
+    const redact = createRedactor({
+      redactSecrets: core.getInput('redact-secrets') !== 'false',
+      patterns: core.getInput('redact')
+    })
+    const ignore = await loadIgnoreConfig({
+      inline: core.getInput('ignore'),
+      file: core.getInput('ignore-file')
+    })
+    const policy = await loadPolicy({
+      inline: core.getInput('policy'),
+      file: core.getInput('policy-file')
+    })
+    const normalize =
+      core.getInput('normalize-defaults') === 'true'
+        ? createNormalizer(await loadDefaultsSchema())
+        : undefined
+    const crdSchemasDir = core.getInput('crd-schemas-dir')
+    const validate =
+      core.getInput('validate') === 'true'
+        ? createValidator({
+            kubeVersion:
+              core.getInput('validation-kube-version') ||
+              core.getInput('kube-version') ||
+              DEFAULT_VALIDATION_KUBE_VERSION,
+            schemaLocation: resolveSchemaLocation(
+              core.getInput('schema-location')
+            ),
+            crdSchemas: crdSchemasDir
+              ? await loadCrdSchemas(crdSchemasDir)
+              : undefined
+          })
+        : undefined
+    const cacheDir = core.getInput('cache-dir')
+    const cache = cacheDir ? createRenderCache(cacheDir) : undefined
+    const onlyChanged = core.getInput('only-changed') === 'true'
+    const concurrency = Number(core.getInput('concurrency') || '1')
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(
+        `Invalid concurrency "${core.getInput('concurrency')}": expected a positive integer`
       )
     }
-
-    let allStderr = ''
-    let hasError = false
-
-    if (tool === 'helm' && !(await isToolInstalled('helm'))) {
-      await installHelm()
+    const toolOptions = {
+      versions: {
+        helm: core.getInput('helm-version'),
+        kustomize: core.getInput('kustomize-version'),
+        helmfile: core.getInput('helmfile-version'),
+        jsonnet: core.getInput('jsonnet-version')
+      },
+      mirrorUrl: core.getInput('tool-mirror-url'),
+      verify: core.getInput('verify-checksums') !== 'false'
     }
-
-    if (!(await isToolInstalled('yamldiff'))) {
-      await installYamldiff()
+    const commentOnPr = core.getInput('comment-on-pr') === 'true'
+    const jobSummary = core.getInput('job-summary') !== 'false'
+    const sourceAnnotations = core.getInput('source-annotations') !== 'false'
+    const mode = core.getInput('mode') || 'refs'
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid mode "${mode}": expected ${MODES.join(' or ')}`)
     }
 
-    // Generate YAML from Base Ref
-    const baseRepoDir = '/tmp/base-ref-repo'
-    await io.rmRF(baseRepoDir)
-
-    core.info(`Cloning base ref ${baseRef}...`)
-    await exec.exec('git', ['clone', '.', baseRepoDir])
-    await exec.exec('git', ['fetch', 'origin', baseSha.trim()], {
-      cwd: baseRepoDir
-    })
-    await exec.exec('git', ['checkout', baseSha.trim()], { cwd: baseRepoDir })
-
-    core.info('Generating base manifests...')
-    let baseResult
-    // if dir does not exist or is empty, assume base is empty
-    if (
-      !fs.existsSync(path.join(baseRepoDir, workingDir)) ||
-      fs.readdirSync(path.join(baseRepoDir, workingDir)).length === 0
-    ) {
-      core.info('Base ref is empty, assuming empty YAML')
-      baseResult = {
-        content: '',
-        stderr: '',
-        hasError: false
-      }
+    // In paths mode both sides are read from the workspace and git is not used
+    let refs = { baseRef: '', baseSha: '', headRef: '', headSha: '' }
+    if (mode === 'refs') {
+      refs = await resolveRefs()
+      core.info(`Base ref: ${refs.baseRef}`)
+      core.info(`Base sha: ${refs.baseSha}`)
+      core.info(`Head ref: ${refs.headRef}`)
+      core.info(`Head sha: ${refs.headSha}`)
     } else {
-      baseResult = await generateManifests(
-        tool,
-        command,
-        path.join(baseRepoDir, workingDir),
-        prepareCommands
+      core.info('Comparing paths in the workspace')
+    }
+    const { baseRef, baseSha, headRef, headSha } = refs
+
+    for (const target of targets) {
+      core.info(
+        `Target ${target.name}: tool=${target.tool}, command=${target.command}, working dir=${target.workingDir}, head tool=${target.headTool}, head command=${target.headCommand}, head working dir=${target.headWorkingDir}`
       )
+      if (target.prepareCommands) {
+        core.info(
+          `Prepare commands: ${target.prepareCommands.split('\n').length} command(s)`
+        )
+      }
     }
 
-    if (baseResult.hasError) {
-      allStderr += `Base ref error: ${baseResult.stderr}\n`
-      hasError = true
+    // Only render targets touched by the change when requested
+    let activeTargets = targets
+    if (onlyChanged && mode === 'paths') {
+      core.warning('only-changed is ignored in paths mode')
+    } else if (onlyChanged) {
+      const changedFiles = await getChangedFiles(baseSha, headSha)
+      core.info(`Changed files: ${changedFiles.length}`)
+      activeTargets = []
+      for (const target of targets) {
+        if (await isTargetAffected(target, changedFiles, [baseSha, headSha])) {
+          activeTargets.push(target)
+        } else {
+          core.info(`Skipping target ${target.name}: no relevant files changed`)
+        }
+      }
     }
 
-    const baseFile = '/tmp/base-ref.yaml'
-    await fs.promises.writeFile(baseFile, baseResult.content)
+    const results = targets
+      .filter((target) => !activeTargets.includes(target))
+      .map((target) => createSkippedResult(target.name))
 
-    // Generate YAML from Head Ref
-    const headRepoDir = '/tmp/head-ref-repo'
-    await io.rmRF(headRepoDir)
+    if (activeTargets.length > 0) {
+      await installTools(activeTargets, tools, toolOptions)
 
-    core.info(`Cloning head ref ${headRef}...`)
-    await exec.exec('git', ['clone', '.', headRepoDir])
-    await exec.exec('git', ['fetch', 'origin', headSha.trim()], {
-      cwd: headRepoDir
-    })
-    await exec.exec('git', ['checkout', headSha.trim()], { cwd: headRepoDir })
-
-    core.info('Generating head manifests...')
-    const headResult = await generateManifests(
-      tool,
-      command,
-      path.join(headRepoDir, headWorkingDir),
-      prepareCommands
-    )
+      let checkouts
+      if (mode === 'paths') {
+        const root = process.env.GITHUB_WORKSPACE || process.cwd()
+        checkTargetPaths(activeTargets, root)
+        checkouts = { baseRoot: root, headRoot: root, cleanup: async () => {} }
+      } else {
+        // Check out both refs once and render every target from them
+        core.info(`Checking out base ref ${baseRef} and head ref ${headRef}...`)
+        // Cached renders are keyed by commit, which the workspace may not
+        // match when it has uncommitted changes
+        checkouts = await createCheckouts({
+          baseSha,
+          headSha,
+          useWorkspace: !cache
+        })
+        if (checkouts.headRoot === process.cwd()) {
+          core.info('Head ref is checked out in the workspace, using it as is')
+        }
+      }
 
-    if (headResult.hasError) {
-      allStderr += `Head ref error: ${headResult.stderr}\n`
-      hasError = true
+      try {
+        results.push(
+          ...(await diffTargets(activeTargets, {
+            baseRoot: checkouts.baseRoot,
+            headRoot: checkouts.headRoot,
+            baseSha,
+            headSha,
+            cache,
+            validate,
+            normalize,
+            ignore,
+            redact,
+            concurrency
+          }))
+        )
+      } finally {
+        await checkouts.cleanup()
+      }
     }
 
-    const headFile = '/tmp/head-ref.yaml'
-    await fs.promises.writeFile(headFile, headResult.content)
-
-    // diff both YAMLs
-    core.info('Running yamldiff...')
-    const diffResult = await runCommand(
-      `yamldiff ${baseFile} ${headFile}`,
-      '/tmp'
+    // Report targets in the order they were configured
+    results.sort(
+      (a, b) =>
+        targets.findIndex((target) => target.name === a.name) -
+        targets.findIndex((target) => target.name === b.name)
     )
 
-    if (diffResult.exitCode !== 0) {
-      allStderr += `Yamldiff error: ${diffResult.stderr}\n`
-      hasError = true
-    }
+    const {
+      diff,
+      diffOutput,
+      stderr: allStderr,
+      hasError,
+      skipped,
+      failed,
+      incomplete,
+      ignored,
+      validation,
+      images,
+      charts
+    } = combineResults(results)
 
     // Set outputs
-    core.setOutput('diff-output', diffResult.stdout)
+    core.setOutput('diff-output', diffOutput)
     core.setOutput('stderr', allStderr)
     core.setOutput('error', hasError.toString())
+    core.setOutput('skipped', (skipped.length === targets.length).toString())
+    core.setOutput('skipped-targets', JSON.stringify(skipped))
+    core.setOutput('failed-targets', JSON.stringify(failed))
+    core.setOutput('incomplete-targets', JSON.stringify(incomplete))
+    core.setOutput('ignored-resources', ignored.resources.toString())
+    core.setOutput('ignored-fields', ignored.fields.toString())
+    core.setOutput('validation', JSON.stringify(validation))
+    core.setOutput('image-changes', JSON.stringify({ images, charts }))
+    core.setOutput('cache-hits', `${cache?.stats.hits ?? 0}`)
+    core.setOutput('cache-misses', `${cache?.stats.misses ?? 0}`)
+    if (cache) {
+      core.info(
+        `Render cache: ${cache.stats.hits} hit(s), ${cache.stats.misses} miss(es)`
+      )
+    }
+
+    const violations = evaluatePolicy(diff.resources, policy)
+    const policyErrors = violations.filter(
+      (violation) => violation.severity === 'error'
+    )
+    // Targets that were not compared cannot be checked against error rules
+    const uncheckedTargets = policy.some((rule) => rule.severity === 'error')
+      ? failed
+      : []
+    core.setOutput('policy-violations', JSON.stringify(violations))
+    core.setOutput(
+      'target-results',
+      JSON.stringify(
+        results.map((result) => ({
+          name: result.name,
+          diffOutput: formatDiff(result.diff),
+          summary: result.diff.summary,
+          stderr: result.stderr,
+          error: result.hasError,
+          skipped: result.skipped,
+          status: result.status,
+          failures: result.failures,
+          ignored: result.ignored
+        }))
+      )
+    )
+
+    const report = buildJsonReport({
+      results,
+      base: { ref: baseRef, sha: baseSha },
+      head: { ref: headRef, sha: headSha }
+    })
+    core.setOutput('diff-json', JSON.stringify(report))
+    const diffJsonFile = core.getInput('diff-json-file')
+    if (diffJsonFile) {
+      await writeJsonReport(report, diffJsonFile)
+      core.info(`Wrote diff report to ${diffJsonFile}`)
+    }
 
     if (hasError) {
       core.warning('Some commands failed. Check stderr output for details.')
     }
+    if (sourceAnnotations) {
+      annotateChanges(diff.resources)
+    }
+    annotateIssues(validation)
+    for (const violation of violations) {
+      if (violation.severity !== 'warning') continue
+      core.warning(formatViolation(violation), {
+        title: `Policy ${violation.rule}`,
+        ...(violation.source && { file: violation.source.file }),
+        ...(violation.source?.line && { startLine: violation.source.line })
+      })
+    }
+
+    if (jobSummary) {
+      try {
+        await writeJobSummary(diff, {
+          hasError,
+          stderr: allStderr,
+          skipped,
+          failed,
+          incomplete,
+          ignored,
+          validation,
+          violations,
+          images,
+          charts
+        })
+      } catch (error) {
+        core.warning(`Failed to write job summary: ${error.message}`)
+      }
+    }
+
+    if (commentOnPr) {
+      try {
+        await publishDiffComment(diff, {
+          failed,
+          incomplete,
+          token: core.getInput('github-token'),
+          identifier: core.getInput('comment-identifier') || 'default'
+        })
+      } catch (error) {
+        core.warning(`Failed to publish diff comment: ${error.message}`)
+      }
+    }
+
+    const failures = []
+    if (policyErrors.length > 0) {
+      failures.push(
+        `Policy violations:\n${policyErrors.map((violation) => `- ${formatViolation(violation)}`).join('\n')}`
+      )
+    }
+    if (uncheckedTargets.length > 0) {
+      failures.push(
+        `Policy not checked, targets not compared: ${uncheckedTargets.join(', ')}`
+      )
+    }
+    if (failures.length > 0) {
+      core.setFailed(failures.join('\n'))
+      return
+    }
 
     core.info('K8s diff action completed successfully')
   } catch (error) {
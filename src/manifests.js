@@ -1,73 +1,280 @@
 import * as fs from 'fs'
 import * as path from 'path'
+import YAML from 'yaml'
 import { runCommand, runPrepareCommands } from './commands.js'
+import { pathGlobToRegExp } from './glob.js'
+import { SOURCE_MARKER } from './diff.js'
 
 /**
- * Collect all YAML files from a directory recursively
+ * File at the root of a collected directory listing paths to skip, in
+ * .gitignore syntax
+ */
+export const IGNORE_FILE = '.k8sdiffignore'
+
+/**
+ * Files collected when no include patterns are given
+ */
+const DEFAULT_INCLUDE = ['*.yaml', '*.yml', '*.json']
+
+/**
+ * Paths never collected unless re-included with a ! pattern
+ */
+const DEFAULT_EXCLUDE = [
+  '.git/',
+  '.github/',
+  'kustomization.yaml',
+  'kustomization.yml',
+  'Kustomization'
+]
+
+/**
+ * Compile path patterns in .gitignore syntax
+ * @param {string[]} patterns - Patterns; blank lines and # comments are
+ *   skipped, a leading ! re-includes and a trailing / only matches directories
+ * @returns {Array<{regexp: RegExp, negate: boolean, directoryOnly: boolean}>}
+ */
+function compilePathPatterns(patterns) {
+  return patterns
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern && !pattern.startsWith('#'))
+    .map((pattern) => {
+      const negate = pattern.startsWith('!')
+      const glob = negate ? pattern.slice(1) : pattern
+      return {
+        regexp: pathGlobToRegExp(glob.replace(/\/+$/, '')),
+        negate,
+        directoryOnly: glob.endsWith('/')
+      }
+    })
+}
+
+/**
+ * Check whether a path is excluded. As in .gitignore, the last matching
+ * pattern wins.
+ * @param {object[]} patterns - Patterns from compilePathPatterns()
+ * @param {string} file - Slash-separated path relative to the collected directory
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean}
+ */
+function isExcluded(patterns, file, isDirectory) {
+  let excluded = false
+  for (const pattern of patterns) {
+    if ((!pattern.directoryOnly || isDirectory) && pattern.regexp.test(file)) {
+      excluded = !pattern.negate
+    }
+  }
+  return excluded
+}
+
+/**
+ * Collect the manifest files of a directory recursively, in sorted order so
+ * that the output does not depend on directory iteration order. Each file is
+ * preceded by a SOURCE_MARKER comment with its path relative to the
+ * directory, so objects can be traced back to their file. kustomization files, .git and .github are skipped, as are the
+ * paths listed in a .k8sdiffignore file at the root of the directory.
  * @param {string} directory - Directory to search
+ * @param {object} [options]
+ * @param {string[]} [options.include] - Path globs of the files to collect (default *.yaml, *.yml and *.json)
+ * @param {string[]} [options.exclude] - Path globs to skip, in .gitignore syntax
  * @returns {Promise<string>} Combined YAML content
  */
-export async function collectYamlFiles(directory) {
-  const yamlFiles = []
+export async function collectYamlFiles(
+  directory,
+  { include = [], exclude = [] } = {}
+) {
+  const includePatterns = (include.length > 0 ? include : DEFAULT_INCLUDE).map(
+    (pattern) => pathGlobToRegExp(pattern)
+  )
+  let excludePatterns
+  const files = []
+
+  async function findFiles(relativeDir) {
+    const entries = await fs.promises.readdir(
+      path.join(directory, relativeDir),
+      { withFileTypes: true }
+    )
 
-  async function findYamlFiles(dir) {
-    const entries = await fs.promises.readdir(dir, { withFileTypes: true })
+    if (!excludePatterns) {
+      const ignoreFile = entries.some(
+        (entry) => entry.isFile() && entry.name === IGNORE_FILE
+      )
+        ? await fs.promises.readFile(path.join(directory, IGNORE_FILE), 'utf8')
+        : ''
+      excludePatterns = compilePathPatterns([
+        ...DEFAULT_EXCLUDE,
+        ...exclude,
+        ...ignoreFile.split('\n')
+      ])
+    }
 
     for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name)
+      const file = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+      if (isExcluded(excludePatterns, file, entry.isDirectory())) continue
 
       if (entry.isDirectory()) {
-        await findYamlFiles(fullPath)
-      } else if (entry.isFile() && /\.(yaml|yml)$/i.test(entry.name)) {
-        yamlFiles.push(fullPath)
+        await findFiles(file)
+      } else if (
+        entry.isFile() &&
+        includePatterns.some((pattern) => pattern.test(file))
+      ) {
+        files.push(file)
       }
     }
   }
 
-  await findYamlFiles(directory)
+  await findFiles('')
+  files.sort()
 
   let combinedContent = ''
-  for (const file of yamlFiles) {
-    const content = await fs.promises.readFile(file, 'utf8')
-    combinedContent += `---\n${content}\n`
+  for (const file of files) {
+    const content = await fs.promises.readFile(
+      path.join(directory, file),
+      'utf8'
+    )
+    combinedContent += `---\n${SOURCE_MARKER} ${file}\n${content}\n`
   }
 
   return combinedContent
 }
 
+/**
+ * Build the helm template flags for release settings and values
+ * @param {object} options
+ * @param {string} [options.releaseName] - Release name (--name-template)
+ * @param {string} [options.namespace] - Release namespace (--namespace)
+ * @param {string} [options.kubeVersion] - Kubernetes version for Capabilities.KubeVersion (--kube-version)
+ * @param {string[]} [options.apiVersions] - Extra API versions for Capabilities.APIVersions (--api-versions)
+ * @param {string[]} [options.valuesFiles] - Values files (-f)
+ * @param {string[]} [options.set] - key=value pairs (--set)
+ * @returns {string[]} Arguments to append to the helm command
+ */
+export function buildHelmArgs({
+  releaseName = '',
+  namespace = '',
+  kubeVersion = '',
+  apiVersions = [],
+  valuesFiles = [],
+  set = []
+}) {
+  const args = []
+  if (releaseName) args.push('--name-template', releaseName)
+  if (namespace) args.push('--namespace', namespace)
+  if (kubeVersion) args.push('--kube-version', kubeVersion)
+  for (const apiVersion of apiVersions) args.push('--api-versions', apiVersion)
+  for (const file of valuesFiles) args.push('-f', file)
+  for (const pair of set) args.push('--set', pair)
+  return args
+}
+
+/**
+ * Convert JSON output into a YAML stream of the Kubernetes objects it holds.
+ * Objects may be nested in lists and maps at any depth, as in the output of
+ * a Tanka environment or a jsonnet file evaluating to a list.
+ * @param {string} content - JSON document
+ * @returns {string} YAML stream
+ * @throws {Error} If the content is not valid JSON
+ */
+export function jsonToManifests(content) {
+  const objects = []
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit)
+    } else if (value && typeof value === 'object') {
+      if (
+        typeof value.apiVersion === 'string' &&
+        typeof value.kind === 'string'
+      ) {
+        objects.push(value)
+      } else {
+        Object.values(value).forEach(visit)
+      }
+    }
+  }
+  visit(JSON.parse(content))
+  return objects.map((object) => `---\n${YAML.stringify(object)}`).join('')
+}
+
 /**
  * Generate manifests using the specified tool and command
- * @param {string} tool - Tool to use (yaml, helm, kustomize)
+ * @param {string} tool - Tool to use, see createToolRegistry()
  * @param {string} command - Command to run
  * @param {string} workingDir - Working directory
  * @param {string} prepareCommands - Commands to run before generating manifests
- * @returns {Promise<{content: string, stderr: string, hasError: boolean}>}
+ * @param {object} [options]
+ * @param {string[]} [options.extraArgs] - Arguments appended to the command, e.g. from buildHelmArgs()
+ * @param {boolean} [options.shell] - Run the command and prepare commands through bash
+ * @param {Object<string, string>} [options.env] - Extra environment variables
+ * @param {object} [options.log] - Log from createBufferedLog(), defaults to the job log
+ * @param {string[]} [options.include] - Files to collect for the yaml tool, see collectYamlFiles()
+ * @param {string[]} [options.exclude] - Paths to skip for the yaml tool, see collectYamlFiles()
+ * @param {string} [options.output] - Format the command prints: yaml, or json converted with jsonToManifests()
+ * @returns {Promise<{content: string, stderr: string, hasError: boolean, step?: string}>}
+ *   On failure, step tells which step failed: prepare, render or parse (invalid JSON output)
  */
 export async function generateManifests(
   tool,
   command,
   workingDir,
-  prepareCommands
+  prepareCommands,
+  {
+    extraArgs = [],
+    shell = false,
+    env = {},
+    log,
+    include = [],
+    exclude = [],
+    output = 'yaml'
+  } = {}
 ) {
   // Run prepare commands first
-  const prepareResult = await runPrepareCommands(prepareCommands, workingDir)
+  const prepareResult = await runPrepareCommands(prepareCommands, workingDir, {
+    shell,
+    env,
+    log
+  })
   if (prepareResult.hasError) {
     return {
       content: '',
       stderr: prepareResult.stderr,
-      hasError: true
+      hasError: true,
+      step: 'prepare'
     }
   }
 
   if (tool === 'yaml' && !command) {
-    const content = await collectYamlFiles(workingDir)
+    const content = await collectYamlFiles(workingDir, { include, exclude })
     return { content, stderr: '', hasError: false }
   }
 
-  const result = await runCommand(command, workingDir)
-  return {
-    content: result.stdout,
-    stderr: result.stderr,
-    hasError: result.exitCode !== 0
+  const result = await runCommand(command, workingDir, {
+    extraArgs,
+    shell,
+    env,
+    log
+  })
+  if (output === 'json' && result.exitCode === 0) {
+    try {
+      return {
+        content: jsonToManifests(result.stdout),
+        stderr: result.stderr,
+        hasError: false
+      }
+    } catch (error) {
+      return {
+        content: '',
+        stderr: `Invalid JSON output: ${error.message}`,
+        hasError: true,
+        step: 'parse'
+      }
+    }
+  }
+  if (result.exitCode !== 0) {
+    return {
+      content: result.stdout,
+      stderr: result.stderr,
+      hasError: true,
+      step: 'render'
+    }
   }
+  return { content: result.stdout, stderr: result.stderr, hasError: false }
 }
@@ -0,0 +1,151 @@
+import { formatResourceId, formatValue, prefixYaml } from './diff.js'
+
+const CHANGE_SYMBOLS = { added: '+', removed: '-', modified: '~' }
+
+/**
+ * Render the changes of a single resource as lines for a ```diff code block,
+ * so that GitHub highlights additions and removals
+ * @param {object} entry - Resource entry from diffResources()
+ * @returns {string}
+ */
+export function renderResourceDiffBlock(entry) {
+  if (entry.changeType === 'added') {
+    return prefixYaml(entry.head, '+ ')
+  }
+  if (entry.changeType === 'removed') {
+    return prefixYaml(entry.base, '- ')
+  }
+
+  const lines = []
+  for (const change of entry.changes) {
+    if (change.type !== 'added') {
+      lines.push(`- ${change.path}: ${formatValue(change.oldValue)}`)
+    }
+    if (change.type !== 'removed') {
+      lines.push(`+ ${change.path}: ${formatValue(change.newValue)}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Build a code fence longer than any run of backticks in the content, so that
+ * values containing ``` cannot close the block early
+ * @param {string} content - Content of the code block
+ * @returns {string} Fence of three or more backticks
+ */
+function getCodeFence(content) {
+  const longest = Math.max(
+    0,
+    ...(content.match(/`+/g) || []).map((run) => run.length)
+  )
+  return '`'.repeat(Math.max(3, longest + 1))
+}
+
+/**
+ * Render validation issues as a markdown list
+ * @param {object[]} issues - Validation issues from a validator
+ * @param {object} [options]
+ * @param {boolean} [options.showResource] - Name the resource of each issue, for lists covering several resources
+ * @returns {string}
+ */
+export function renderValidationIssues(issues, { showResource = false } = {}) {
+  return issues
+    .map((issue) => {
+      const icon = issue.severity === 'error' ? ':x:' : ':warning:'
+      const target =
+        showResource && issue.target ? `<b>${issue.target}</b>: ` : ''
+      const resource = showResource
+        ? `<code>${formatResourceId(issue)}</code> `
+        : ''
+      const field = issue.path ? `<code>${issue.path}</code>: ` : ''
+      return `- ${icon} ${target}${resource}${field}${issue.message}`
+    })
+    .join('\n')
+}
+
+/**
+ * Render a single resource as a collapsible <details> section. Validation
+ * issues of the head version are listed above the diff.
+ * @param {object} entry - Resource entry from diffResources()
+ * @returns {string}
+ */
+export function renderResourceDetails(entry) {
+  const symbol = CHANGE_SYMBOLS[entry.changeType]
+  const target = entry.target ? `<b>${entry.target}</b>: ` : ''
+  const issues = entry.validation || []
+  const flag =
+    issues.length > 0 ? ` :warning: ${issues.length} validation issue(s)` : ''
+  const block = renderResourceDiffBlock(entry)
+  const fence = getCodeFence(block)
+  return [
+    '<details>',
+    `<summary>${target}<code>${symbol} ${formatResourceId(entry)}</code> (${entry.changeType})${flag}</summary>`,
+    '',
+    ...(issues.length > 0 ? [renderValidationIssues(issues), ''] : []),
+    `${fence}diff`,
+    block,
+    fence,
+    '',
+    '</details>'
+  ].join('\n')
+}
+
+/**
+ * Render the one-line count of changed resources
+ * @param {{added: number, removed: number, modified: number}} summary - Diff summary counts
+ * @returns {string}
+ */
+export function renderSummaryLine(summary) {
+  return `**${summary.added}** added, **${summary.removed}** removed, **${summary.modified}** modified`
+}
+
+/**
+ * Render a warning about targets whose diff is missing or partial, so that an
+ * empty or short diff is not mistaken for the real one
+ * @param {object} targets
+ * @param {string[]} [targets.failed] - Targets not compared because a side failed
+ * @param {string[]} [targets.incomplete] - Targets compared without files that failed to parse
+ * @returns {string} Markdown alert, empty when every target was compared in full
+ */
+export function renderFailureNote({ failed = [], incomplete = [] }) {
+  const lines = []
+  if (failed.length > 0) {
+    lines.push(
+      `> Not compared, rendering or parsing failed: ${failed.join(', ')}`
+    )
+  }
+  if (incomplete.length > 0) {
+    lines.push(
+      `> Incomplete, some files failed to parse: ${incomplete.join(', ')}`
+    )
+  }
+  return lines.length > 0 ? `> [!WARNING]\n${lines.join('\n>\n')}` : ''
+}
+
+/**
+ * Build the link to the current workflow run
+ * @param {object} context - Context from @actions/github
+ * @returns {string} URL, empty outside of a workflow run
+ */
+export function getRunUrl(context) {
+  return context.runId
+    ? `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`
+    : ''
+}
+
+/**
+ * Render the note standing in for resources left out of a size-limited
+ * comment or job summary
+ * @param {number} omitted - Number of resources left out
+ * @param {object} options
+ * @param {string} options.limit - What is limited, e.g. "comment"
+ * @param {string} [options.runUrl] - Link to the workflow run with the full diff
+ * @returns {string} Markdown alert
+ */
+export function renderOmittedNote(omitted, { limit, runUrl }) {
+  const where = runUrl
+    ? `See the [workflow run](${runUrl}) for the full diff.`
+    : 'See the workflow run for the full diff.'
+  return `> [!NOTE]\n> ${omitted} more resource(s) not shown because the ${limit} size limit was reached. ${where}`
+}
@@ -0,0 +1,118 @@
+import * as fs from 'fs'
+
+/**
+ * OpenAPI definitions shipped with the action, annotated with the defaults
+ * the API server applies to built-in kinds
+ */
+export const DEFAULTS_SCHEMA_FILE = new URL(
+  '../schemas/kubernetes/defaults.json',
+  import.meta.url
+)
+
+/**
+ * Load the bundled defaulting schemas
+ * @param {string|URL} [file] - Schema file (default DEFAULTS_SCHEMA_FILE)
+ * @returns {Promise<object>} OpenAPI document with a definitions mapping
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export async function loadDefaultsSchema(file = DEFAULTS_SCHEMA_FILE) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  } catch (error) {
+    throw new Error(
+      `Failed to load Kubernetes defaults from ${file}: ${error.message}`
+    )
+  }
+}
+
+/**
+ * Index top-level definitions by "apiVersion kind"
+ * @param {Object<string, object>} definitions - OpenAPI definitions
+ * @returns {Map<string, object>}
+ */
+function indexByKind(definitions) {
+  const kinds = new Map()
+  for (const schema of Object.values(definitions)) {
+    for (const gvk of schema['x-kubernetes-group-version-kind'] || []) {
+      const apiVersion = gvk.group ? `${gvk.group}/${gvk.version}` : gvk.version
+      kinds.set(`${apiVersion} ${gvk.kind}`, schema)
+    }
+  }
+  return kinds
+}
+
+/**
+ * Create a normalizer that fills in the fields the API server would default,
+ * so that omitting a field and setting it to its default compare equal. Only
+ * kinds present in the schema are touched.
+ * @param {object} schema - OpenAPI document from loadDefaultsSchema()
+ * @returns {(resources: object[]) => object[]} Normalizes objects in place and returns them
+ */
+export function createNormalizer(schema) {
+  const definitions = schema.definitions || {}
+  const kinds = indexByKind(definitions)
+
+  const resolve = (node) => {
+    let current = node
+    while (current) {
+      const reference = current.$ref || current.allOf?.[0]?.$ref
+      if (!reference) return current
+      current = definitions[reference.replace('#/definitions/', '')]
+    }
+    return undefined
+  }
+
+  const conditionHolds = (value, condition) =>
+    Object.entries(condition).every(([field, allowed]) =>
+      allowed.includes(value[field])
+    )
+
+  const applyDefaults = (value, node) => {
+    const definition = resolve(node)
+    if (!definition || !value || typeof value !== 'object') return
+
+    if (Array.isArray(value)) {
+      if (definition.items) {
+        for (const item of value) applyDefaults(item, definition.items)
+      }
+      return
+    }
+
+    const properties = definition.properties || {}
+    // Static defaults first: conditional defaults may depend on them
+    for (const [field, property] of Object.entries(properties)) {
+      if (
+        value[field] === undefined &&
+        property.default !== undefined &&
+        !property['x-default-if']
+      ) {
+        value[field] = structuredClone(property.default)
+      }
+    }
+    for (const [field, property] of Object.entries(properties)) {
+      if (value[field] !== undefined) continue
+      if (property['x-default-from'] !== undefined) {
+        const source = value[property['x-default-from']]
+        if (source !== undefined) value[field] = structuredClone(source)
+      } else if (
+        property['x-default-if'] &&
+        property.default !== undefined &&
+        conditionHolds(value, property['x-default-if'])
+      ) {
+        value[field] = structuredClone(property.default)
+      }
+    }
+
+    for (const [field, property] of Object.entries(properties)) {
+      applyDefaults(value[field], property)
+    }
+  }
+
+  return (resources) => {
+    for (const resource of resources) {
+      const definition = kinds.get(`${resource.apiVersion} ${resource.kind}`)
+      if (definition) applyDefaults(resource, definition)
+    }
+    return resources
+  }
+}
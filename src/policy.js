@@ -0,0 +1,250 @@
+import * as fs from 'fs'
+import YAML from 'yaml'
+import { parseJsonPath, visitJsonPath } from './jsonpath.js'
+import { globToRegExp } from './glob.js'
+import { compileSelector } from './ignore.js'
+import { formatPath, formatResourceId } from './diff.js'
+
+const SEVERITIES = ['error', 'warning']
+const RESOURCE_CHANGES = ['added', 'removed', 'modified']
+const FIELD_CHANGES = ['added', 'removed', 'changed']
+
+/**
+ * Read a rule option that may be a single value or a list of allowed values
+ * @param {*} value - Option value
+ * @param {string[]} allowed - Allowed values
+ * @param {string} context - Description of the option for error messages
+ * @returns {string[]|undefined} The values, or undefined when not set
+ */
+function toAllowedList(value, allowed, context) {
+  if (value === undefined) return undefined
+  const list = Array.isArray(value) ? value : [value]
+  const invalid = list.find((item) => !allowed.includes(item))
+  if (list.length === 0 || invalid !== undefined) {
+    throw new Error(
+      `Invalid policy config: ${context} must be one of ${allowed.join(', ')}`
+    )
+  }
+  return list
+}
+
+/**
+ * Parse a policy configuration
+ *
+ * ```yaml
+ * rules:
+ *   - name: no-pvc-deletion
+ *     match:
+ *       kind: [PersistentVolumeClaim, Namespace]
+ *     change: removed
+ *   - name: no-latest-images
+ *     severity: warning
+ *     path: $..containers[*].image
+ *     value: '*:latest'
+ * ```
+ *
+ * A rule matches resources selected by match (globs on apiVersion, kind,
+ * namespace and name) whose change type is listed in change. With a path
+ * (JSONPath, the leading $. may be omitted) the rule only matches when a field
+ * at that path changed, optionally restricted by fieldChange (added, removed,
+ * changed) and by value, a glob the new value must match.
+ * @param {string} content - YAML content
+ * @param {string} source - Where the configuration came from, for error messages
+ * @returns {object[]} Compiled rules
+ * @throws {Error} If the configuration is invalid
+ */
+export function parsePolicyConfig(content, source) {
+  let config
+  try {
+    config = YAML.parse(content) || {}
+  } catch (error) {
+    throw new Error(`Invalid policy config in ${source}: ${error.message}`)
+  }
+  if (
+    typeof config !== 'object' ||
+    Array.isArray(config) ||
+    !Array.isArray(config.rules || [])
+  ) {
+    throw new Error(
+      `Invalid policy config in ${source}: expected a mapping with a rules list`
+    )
+  }
+
+  return (config.rules || []).map((rule, index) => {
+    const context = `${source} rules[${index}]`
+    if (!rule || typeof rule !== 'object' || !rule.name) {
+      throw new Error(`Invalid policy config: ${context} needs a name`)
+    }
+
+    const expression = rule.path ? `${rule.path}`.trim() : ''
+    const values =
+      rule.value === undefined
+        ? undefined
+        : (Array.isArray(rule.value) ? rule.value : [rule.value]).map((glob) =>
+            globToRegExp(`${glob}`)
+          )
+
+    return {
+      name: `${rule.name}`,
+      severity:
+        toAllowedList(rule.severity, SEVERITIES, `${context} severity`)?.[0] ||
+        'error',
+      message: rule.message ? `${rule.message}` : '',
+      match: compileSelector(rule.match || {}, context, 'policy'),
+      changes:
+        toAllowedList(rule.change, RESOURCE_CHANGES, `${context} change`) ||
+        RESOURCE_CHANGES,
+      segments: expression
+        ? parseJsonPath(
+            expression.startsWith('$') ? expression : `$.${expression}`
+          )
+        : undefined,
+      fieldChanges: toAllowedList(
+        rule.fieldChange,
+        FIELD_CHANGES,
+        `${context} fieldChange`
+      ),
+      values
+    }
+  })
+}
+
+/**
+ * Load the policy rules from the inline input and an optional file
+ * @param {object} options
+ * @param {string} [options.inline] - YAML configuration from the `policy` input
+ * @param {string} [options.file] - Path of a configuration file in the repository
+ * @returns {Promise<object[]>} Compiled rules, empty when none are configured
+ */
+export async function loadPolicy({ inline, file }) {
+  const rules = []
+  if (inline && inline.trim()) {
+    rules.push(...parsePolicyConfig(inline, 'policy input'))
+  }
+  if (file) {
+    let content
+    try {
+      content = await fs.promises.readFile(file, 'utf8')
+    } catch (error) {
+      throw new Error(`Failed to read policy file ${file}: ${error.message}`)
+    }
+    rules.push(...parsePolicyConfig(content, file))
+  }
+  return rules
+}
+
+/**
+ * Check whether a field path is the same as or below another one
+ * @param {string} fieldPath - Formatted field path
+ * @param {string} ancestor - Formatted field path, '' for the whole object
+ * @returns {boolean}
+ */
+function isWithin(fieldPath, ancestor) {
+  return (
+    ancestor === '' ||
+    fieldPath === ancestor ||
+    fieldPath.startsWith(`${ancestor}.`) ||
+    fieldPath.startsWith(`${ancestor}[`)
+  )
+}
+
+/**
+ * Find the changed fields of a resource selected by a rule path
+ * @param {object} entry - Diff entry
+ * @param {object[]} segments - Parsed JSONPath
+ * @returns {Array<{path: string, type: string, value: *}>} Changed locations with the change type and new value
+ */
+function findChangedFields(entry, segments) {
+  const changes =
+    entry.changeType === 'modified'
+      ? entry.changes
+      : [{ path: '', type: entry.changeType }]
+
+  const locations = new Map()
+  for (const side of ['base', 'head']) {
+    if (!entry[side]) continue
+    visitJsonPath(entry[side], segments, (parent, key, segmentsAt) => {
+      const fieldPath = formatPath(segmentsAt)
+      const location = locations.get(fieldPath) || { path: fieldPath }
+      if (side === 'head') location.value = parent[key]
+      locations.set(fieldPath, location)
+    })
+  }
+
+  const fields = []
+  for (const location of locations.values()) {
+    // A change at or above the location applies as is; changes further down
+    // mean the value at the location changed
+    const change =
+      changes.find((item) => isWithin(location.path, item.path)) ||
+      (changes.some((item) => isWithin(item.path, location.path)) && {
+        type: 'changed'
+      })
+    if (change) fields.push({ ...location, type: change.type })
+  }
+  return fields
+}
+
+/**
+ * Evaluate policy rules against diff entries
+ * @param {object[]} resources - Diff entries, optionally tagged with a target
+ * @param {object[]} rules - Rules from parsePolicyConfig()
+ * @returns {Array<{rule: string, severity: string, message: string, target?: string, apiVersion: string, kind: string, namespace: string, name: string, changeType: string, path: string, source?: object}>}
+ */
+export function evaluatePolicy(resources, rules) {
+  const violations = []
+
+  for (const entry of resources) {
+    for (const rule of rules) {
+      if (!rule.changes.includes(entry.changeType) || !rule.match(entry)) {
+        continue
+      }
+
+      const fields = rule.segments
+        ? findChangedFields(entry, rule.segments).filter(
+            (field) =>
+              (!rule.fieldChanges || rule.fieldChanges.includes(field.type)) &&
+              (!rule.values ||
+                (field.value !== undefined &&
+                  rule.values.some((pattern) =>
+                    pattern.test(
+                      typeof field.value === 'string'
+                        ? field.value
+                        : JSON.stringify(field.value)
+                    )
+                  )))
+          )
+        : [{ path: '' }]
+
+      for (const field of fields) {
+        violations.push({
+          rule: rule.name,
+          severity: rule.severity,
+          message: rule.message,
+          ...(entry.target && { target: entry.target }),
+          apiVersion: entry.apiVersion,
+          kind: entry.kind,
+          namespace: entry.namespace,
+          name: entry.name,
+          changeType: entry.changeType,
+          path: field.path,
+          ...(entry.source && { source: entry.source })
+        })
+      }
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Format a policy violation as a single line
+ * @param {object} violation - Violation from evaluatePolicy()
+ * @returns {string}
+ */
+export function formatViolation(violation) {
+  const target = violation.target ? `[${violation.target}] ` : ''
+  const field = violation.path ? ` ${violation.path}` : ''
+  const message = violation.message ? `: ${violation.message}` : ''
+  return `${violation.rule}: ${target}${formatResourceId(violation)} (${violation.changeType})${field}${message}`
+}
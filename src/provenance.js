@@ -0,0 +1,157 @@
+import * as core from '@actions/core'
+import * as path from 'path'
+import YAML from 'yaml'
+import {
+  getResourceId,
+  getResourceKey,
+  formatResourceId,
+  formatResourceDiff,
+  SOURCE_MARKER
+} from './diff.js'
+import { parseJsonPath } from './jsonpath.js'
+
+/**
+ * "# Source: <file>" comment written by helm template
+ */
+const SOURCE_COMMENT = /^#\s*Source:\s*(\S.*?)\s*$/
+
+/**
+ * Find where every object of a rendered YAML stream came from. Documents are
+ * attributed to the closest preceding "# Source: <file>" comment as written
+ * by helm template, or to the closest preceding SOURCE_MARKER comment in the
+ * output of collectYamlFiles(), whose files may hold "# Source:" comments of
+ * their own.
+ * @param {string} content - Rendered YAML stream
+ * @param {object} [options]
+ * @param {boolean} [options.collected] - The stream was written by collectYamlFiles()
+ * @returns {Map<string, {source: string, sourceLine: number, lineOf: (segments: Array<string|number>) => number}>}
+ *   Locations keyed by resource key. sourceLine is the stream line of the
+ *   source comment; lineOf() returns the stream line of a field, or of its
+ *   closest existing parent.
+ */
+export function locateResources(content, { collected = false } = {}) {
+  const locations = new Map()
+  if (!content || !content.trim()) return locations
+
+  const sources = []
+  content.split('\n').forEach((text, index) => {
+    const source = collected
+      ? text.startsWith(SOURCE_MARKER) &&
+        text.slice(SOURCE_MARKER.length).trim()
+      : SOURCE_COMMENT.exec(text.trim())?.[1]
+    if (source) sources.push({ source, line: index + 1 })
+  })
+
+  const lineCounter = new YAML.LineCounter()
+  for (const doc of YAML.parseAllDocuments(content, { lineCounter })) {
+    if (doc.errors.length > 0 || !YAML.isMap(doc.contents)) continue
+
+    const lineAt = (node, fallback) =>
+      node?.range ? lineCounter.linePos(node.range[0]).line : fallback
+    const start = lineAt(doc.contents, 1)
+    const source = sources.filter((entry) => entry.line < start).pop()
+
+    const lineOf = (segments) => {
+      let node = doc.contents
+      let line = start
+      for (const segment of segments) {
+        if (YAML.isMap(node)) {
+          const pair = node.items.find(
+            (item) =>
+              (YAML.isScalar(item.key) ? item.key.value : item.key) === segment
+          )
+          if (!pair) break
+          line = lineAt(pair.key, line)
+          node = pair.value
+        } else if (YAML.isSeq(node) && node.items[segment]) {
+          node = node.items[segment]
+          line = lineAt(node, line)
+        } else {
+          break
+        }
+      }
+      return line
+    }
+
+    const key = getResourceKey(getResourceId(doc.toJS()))
+    locations.set(key, {
+      source: source?.source || '',
+      sourceLine: source?.line || 0,
+      lineOf
+    })
+  }
+
+  return locations
+}
+
+/**
+ * Split a formatted field path back into segments
+ * @param {string} fieldPath - Path as produced by formatPath(), e.g. spec.containers[0].image
+ * @returns {Array<string|number>} Segments; empty for the whole object or an unparsable path
+ */
+function toSegments(fieldPath) {
+  if (!fieldPath) return []
+  try {
+    return parseJsonPath(`$.${fieldPath}`).map((segment) => segment.value)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Resolve the repository file (and line, where known) that produced a field
+ * of a rendered object
+ * @param {Map<string, object>} locations - Locations from locateResources()
+ * @param {{apiVersion: string, kind: string, namespace: string, name: string}} id - Resource identity
+ * @param {string} fieldPath - Field path, '' for the whole object
+ * @param {object} options
+ * @param {string} options.workingDir - Directory the manifests were rendered in, relative to the repository root
+ * @param {boolean} [options.chart] - Source paths start with the chart name, as in helm output
+ * @param {boolean} [options.lines] - Stream lines map to file lines, as in collectYamlFiles() output
+ * @returns {{file: string, line?: number}|undefined}
+ */
+export function findSource(
+  locations,
+  id,
+  fieldPath,
+  { workingDir, chart = false, lines = false }
+) {
+  const location = locations.get(getResourceKey(id))
+  if (!location || !location.source) return undefined
+
+  const relative = chart
+    ? location.source.split('/').slice(1).join('/')
+    : location.source
+  const file = path.posix
+    .normalize(path.posix.join(workingDir, relative))
+    .replace(/^\.\//, '')
+
+  if (!lines) return { file }
+  return {
+    file,
+    line: location.lineOf(toSegments(fieldPath)) - location.sourceLine
+  }
+}
+
+/**
+ * Report changed resources as annotations on the files they came from.
+ * Added and modified resources produce notices, removed ones warnings.
+ * @param {object[]} resources - Diff entries with a source, optionally tagged with a target
+ */
+export function annotateChanges(resources) {
+  for (const entry of resources) {
+    if (!entry.source) continue
+
+    const target = entry.target ? `[${entry.target}] ` : ''
+    const message =
+      entry.changeType === 'modified'
+        ? formatResourceDiff(entry)
+        : `${formatResourceId(entry)} (${entry.changeType})`
+    const annotate = entry.changeType === 'removed' ? core.warning : core.notice
+    annotate(`${target}${message}`, {
+      title: `Kubernetes manifest ${entry.changeType}`,
+      file: entry.source.file,
+      ...(entry.source.line && { startLine: entry.source.line })
+    })
+  }
+}
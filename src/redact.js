@@ -0,0 +1,124 @@
+import * as core from '@actions/core'
+import * as crypto from 'crypto'
+import { parseJsonPath, visitJsonPath } from './jsonpath.js'
+import { globToRegExp } from './glob.js'
+
+/**
+ * Values shorter than this are not registered as secrets, since masking them
+ * would hide unrelated text all over the log
+ */
+const MIN_MASK_LENGTH = 3
+
+/**
+ * Parse the `redact` input. Lines starting with $ are JSONPath expressions,
+ * anything else is a key name glob matched against every key of every object.
+ * @param {string} input - Newline-separated patterns
+ * @returns {{paths: object[][], keys: RegExp[]}}
+ */
+export function parseRedactPatterns(input) {
+  const paths = []
+  const keys = []
+
+  for (const line of (input || '').split('\n')) {
+    const pattern = line.trim()
+    if (!pattern || pattern.startsWith('#')) continue
+
+    if (pattern.startsWith('$')) {
+      paths.push(parseJsonPath(pattern))
+    } else {
+      keys.push(globToRegExp(pattern, { ignoreCase: true }))
+    }
+  }
+
+  return { paths, keys }
+}
+
+/**
+ * Register a value and its scalar leaves with the runner so they are masked in logs
+ * @param {*} value - Sensitive value
+ */
+function maskValue(value) {
+  if (value && typeof value === 'object') {
+    for (const child of Object.values(value)) maskValue(child)
+    return
+  }
+  if (value === null || value === undefined) return
+
+  const text = `${value}`
+  if (text.length >= MIN_MASK_LENGTH) {
+    core.setSecret(text)
+  }
+}
+
+/**
+ * Create a redactor that replaces sensitive values with stable hashes. The
+ * hashes are keyed with a random per-run secret, so the same value redacts to
+ * the same placeholder on the base and head side (a change stays visible as a
+ * change) while the placeholder cannot be used to guess the value.
+ * @param {object} options
+ * @param {boolean} options.redactSecrets - Redact data and stringData of Secret objects
+ * @param {string} [options.patterns] - Additional patterns, see parseRedactPatterns()
+ * @returns {(resources: object[]) => object[]} Redacts objects in place and returns them
+ */
+export function createRedactor({ redactSecrets, patterns = '' }) {
+  const { paths, keys } = parseRedactPatterns(patterns)
+  const key = crypto.randomBytes(32)
+
+  const placeholder = (value) => {
+    const hash = crypto
+      .createHmac('sha256', key)
+      .update(JSON.stringify(value))
+      .digest('hex')
+      .slice(0, 12)
+    return `<redacted:${hash}>`
+  }
+
+  const redactAt = (parent, field) => {
+    const value = parent[field]
+    if (typeof value === 'string' && /^<redacted:[0-9a-f]+>$/.test(value)) {
+      return
+    }
+    maskValue(value)
+    parent[field] = placeholder(value)
+  }
+
+  const redactKeys = (value) => {
+    if (!value || typeof value !== 'object') return
+    for (const field of Object.keys(value)) {
+      if (
+        !Array.isArray(value) &&
+        keys.some((pattern) => pattern.test(field))
+      ) {
+        redactAt(value, field)
+      } else {
+        redactKeys(value[field])
+      }
+    }
+  }
+
+  return (resources) => {
+    for (const resource of resources) {
+      if (redactSecrets && resource.kind === 'Secret') {
+        for (const field of ['data', 'stringData']) {
+          const values = resource[field]
+          if (!values || typeof values !== 'object') continue
+          for (const name of Object.keys(values)) {
+            if (field === 'data' && typeof values[name] === 'string') {
+              // data is base64 encoded; the decoded value may show up in logs too
+              maskValue(Buffer.from(values[name], 'base64').toString('utf8'))
+            }
+            redactAt(values, name)
+          }
+        }
+      }
+
+      for (const segments of paths) {
+        visitJsonPath(resource, segments, redactAt)
+      }
+      if (keys.length > 0) {
+        redactKeys(resource)
+      }
+    }
+    return resources
+  }
+}
@@ -0,0 +1,213 @@
+import * as fs from 'fs'
+import { fileURLToPath } from 'url'
+import YAML from 'yaml'
+import { buildHelmArgs } from './manifests.js'
+import {
+  getLocalChartDependencies,
+  getKustomizeDependencies
+} from './changes.js'
+import {
+  installHelm,
+  installKustomize,
+  installHelmfile,
+  installJsonnet
+} from './tools.js'
+
+/**
+ * Script rendering the manifests exported by a JavaScript module
+ */
+const NODE_GENERATOR = fileURLToPath(
+  new URL('../generators/node.js', import.meta.url)
+)
+
+const OUTPUTS = ['yaml', 'json']
+const SOURCES = ['files', 'chart', 'none']
+
+/**
+ * Quote a path as a single command line argument
+ * @param {string} value - Argument
+ * @returns {string}
+ */
+function quoteArg(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`
+}
+
+/**
+ * Tools available without configuration. A tool definition has:
+ * - command: default render command ('' collects the YAML files of the working directory)
+ * - prepareCommands: default prepare commands
+ * - output: what the command prints, yaml or json (see jsonToManifests())
+ * - binary and versionArgs: executable and the arguments printing its version
+ * - install: installer for the binary, taking {version, mirrorUrl, verify}
+ * - requires: other tools the command runs
+ * - args: (helm, valuesFiles) => arguments appended to the command
+ * - dependencies: (dir, shas) => repository paths outside dir the output depends on
+ * - files: paths relative to the working directory the output depends on
+ * - sources: how "# Source:" comments, or the markers of collected files, map
+ *   to files: files, chart (helm) or none
+ */
+export const BUILTIN_TOOLS = {
+  yaml: {
+    command: '',
+    prepareCommands: '',
+    sources: 'files'
+  },
+  helm: {
+    command: 'helm template .',
+    prepareCommands: 'helm dependency update',
+    binary: 'helm',
+    versionArgs: ['version', '--short'],
+    install: installHelm,
+    args: (helm, valuesFiles) => buildHelmArgs({ ...helm, valuesFiles }),
+    dependencies: getLocalChartDependencies,
+    sources: 'chart'
+  },
+  kustomize: {
+    command: 'kustomize build .',
+    prepareCommands: '',
+    binary: 'kustomize',
+    versionArgs: ['version'],
+    install: installKustomize,
+    dependencies: getKustomizeDependencies
+  },
+  helmfile: {
+    command: 'helmfile template',
+    prepareCommands: '',
+    binary: 'helmfile',
+    versionArgs: ['version'],
+    install: installHelmfile,
+    requires: ['helm']
+  },
+  jsonnet: {
+    command: 'jsonnet -J lib -J vendor main.jsonnet',
+    prepareCommands: '',
+    output: 'json',
+    binary: 'jsonnet',
+    versionArgs: ['--version'],
+    install: installJsonnet
+  },
+  node: {
+    command: `node ${quoteArg(NODE_GENERATOR)} index.js`,
+    prepareCommands: '',
+    output: 'json',
+    binary: 'node',
+    versionArgs: ['--version']
+  }
+}
+
+/**
+ * Read a list from a tools entry, accepting a single value as well
+ * @param {*} value - List, scalar or undefined
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return []
+  return (Array.isArray(value) ? value : [value]).map((item) => `${item}`)
+}
+
+/**
+ * Parse a custom tools configuration
+ *
+ * ```yaml
+ * tools:
+ *   ytt:
+ *     command: ytt -f .
+ *     prepare-commands: vendir sync
+ *     files: [../../lib]
+ * ```
+ *
+ * Each tool needs a command. output (yaml or json), sources (files, chart or
+ * none), files (paths relative to the working directory that affect the
+ * output), binary and version-args (used for cache keys) are optional. Custom
+ * tools are expected on PATH.
+ * @param {string} content - YAML content
+ * @param {string} source - Where the configuration came from, for error messages
+ * @returns {Object<string, object>} Tool definitions by name
+ * @throws {Error} If the configuration is invalid
+ */
+export function parseToolsConfig(content, source) {
+  let config
+  try {
+    config = YAML.parse(content) || {}
+  } catch (error) {
+    throw new Error(`Invalid tools config in ${source}: ${error.message}`)
+  }
+  const tools = config.tools || {}
+  if (
+    typeof config !== 'object' ||
+    typeof tools !== 'object' ||
+    Array.isArray(tools)
+  ) {
+    throw new Error(
+      `Invalid tools config in ${source}: expected a tools mapping of names to tools`
+    )
+  }
+
+  const definitions = {}
+  for (const [name, entry] of Object.entries(tools)) {
+    const context = `${source} tools.${name}`
+    if (!entry || typeof entry !== 'object' || !entry.command) {
+      throw new Error(`Invalid tools config: ${context} needs a command`)
+    }
+    const output = entry.output || 'yaml'
+    const sources = entry.sources || 'none'
+    if (!OUTPUTS.includes(output)) {
+      throw new Error(
+        `Invalid tools config: ${context} output must be one of ${OUTPUTS.join(', ')}`
+      )
+    }
+    if (!SOURCES.includes(sources)) {
+      throw new Error(
+        `Invalid tools config: ${context} sources must be one of ${SOURCES.join(', ')}`
+      )
+    }
+    const prepareCommands = entry['prepare-commands'] || ''
+
+    definitions[name] = {
+      command: `${entry.command}`,
+      prepareCommands: Array.isArray(prepareCommands)
+        ? prepareCommands.join('\n')
+        : `${prepareCommands}`,
+      output,
+      sources,
+      files: toList(entry.files),
+      ...(entry.binary && {
+        binary: `${entry.binary}`,
+        versionArgs: toList(entry['version-args'] ?? '--version')
+      })
+    }
+  }
+  return definitions
+}
+
+/**
+ * Create the registry of tools targets can use: the built-in tools and
+ * custom ones, which may replace built-ins of the same name
+ * @param {Object<string, object>} [custom] - Definitions from parseToolsConfig()
+ * @returns {Map<string, object>} Tool definitions by name, each with its name
+ */
+export function createToolRegistry(custom = {}) {
+  return new Map(
+    Object.entries({ ...BUILTIN_TOOLS, ...custom }).map(([name, tool]) => [
+      name,
+      { name, output: 'yaml', sources: 'none', files: [], ...tool }
+    ])
+  )
+}
+
+/**
+ * Load the tool registry with the custom tools of an optional config file
+ * @param {object} options
+ * @param {string} [options.file] - Path of a tools configuration in the repository
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function loadToolRegistry({ file }) {
+  if (!file) return createToolRegistry()
+  let content
+  try {
+    content = await fs.promises.readFile(file, 'utf8')
+  } catch (error) {
+    throw new Error(`Failed to read tools file ${file}: ${error.message}`)
+  }
+  return createToolRegistry(parseToolsConfig(content, file))
+}
@@ -0,0 +1,82 @@
+import * as fs from 'fs'
+import * as path from 'path'
+
+/**
+ * Version of the diff-json format, bumped on incompatible changes
+ */
+export const REPORT_VERSION = 1
+
+/**
+ * Convert a resource entry from diffResources() to its JSON form. Added and
+ * removed resources carry a single whole-object change with an empty path.
+ * @param {object} entry - Resource entry
+ * @param {string} target - Name of the target the resource belongs to
+ * @returns {object}
+ */
+function toJsonResource(entry, target) {
+  let changes = entry.changes
+  if (entry.changeType === 'added') {
+    changes = [{ path: '', type: 'added', newValue: entry.head }]
+  } else if (entry.changeType === 'removed') {
+    changes = [{ path: '', type: 'removed', oldValue: entry.base }]
+  }
+
+  return {
+    target,
+    apiVersion: entry.apiVersion,
+    kind: entry.kind,
+    namespace: entry.namespace,
+    name: entry.name,
+    changeType: entry.changeType,
+    changes,
+    ...(entry.source && { source: entry.source })
+  }
+}
+
+/**
+ * Build the structured diff report described by schemas/diff-json.schema.json
+ * @param {object} options
+ * @param {object[]} options.results - Target results from diffTarget()
+ * @param {{ref: string, sha: string}} options.base - Base ref and resolved commit
+ * @param {{ref: string, sha: string}} options.head - Head ref and resolved commit
+ * @returns {object} The report
+ */
+export function buildJsonReport({ results, base, head }) {
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 }
+  for (const result of results) {
+    for (const key of Object.keys(summary)) {
+      summary[key] += result.diff.summary[key]
+    }
+  }
+
+  return {
+    version: REPORT_VERSION,
+    base: { ref: base.ref, sha: base.sha.trim() },
+    head: { ref: head.ref, sha: head.sha.trim() },
+    error: results.some((result) => result.hasError),
+    summary,
+    targets: results.map((result) => ({
+      name: result.name,
+      skipped: result.skipped,
+      error: result.hasError,
+      status: result.status,
+      failures: result.failures,
+      summary: result.diff.summary,
+      ignored: result.ignored
+    })),
+    resources: results.flatMap((result) =>
+      result.diff.resources.map((entry) => toJsonResource(entry, result.name))
+    )
+  }
+}
+
+/**
+ * Write the report to a file, creating parent directories as needed
+ * @param {object} report - Report from buildJsonReport()
+ * @param {string} file - Destination path
+ * @returns {Promise<void>}
+ */
+export async function writeJsonReport(report, file) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true })
+  await fs.promises.writeFile(file, JSON.stringify(report, null, 2))
+}
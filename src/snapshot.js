@@ -0,0 +1,98 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { SOURCE_MARKER } from './diff.js'
+import { collectYamlFiles } from './manifests.js'
+
+/**
+ * Metadata fields set by the API server rather than by the manifests
+ */
+const SERVER_METADATA_FIELDS = [
+  'managedFields',
+  'resourceVersion',
+  'uid',
+  'creationTimestamp',
+  'generation',
+  'selfLink'
+]
+
+/**
+ * Annotations written by clients and controllers when objects are applied
+ */
+const SERVER_ANNOTATIONS = [
+  'kubectl.kubernetes.io/last-applied-configuration',
+  'deployment.kubernetes.io/revision'
+]
+
+/**
+ * Remove the cluster IPs allocated to a Service. "None", which makes a
+ * Service headless, is set by its manifest and kept.
+ * @param {object} resource - Exported Kubernetes object
+ */
+function stripClusterIPs(resource) {
+  const spec = resource.spec
+  if (resource.kind !== 'Service' || !spec || typeof spec !== 'object') return
+  if (spec.clusterIP !== 'None') delete spec.clusterIP
+  if (!Array.isArray(spec.clusterIPs) || spec.clusterIPs[0] !== 'None') {
+    delete spec.clusterIPs
+  }
+}
+
+/**
+ * Read a snapshot of deployed objects, such as the output of
+ * `kubectl get -o yaml` or an Argo CD manifest export
+ * @param {string} snapshotPath - YAML (or JSON) file, or a directory searched recursively for YAML files
+ * @returns {Promise<{content: string, stderr: string, hasError: boolean, step?: string}>} Same shape as generateManifests(), step is "read" on failure
+ */
+export async function readSnapshot(snapshotPath) {
+  try {
+    const stat = await fs.promises.stat(snapshotPath)
+    if (stat.isDirectory()) {
+      return {
+        content: await collectYamlFiles(snapshotPath),
+        stderr: '',
+        hasError: false
+      }
+    }
+    const content = await fs.promises.readFile(snapshotPath, 'utf8')
+    return {
+      content: `${SOURCE_MARKER} ${path.basename(snapshotPath)}\n${content}`,
+      stderr: '',
+      hasError: false
+    }
+  } catch (error) {
+    return {
+      content: '',
+      stderr: `Failed to read snapshot ${snapshotPath}: ${error.message}`,
+      hasError: true,
+      step: 'read'
+    }
+  }
+}
+
+/**
+ * Remove the fields the API server populates (status, managedFields,
+ * resourceVersion, uid, the cluster IPs of Services, ...) so that exported
+ * objects compare equal to the manifests they were applied from. Objects are
+ * modified in place.
+ * @param {object[]} resources - Exported Kubernetes objects
+ * @returns {object[]} The same objects
+ */
+export function stripServerFields(resources) {
+  for (const resource of resources) {
+    delete resource.status
+    stripClusterIPs(resource)
+    const metadata = resource.metadata
+    if (!metadata || typeof metadata !== 'object') continue
+
+    for (const field of SERVER_METADATA_FIELDS) delete metadata[field]
+    if (metadata.annotations && typeof metadata.annotations === 'object') {
+      for (const annotation of SERVER_ANNOTATIONS) {
+        delete metadata.annotations[annotation]
+      }
+      if (Object.keys(metadata.annotations).length === 0) {
+        delete metadata.annotations
+      }
+    }
+  }
+  return resources
+}
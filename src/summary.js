@@ -0,0 +1,231 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  getRunUrl,
+  renderFailureNote,
+  renderOmittedNote,
+  renderResourceDetails,
+  renderSummaryLine,
+  renderValidationIssues
+} from './markdown.js'
+import { formatViolation } from './policy.js'
+
+/**
+ * GitHub rejects job summaries larger than 1 MiB
+ */
+export const MAX_SUMMARY_SIZE = 1024 * 1024
+
+/**
+ * Escape text for use inside HTML elements
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+/**
+ * Count changed resources per kind
+ * @param {{resources: object[]}} diff - Result of diffResources()
+ * @returns {Array<{kind: string, added: number, removed: number, modified: number}>} Counts sorted by kind
+ */
+export function countByKind(diff) {
+  const counts = new Map()
+  for (const entry of diff.resources) {
+    if (!counts.has(entry.kind)) {
+      counts.set(entry.kind, {
+        kind: entry.kind,
+        added: 0,
+        removed: 0,
+        modified: 0
+      })
+    }
+    counts.get(entry.kind)[entry.changeType]++
+  }
+  return [...counts.values()].sort((a, b) => a.kind.localeCompare(b.kind))
+}
+
+/**
+ * Write the diff to the job summary shown on the workflow run page. Resources
+ * are added in order while the summary stays below the size limit; the
+ * remainder is replaced by a note pointing at the workflow run.
+ * @param {{resources: object[], summary: object}} diff - Result of diffResources()
+ * @param {object} options
+ * @param {boolean} options.hasError - Whether any command failed
+ * @param {string} options.stderr - Collected error output
+ * @param {string[]} [options.skipped] - Targets skipped because none of their files changed
+ * @param {string[]} [options.failed] - Targets not compared because a side failed
+ * @param {string[]} [options.incomplete] - Targets compared without files that failed to parse
+ * @param {{resources: number, fields: number}} [options.ignored] - Counts of resources and fields removed by ignore rules
+ * @param {object[]} [options.validation] - Validation issues of the head manifests
+ * @param {object[]} [options.violations] - Policy violations from evaluatePolicy()
+ * @param {object[]} [options.images] - Image changes from diffImages()
+ * @param {object[]} [options.charts] - Chart dependency changes from diffChartDependencies()
+ * @param {number} [options.maxSize] - Maximum size of the summary in bytes
+ * @returns {Promise<void>}
+ */
+export async function writeJobSummary(
+  diff,
+  {
+    hasError,
+    stderr,
+    skipped = [],
+    failed = [],
+    incomplete = [],
+    ignored = { resources: 0, fields: 0 },
+    validation = [],
+    violations = [],
+    images = [],
+    charts = [],
+    maxSize = MAX_SUMMARY_SIZE
+  }
+) {
+  const validationText = renderValidationIssues(validation, {
+    showResource: true
+  })
+  const violationsText = violations
+    .map(
+      (violation) =>
+        `- ${violation.severity === 'error' ? ':x:' : ':warning:'} ${formatViolation(violation)}`
+    )
+    .join('\n')
+  // Error output is cut to a quarter of the summary, leaving the rest to the diff
+  const errors = hasError
+    ? escapeHtml(
+        stderr.length > maxSize / 4
+          ? `${stderr.slice(0, maxSize / 4)}\n... (truncated)`
+          : stderr
+      )
+    : ''
+  // The other sections take roughly the size of their content, tables
+  // included since their data is serialized with its keys here, and room is
+  // kept for headings, markup and the truncation note
+  const reserved = [
+    skipped.join(', '),
+    renderFailureNote({ failed, incomplete }),
+    JSON.stringify([images, charts]),
+    validationText,
+    violationsText,
+    errors
+  ].reduce((size, text) => size + Buffer.byteLength(text), 4096)
+
+  core.summary.addHeading('Kubernetes manifest diff', 2)
+
+  if (skipped.length > 0) {
+    core.summary.addRaw(
+      `Skipped (no relevant files changed): ${skipped.join(', ')}`,
+      true
+    )
+  }
+
+  const failureNote = renderFailureNote({ failed, incomplete })
+  if (failureNote) {
+    core.summary.addRaw(failureNote, true)
+  }
+
+  if (diff.resources.length === 0) {
+    core.summary.addRaw(
+      failed.length > 0
+        ? 'No changes detected in the compared targets.'
+        : 'No changes detected.',
+      true
+    )
+  } else {
+    core.summary.addRaw(renderSummaryLine(diff.summary), true)
+    core.summary.addTable([
+      [
+        { data: 'Kind', header: true },
+        { data: 'Added', header: true },
+        { data: 'Removed', header: true },
+        { data: 'Changed', header: true }
+      ],
+      ...countByKind(diff).map((row) => [
+        row.kind,
+        `${row.added}`,
+        `${row.removed}`,
+        `${row.modified}`
+      ])
+    ])
+    const budget = maxSize - reserved
+    let size = 0
+    let included = 0
+    for (const entry of diff.resources) {
+      const section = renderResourceDetails(entry)
+      size += Buffer.byteLength(section) + 1
+      if (size > budget) break
+      core.summary.addRaw(section, true)
+      included++
+    }
+    const omitted = diff.resources.length - included
+    if (omitted > 0) {
+      core.summary.addRaw(
+        renderOmittedNote(omitted, {
+          limit: 'job summary',
+          runUrl: getRunUrl(github.context)
+        }),
+        true
+      )
+    }
+  }
+
+  if (images.length > 0) {
+    core.summary.addHeading('Image changes', 3)
+    core.summary.addTable([
+      [
+        { data: 'Workload', header: true },
+        { data: 'Container', header: true },
+        { data: 'Base', header: true },
+        { data: 'Head', header: true }
+      ],
+      ...images.map((image) => [
+        `${image.target ? `${image.target}: ` : ''}${image.kind} ${image.namespace ? `${image.namespace}/` : ''}${image.name}`,
+        image.init ? `${image.container} (init)` : image.container,
+        image.baseImage || '-',
+        image.headImage || '-'
+      ])
+    ])
+  }
+
+  if (charts.length > 0) {
+    core.summary.addHeading('Chart dependency changes', 3)
+    core.summary.addTable([
+      [
+        { data: 'Chart', header: true },
+        { data: 'Repository', header: true },
+        { data: 'Base', header: true },
+        { data: 'Head', header: true }
+      ],
+      ...charts.map((chart) => [
+        `${chart.target ? `${chart.target}: ` : ''}${chart.chart}`,
+        chart.repository,
+        chart.baseVersion || '-',
+        chart.headVersion || '-'
+      ])
+    ])
+  }
+
+  if (ignored.resources > 0 || ignored.fields > 0) {
+    core.summary.addRaw(
+      `Ignored by rules: ${ignored.resources} resource(s), ${ignored.fields} field(s)`,
+      true
+    )
+  }
+
+  if (validation.length > 0) {
+    core.summary.addHeading('Validation', 3)
+    core.summary.addRaw(validationText, true)
+  }
+
+  if (violations.length > 0) {
+    core.summary.addHeading('Policy violations', 3)
+    core.summary.addRaw(violationsText, true)
+  }
+
+  if (hasError) {
+    core.summary.addHeading('Errors', 3)
+    // addCodeBlock() writes its content as HTML as is
+    core.summary.addCodeBlock(errors)
+  }
+
+  await core.summary.write()
+}
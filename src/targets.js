@@ -0,0 +1,793 @@
+import * as core from '@actions/core'
+import * as fs from 'fs'
+import * as path from 'path'
+import YAML from 'yaml'
+import { generateManifests } from './manifests.js'
+import { createBufferedLog } from './commands.js'
+import {
+  parseManifests,
+  parseManifestFiles,
+  diffResources,
+  formatDiff,
+  getResourceKey
+} from './diff.js'
+import { applyIgnoreRules } from './ignore.js'
+import { locateResources, findSource } from './provenance.js'
+import { readSnapshot, stripServerFields } from './snapshot.js'
+import { getTargetPaths } from './changes.js'
+import {
+  diffImages,
+  readChartDependencies,
+  diffChartDependencies
+} from './images.js'
+import { createToolRegistry } from './registry.js'
+
+/**
+ * Build a target, filling in the defaults of its tool
+ * @param {object} options
+ * @param {string} options.name - Target name used in reports and outputs
+ * @param {string} [options.tool] - Tool to use, a name from the tool registry
+ * @param {string} [options.command] - Custom command (defaults based on tool)
+ * @param {string} [options.headTool] - Tool for the head side (defaults to tool)
+ * @param {string} [options.headCommand] - Command for the head side (defaults to command, or the default of headTool when it differs)
+ * @param {string} [options.workingDir] - Working directory relative to repo root
+ * @param {string} [options.headWorkingDir] - Working directory for the head ref (defaults to workingDir)
+ * @param {string[]} [options.valuesFiles] - Helm values files for the base ref
+ * @param {string[]} [options.headValuesFiles] - Helm values files for the head ref (defaults to valuesFiles)
+ * @param {object} [options.helm] - Helm release settings, see buildHelmArgs()
+ * @param {string} [options.prepareCommands] - Newline-separated prepare commands
+ * @param {boolean} [options.shell] - Run the command and prepare commands through bash
+ * @param {Object<string, string>} [options.env] - Extra environment variables for the commands
+ * @param {string[]} [options.include] - Files to collect for the yaml tool, see collectYamlFiles()
+ * @param {string[]} [options.exclude] - Paths to skip for the yaml tool, see collectYamlFiles()
+ * @param {string} [options.snapshot] - File or directory of exported objects, relative to repo root, compared instead of the rendered base
+ * @param {Map<string, object>} [tools] - Tool registry from createToolRegistry()
+ * @returns {{name: string, tool: string, command: string, headTool: string, headCommand: string, headPrepareCommands: string, workingDir: string, headWorkingDir: string, valuesFiles: string[], headValuesFiles: string[], helm: object, prepareCommands: string, shell: boolean, env: Object<string, string>, include: string[], exclude: string[], snapshot: string, tools: {base: object, head: object}}}
+ *   The target; tools holds the tool definitions of both sides
+ * @throws {Error} If a tool is not in the registry
+ */
+export function createTarget(
+  {
+    name,
+    tool = 'yaml',
+    command = '',
+    headTool = '',
+    headCommand = '',
+    workingDir = './',
+    headWorkingDir = '',
+    valuesFiles = [],
+    headValuesFiles = [],
+    helm = {},
+    prepareCommands = '',
+    shell = false,
+    env = {},
+    include = [],
+    exclude = [],
+    snapshot = ''
+  },
+  tools = createToolRegistry()
+) {
+  const resolvedHeadTool = headTool || tool
+  const sameTool = resolvedHeadTool === tool
+  const [base, head] = [tool, resolvedHeadTool].map((value) => {
+    if (!tools.has(value)) throw new Error(`Unsupported tool "${value}"`)
+    return tools.get(value)
+  })
+  // In shell mode the tool arguments reach the script as "$@" only
+  const defaultCommand = (definition) =>
+    shell && definition.command
+      ? `${definition.command} "$@"`
+      : definition.command
+  return {
+    name,
+    tool,
+    command: command || defaultCommand(base),
+    headTool: resolvedHeadTool,
+    headCommand: headCommand || (sameTool && command) || defaultCommand(head),
+    workingDir,
+    headWorkingDir: headWorkingDir || workingDir,
+    valuesFiles,
+    headValuesFiles: headValuesFiles.length > 0 ? headValuesFiles : valuesFiles,
+    helm: {
+      releaseName: helm.releaseName || '',
+      namespace: helm.namespace || '',
+      kubeVersion: helm.kubeVersion || '',
+      apiVersions: helm.apiVersions || [],
+      set: helm.set || []
+    },
+    prepareCommands: prepareCommands || base.prepareCommands,
+    headPrepareCommands: prepareCommands || head.prepareCommands,
+    shell,
+    env,
+    include,
+    exclude,
+    snapshot,
+    tools: { base, head }
+  }
+}
+
+/**
+ * Read a list from a targets entry, accepting a single value as well
+ * @param {*} value - List, scalar or undefined
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return []
+  return (Array.isArray(value) ? value : [value]).map((item) => `${item}`)
+}
+
+/**
+ * Parse environment variables given as KEY=VALUE lines
+ * @param {string} input - Newline-separated KEY=VALUE pairs
+ * @returns {Object<string, string>}
+ * @throws {Error} If a line is not a KEY=VALUE pair
+ */
+export function parseEnvInput(input) {
+  const env = {}
+  for (const line of (input || '').split('\n')) {
+    const entry = line.trim()
+    if (!entry || entry.startsWith('#')) continue
+    const match = /^([A-Za-z_]\w*)=(.*)$/.exec(entry)
+    if (!match) {
+      throw new Error(`Invalid env entry "${entry}": expected KEY=VALUE`)
+    }
+    env[match[1]] = match[2]
+  }
+  return env
+}
+
+/**
+ * Read the env mapping of a targets entry
+ * @param {*} value - Mapping of variable names to values
+ * @param {number} index - Entry index for error messages
+ * @returns {Object<string, string>}
+ */
+function toEnv(value, index) {
+  if (value === undefined || value === null) return {}
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(
+      `Invalid targets input: env of entry ${index} must be a mapping`
+    )
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, `${item ?? ''}`])
+  )
+}
+
+/**
+ * Parse the `targets` input
+ * @param {string} input - YAML list of targets
+ * @param {Map<string, object>} [tools] - Tool registry from createToolRegistry()
+ * @returns {object[]} Targets as returned by createTarget()
+ * @throws {Error} If the input is not a valid list of targets
+ */
+export function parseTargets(input, tools = createToolRegistry()) {
+  let entries
+  try {
+    entries = YAML.parse(input)
+  } catch (error) {
+    throw new Error(`Invalid targets input: ${error.message}`)
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Invalid targets input: expected a non-empty YAML list')
+  }
+
+  const names = new Set()
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid targets input: entry ${index} is not a mapping`)
+    }
+
+    const tool = entry.tool || 'yaml'
+    const headTool = entry['head-tool'] || ''
+    for (const value of [tool, headTool].filter(Boolean)) {
+      if (!tools.has(value)) {
+        throw new Error(
+          `Invalid targets input: unsupported tool "${value}" in entry ${index}`
+        )
+      }
+    }
+
+    const workingDir = entry['working-dir'] || './'
+    const name = `${entry.name || workingDir}`
+    if (names.has(name)) {
+      throw new Error(`Invalid targets input: duplicate target name "${name}"`)
+    }
+    names.add(name)
+
+    const prepareCommands = entry['prepare-commands'] || ''
+
+    return createTarget(
+      {
+        name,
+        tool,
+        command: entry.command || '',
+        headTool,
+        headCommand: entry['head-command'] || '',
+        workingDir,
+        headWorkingDir: entry['head-working-dir'] || '',
+        valuesFiles: toList(entry['values-files']),
+        headValuesFiles: toList(entry['head-values-files']),
+        helm: {
+          releaseName: entry['release-name'] || '',
+          namespace: entry.namespace || '',
+          kubeVersion: entry['kube-version'] ? `${entry['kube-version']}` : '',
+          apiVersions: toList(entry['api-versions']),
+          set: toList(entry.set)
+        },
+        prepareCommands: Array.isArray(prepareCommands)
+          ? prepareCommands.join('\n')
+          : prepareCommands,
+        shell: entry.shell === true || entry.shell === 'true',
+        env: toEnv(entry.env, index),
+        include: toList(entry.include),
+        exclude: toList(entry.exclude),
+        snapshot: entry.snapshot ? `${entry.snapshot}` : ''
+      },
+      tools
+    )
+  })
+}
+
+/**
+ * Get the arguments appended to the render command of a target
+ * @param {object} target - Target from createTarget()
+ * @param {object} tool - Tool definition of the side being rendered
+ * @param {string[]} valuesFiles - Values files for the side being rendered
+ * @returns {string[]}
+ */
+function getToolArgs(target, tool, valuesFiles) {
+  return tool.args ? tool.args(target.helm, valuesFiles) : []
+}
+
+/**
+ * Get the options of findSource() for a side of a target
+ * @param {object} tool - Tool definition of the side
+ * @param {string} command - Render command of the side
+ * @param {string} workingDir - Working directory of the side
+ * @returns {object|undefined} Undefined when the tool output has no usable sources
+ */
+function getSourceOptions(tool, command, workingDir) {
+  if (tool.sources === 'none') return undefined
+  return {
+    chart: tool.sources === 'chart',
+    lines: tool.sources === 'files' && !command,
+    workingDir
+  }
+}
+
+/**
+ * Render one side of a target, reusing cached output when a render cache is
+ * given and the side is rendered at a known commit
+ * @param {object} target - Target from createTarget()
+ * @param {string} side - "base" or "head"
+ * @param {object} options
+ * @param {string} options.root - Checkout the side is rendered in
+ * @param {string} [options.sha] - Commit checked out in root
+ * @param {object} [options.cache] - Cache from createRenderCache()
+ * @param {object} options.log - Log from createBufferedLog()
+ * @returns {Promise<{content: string, stderr: string, hasError: boolean, step?: string}>} Result of generateManifests()
+ */
+async function renderSide(target, side, { root, sha, cache, log }) {
+  const { tool, command, workingDir, prepareCommands, valuesFiles } =
+    side === 'head'
+      ? {
+          tool: target.tools.head,
+          command: target.headCommand,
+          workingDir: target.headWorkingDir,
+          prepareCommands: target.headPrepareCommands,
+          valuesFiles: target.headValuesFiles
+        }
+      : { ...target, tool: target.tools.base }
+  const options = {
+    extraArgs: getToolArgs(target, tool, valuesFiles),
+    shell: target.shell,
+    env: target.env,
+    include: target.include,
+    exclude: target.exclude
+  }
+
+  let key = ''
+  if (cache && sha) {
+    key = await cache.getKey({
+      sha,
+      paths: await getTargetPaths(target, [sha]),
+      tool,
+      command,
+      prepareCommands,
+      workingDir,
+      ...options
+    })
+    const content = await cache.get(key)
+    if (content !== undefined) {
+      log.info(
+        `Using cached ${side} manifests for ${target.name} (${key.slice(0, 12)})`
+      )
+      return { content, stderr: '', hasError: false }
+    }
+    log.info(
+      `No cached ${side} manifests for ${target.name} (${key.slice(0, 12)})`
+    )
+  }
+
+  log.info(`Generating ${side} manifests for ${target.name}...`)
+  const result = await generateManifests(
+    tool.name,
+    command,
+    path.join(root, workingDir),
+    prepareCommands,
+    { ...options, output: tool.output, log }
+  )
+  if (key && !result.hasError) await cache.set(key, result.content)
+  return result
+}
+
+/**
+ * Parse rendered manifests. Output collected from files is parsed one file at
+ * a time, so that a broken file does not prevent the others from being
+ * compared; other output is parsed as a whole.
+ * @param {string} content - Rendered YAML
+ * @param {boolean} byFile - Whether the content was collected from files, see parseManifestFiles()
+ * @returns {{files: Array<{file: string, resources: object[]}>, errors: Array<{file: string, message: string}>}}
+ *   Errors of the whole output have an empty file
+ */
+function parseSide(content, byFile) {
+  if (byFile) return parseManifestFiles(content)
+  try {
+    return {
+      files: [{ file: '', resources: parseManifests(content) }],
+      errors: []
+    }
+  } catch (error) {
+    return { files: [], errors: [{ file: '', message: error.message }] }
+  }
+}
+
+/**
+ * Format a failure of a target for the stderr output
+ * @param {{side: string, step: string, message: string, file?: string}} failure
+ * @returns {string}
+ */
+function formatFailure({ side, step, message, file }) {
+  const where = file ? ` in ${file}` : ''
+  const name = side === 'head' ? 'Head' : 'Base'
+  return `${name} ref ${step} error${where}: ${message.trim()}\n`
+}
+
+/**
+ * Get the directory that source paths of a snapshot are relative to
+ * @param {string} root - Checkout holding the snapshot
+ * @param {string} snapshot - Snapshot file or directory relative to root
+ * @returns {string} Directory relative to root
+ */
+function getSnapshotDir(root, snapshot) {
+  const snapshotPath = path.join(root, snapshot)
+  return fs.existsSync(snapshotPath) && fs.statSync(snapshotPath).isDirectory()
+    ? snapshot
+    : path.posix.dirname(snapshot)
+}
+
+/**
+ * Render a target at the base and head checkouts and diff the results. When
+ * the target has a snapshot, the objects exported in it are compared instead
+ * of the rendered base, without the fields populated by the API server.
+ *
+ * When a side fails to render or parse, the target is not compared and its
+ * status is "failed". When only some files collected by the yaml tool fail to
+ * parse, they are left out and the status is "incomplete". Failures record the
+ * side, the step that failed (prepare, render, read or parse) and the file.
+ * @param {object} target - Target from createTarget()
+ * @param {object} options
+ * @param {string} options.baseRoot - Checkout of the base ref, also holding the snapshot
+ * @param {string} options.headRoot - Checkout of the head ref
+ * @param {string} [options.baseSha] - Commit checked out in baseRoot, needed for caching
+ * @param {string} [options.headSha] - Commit checked out in headRoot, needed for caching
+ * @param {object} [options.cache] - Render cache from createRenderCache()
+ * @param {(resources: object[]) => Promise<object[]>} [options.validate] - Validator from createValidator(), applied to the rendered head manifests
+ * @param {(resources: object[]) => object[]} [options.normalize] - Normalizer from createNormalizer(), applied to both sides after parsing
+ * @param {object} [options.ignore] - Ignore configuration from loadIgnoreConfig(), applied to both sides before diffing
+ * @param {(resources: object[]) => object[]} [options.redact] - Redactor from createRedactor(), applied to both sides before diffing
+ * @returns {Promise<{name: string, diff: object, stderr: string, hasError: boolean, skipped: boolean, status: string, failures: object[], ignored: {resources: number, fields: number}, validation: object[], images: object[], charts: object[]}>}
+ *   images and charts list changes from diffImages() and diffChartDependencies()
+ */
+export async function diffTarget(
+  target,
+  {
+    baseRoot,
+    headRoot,
+    baseSha,
+    headSha,
+    cache,
+    validate,
+    normalize,
+    ignore,
+    redact
+  }
+) {
+  const baseDir = path.join(baseRoot, target.workingDir)
+  const baseLog = createBufferedLog()
+  const renderBase = async () => {
+    if (target.snapshot) {
+      baseLog.info(`Reading snapshot ${target.snapshot}...`)
+      return readSnapshot(path.join(baseRoot, target.snapshot))
+    }
+    // if dir does not exist or is empty, assume base is empty
+    if (!fs.existsSync(baseDir) || fs.readdirSync(baseDir).length === 0) {
+      baseLog.info('Base ref is empty, assuming empty YAML')
+      return { content: '', stderr: '', hasError: false }
+    }
+    return renderSide(target, 'base', {
+      root: baseRoot,
+      sha: baseSha,
+      cache,
+      log: baseLog
+    })
+  }
+  const headLog = createBufferedLog()
+  const renderHead = () =>
+    renderSide(target, 'head', {
+      root: headRoot,
+      sha: headSha,
+      cache,
+      log: headLog
+    })
+
+  // Both sides are independent unless they are rendered in the same
+  // directory, where prepare commands could step on each other
+  let baseResult
+  let headResult
+  if (baseDir === path.join(headRoot, target.headWorkingDir)) {
+    baseResult = await renderBase()
+    headResult = await renderHead()
+  } else {
+    ;[baseResult, headResult] = await Promise.all([renderBase(), renderHead()])
+  }
+  baseLog.flush(`${target.name}: base`)
+  headLog.flush(`${target.name}: head`)
+
+  // A side that failed to render or parse as a whole is not compared, since
+  // its objects would all be reported as removed or added
+  const failures = []
+  for (const [side, result] of [
+    ['base', baseResult],
+    ['head', headResult]
+  ]) {
+    if (result.hasError) {
+      failures.push({
+        side,
+        step: result.step || 'render',
+        message: result.stderr
+      })
+    }
+  }
+
+  const headSourceOptions = getSourceOptions(
+    target.tools.head,
+    target.headCommand,
+    target.headWorkingDir
+  )
+  const baseSourceOptions = target.snapshot
+    ? { lines: true, workingDir: getSnapshotDir(baseRoot, target.snapshot) }
+    : getSourceOptions(target.tools.base, target.command, target.workingDir)
+
+  const parsed = {
+    base: parseSide(baseResult.content, !!baseSourceOptions?.lines),
+    head: parseSide(headResult.content, !!headSourceOptions?.lines)
+  }
+  if (failures.length === 0) {
+    for (const side of ['base', 'head']) {
+      for (const { file, message, line } of parsed[side].errors) {
+        failures.push({
+          side,
+          step: 'parse',
+          message,
+          ...(file && { file }),
+          ...(line && { line })
+        })
+      }
+    }
+  }
+  if (failures.some((failure) => !failure.file)) {
+    core.warning(
+      `${target.name}: not compared, ${failures.map((failure) => `${failure.side} ${failure.step}`).join(' and ')} failed`
+    )
+    return createFailedResult(target.name, failures)
+  }
+
+  // Files that failed to parse are left out of both sides, so that their
+  // objects are not reported as added or removed
+  for (const { side, file, message, line } of failures) {
+    const { workingDir } =
+      side === 'head' ? headSourceOptions : baseSourceOptions
+    core.warning(`Failed to parse ${file}: ${message}`, {
+      title: `${target.name}: ${side} manifests`,
+      file: path.posix.join(workingDir, file),
+      ...(line && { startLine: line })
+    })
+  }
+  const failedFiles = new Set(failures.map((failure) => failure.file))
+  const [base, head] = [parsed.base, parsed.head].map(({ files }) => ({
+    resources: files
+      .filter(({ file }) => !failedFiles.has(file))
+      .flatMap(({ resources }) => resources)
+  }))
+  const stderr = failures.map(formatFailure).join('')
+  if (target.snapshot) {
+    stripServerFields(base.resources)
+  }
+
+  const validation = validate ? await validate(head.resources) : []
+  if (validation.length > 0) {
+    core.info(`${target.name}: ${validation.length} validation issue(s)`)
+  }
+
+  if (normalize) {
+    normalize(base.resources)
+    normalize(head.resources)
+  }
+
+  const ignoredResources = new Set()
+  const ignoredFields = new Set()
+  if (ignore) {
+    for (const side of [base, head]) {
+      const filtered = applyIgnoreRules(side.resources, ignore)
+      side.resources = filtered.resources
+      filtered.ignoredResources.forEach((key) => ignoredResources.add(key))
+      filtered.ignoredFields.forEach((field) => ignoredFields.add(field))
+    }
+    if (ignoredResources.size > 0 || ignoredFields.size > 0) {
+      core.info(
+        `${target.name}: ignored ${ignoredResources.size} resource(s) and ${ignoredFields.size} field(s)`
+      )
+    }
+  }
+
+  if (redact) {
+    redact(base.resources)
+    redact(head.resources)
+  }
+
+  // Trace objects back to the files that produced them
+  const baseLocations = locateResources(baseResult.content, {
+    collected: !!baseSourceOptions?.lines
+  })
+  const headLocations = locateResources(headResult.content, {
+    collected: !!headSourceOptions?.lines
+  })
+  const headSource = (id, field) =>
+    headSourceOptions && findSource(headLocations, id, field, headSourceOptions)
+  for (const issue of validation) {
+    const source = headSource(issue, issue.path)
+    if (source) issue.source = source
+  }
+
+  // Image and chart dependency changes, reported next to the diff. Charts
+  // are read from the commits when known, since prepare commands may have
+  // updated Chart.lock in the checkouts. A snapshot has no chart.
+  const images = diffImages(base.resources, head.resources)
+  const readCharts = (root, workingDir, sha) =>
+    sha
+      ? readChartDependencies(path.posix.normalize(workingDir), { sha })
+      : readChartDependencies(path.join(root, workingDir))
+  const charts = target.snapshot
+    ? []
+    : diffChartDependencies(
+        await readCharts(baseRoot, target.workingDir, baseSha),
+        await readCharts(headRoot, target.headWorkingDir, headSha)
+      )
+
+  const diff = diffResources(base.resources, head.resources)
+  for (const entry of diff.resources) {
+    const source =
+      entry.changeType === 'removed'
+        ? baseSourceOptions &&
+          findSource(baseLocations, entry, '', baseSourceOptions)
+        : headSource(entry, entry.changes?.[0].path || '')
+    if (source) entry.source = source
+
+    const key = getResourceKey(entry)
+    const issues = validation.filter((issue) => getResourceKey(issue) === key)
+    if (issues.length > 0) entry.validation = issues
+  }
+  const { added, removed, modified } = diff.summary
+  core.info(
+    `${target.name}: ${added} added, ${removed} removed, ${modified} modified`
+  )
+
+  return {
+    name: target.name,
+    diff,
+    stderr,
+    hasError: failures.length > 0,
+    skipped: false,
+    status: failures.length > 0 ? 'incomplete' : 'complete',
+    failures,
+    ignored: { resources: ignoredResources.size, fields: ignoredFields.size },
+    validation,
+    images,
+    charts
+  }
+}
+
+/**
+ * Diff several targets, rendering up to a given number of them at the same
+ * time
+ * @param {object[]} targets - Targets from createTarget()
+ * @param {object} options - Options of diffTarget()
+ * @param {number} [options.concurrency] - Maximum number of targets rendered at once
+ * @returns {Promise<object[]>} Results of diffTarget(), in the order of targets
+ */
+export async function diffTargets(targets, { concurrency = 1, ...options }) {
+  const results = new Array(targets.length)
+  let next = 0
+  const worker = async () => {
+    while (next < targets.length) {
+      const index = next++
+      results[index] = await diffTarget(targets[index], options)
+    }
+  }
+  const workers = Math.max(1, Math.min(concurrency, targets.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
+/**
+ * Make sure the directories compared in paths mode exist, so that a typo is
+ * not reported as every resource being added or removed
+ * @param {object[]} targets - Targets from createTarget()
+ * @param {string} root - Workspace directory
+ * @throws {Error} If a directory does not exist
+ */
+export function checkTargetPaths(targets, root) {
+  for (const target of targets) {
+    const base = target.snapshot || target.workingDir
+    for (const dir of [base, target.headWorkingDir]) {
+      if (!fs.existsSync(path.join(root, dir))) {
+        throw new Error(`Path ${dir} of target ${target.name} does not exist`)
+      }
+    }
+  }
+}
+
+/**
+ * Build a result without any compared resource
+ * @param {string} name - Target name
+ * @param {object} fields - Fields differing from an empty, error-free result
+ * @returns {object}
+ */
+function createEmptyResult(name, fields) {
+  return {
+    name,
+    diff: {
+      resources: [],
+      summary: { added: 0, removed: 0, modified: 0, unchanged: 0 }
+    },
+    stderr: '',
+    hasError: false,
+    skipped: false,
+    status: 'complete',
+    failures: [],
+    ignored: { resources: 0, fields: 0 },
+    validation: [],
+    images: [],
+    charts: [],
+    ...fields
+  }
+}
+
+/**
+ * Build the result of a target that was not rendered because none of the
+ * files it depends on changed
+ * @param {string} name - Target name
+ * @returns {{name: string, diff: object, stderr: string, hasError: boolean, skipped: boolean, status: string, failures: object[], ignored: object, validation: object[], images: object[], charts: object[]}}
+ */
+export function createSkippedResult(name) {
+  return createEmptyResult(name, { skipped: true, status: 'skipped' })
+}
+
+/**
+ * Build the result of a target that was not compared because a side failed
+ * @param {string} name - Target name
+ * @param {Array<{side: string, step: string, message: string, file?: string, line?: number}>} failures - What failed
+ * @returns {object} Result shaped like the one of diffTarget()
+ */
+function createFailedResult(name, failures) {
+  return createEmptyResult(name, {
+    stderr: failures.map(formatFailure).join(''),
+    hasError: true,
+    status: 'failed',
+    failures
+  })
+}
+
+/**
+ * Merge the results of several targets into a single report. Resource entries
+ * are tagged with their target name when there is more than one target.
+ * @param {Array<{name: string, diff: object, stderr: string, hasError: boolean}>} results - Results from diffTarget()
+ * @returns {{diff: object, diffOutput: string, stderr: string, hasError: boolean, skipped: string[], failed: string[], incomplete: string[], ignored: {resources: number, fields: number}, validation: object[], images: object[], charts: object[]}}
+ *   skipped, failed and incomplete list target names by status
+ */
+export function combineResults(results) {
+  const named = (status) =>
+    results
+      .filter((result) => result.status === status)
+      .map((result) => result.name)
+  const skipped = named('skipped')
+  const failed = named('failed')
+  const incomplete = named('incomplete')
+  const ignored = { resources: 0, fields: 0 }
+  for (const result of results) {
+    ignored.resources += result.ignored.resources
+    ignored.fields += result.ignored.fields
+  }
+
+  if (results.length === 1) {
+    const [result] = results
+    return {
+      diff: result.diff,
+      diffOutput: formatDiff(result.diff),
+      stderr: result.stderr,
+      hasError: result.hasError,
+      skipped,
+      failed,
+      incomplete,
+      ignored,
+      validation: result.validation,
+      images: result.images,
+      charts: result.charts
+    }
+  }
+
+  const resources = []
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 }
+  const sections = []
+  let stderr = ''
+
+  for (const result of results) {
+    resources.push(
+      ...result.diff.resources.map((entry) => ({
+        ...entry,
+        target: result.name
+      }))
+    )
+    for (const key of Object.keys(summary)) {
+      summary[key] += result.diff.summary[key]
+    }
+    const body =
+      {
+        skipped: 'Skipped: no relevant files changed',
+        failed: 'Failed: not compared, see stderr'
+      }[result.status] ||
+      formatDiff(result.diff) ||
+      'No changes'
+    sections.push(`# Target: ${result.name}\n${body}`)
+    if (result.stderr) {
+      stderr += result.stderr
+        .trimEnd()
+        .split('\n')
+        .map((line) => `[${result.name}] ${line}\n`)
+        .join('')
+    }
+  }
+
+  return {
+    diff: { resources, summary },
+    diffOutput: sections.join('\n\n'),
+    stderr,
+    hasError: results.some((result) => result.hasError),
+    skipped,
+    failed,
+    incomplete,
+    ignored,
+    validation: results.flatMap((result) =>
+      result.validation.map((issue) => ({ ...issue, target: result.name }))
+    ),
+    images: results.flatMap((result) =>
+      result.images.map((image) => ({ ...image, target: result.name }))
+    ),
+    charts: results.flatMap((result) =>
+      result.charts.map((chart) => ({ ...chart, target: result.name }))
+    )
+  }
+}
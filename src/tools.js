@@ -1,8 +1,15 @@
 import * as core from '@actions/core'
 import * as exec from '@actions/exec'
 import * as tc from '@actions/tool-cache'
+import * as crypto from 'crypto'
+import * as fs from 'fs'
 import * as path from 'path'
 
+export const DEFAULT_HELM_VERSION = 'v3.14.0'
+export const DEFAULT_KUSTOMIZE_VERSION = 'v5.4.3'
+export const DEFAULT_HELMFILE_VERSION = 'v0.169.1'
+export const DEFAULT_JSONNET_VERSION = 'v0.20.0'
+
 /**
  * Check if a tool is installed
  * @param {string} toolName - Name of the tool to check
@@ -18,37 +25,238 @@ export async function isToolInstalled(toolName) {
 }
 
 /**
- * Install yamldiff tool using go install
+ * Get the platform and architecture names used by release archives
+ * @returns {{platform: string, arch: string}}
+ */
+function getPlatform() {
+  return {
+    platform: process.platform === 'darwin' ? 'darwin' : 'linux',
+    arch: process.arch === 'arm64' ? 'arm64' : 'amd64'
+  }
+}
+
+/**
+ * Make sure a version starts with "v", as used in release file names
+ * @param {string} version - Version such as 3.14.0 or v3.14.0
+ * @returns {string}
+ */
+function normalizeVersion(version) {
+  return version.startsWith('v') ? version : `v${version}`
+}
+
+/**
+ * Find the expected checksum of a file in a checksum file. Supports both
+ * "<hash>  <file>" lines and files containing only the hash.
+ * @param {string} content - Checksum file content
+ * @param {string} fileName - Name of the file to look up
+ * @returns {string|undefined} Lowercase hex SHA-256
+ */
+export function findChecksum(content, fileName) {
+  const lines = content
+    .split('\n')
+    .map((line) => line.trim().split(/\s+/))
+    .filter((parts) => parts[0])
+
+  const match = lines.find(
+    (parts) => parts[1] && parts[1].replace(/^\*/, '') === fileName
+  )
+  if (match) return match[0].toLowerCase()
+  if (lines.length === 1 && lines[0].length === 1) {
+    return lines[0][0].toLowerCase()
+  }
+  return undefined
+}
+
+/**
+ * Verify the SHA-256 checksum of a downloaded file
+ * @param {string} file - Downloaded file
+ * @param {string} checksumUrl - URL of the checksum file published with the release
+ * @param {string} fileName - Name of the release file in the checksum file
  * @returns {Promise<void>}
+ * @throws {Error} If the checksum is missing or does not match
  */
-export async function installYamldiff() {
-  core.info('Installing yamldiff...')
-  await exec.exec('go', ['install', 'github.com/semihbkgr/yamldiff@v0.3.0'])
+export async function verifyChecksum(file, checksumUrl, fileName) {
+  const checksumPath = await tc.downloadTool(checksumUrl)
+  const expected = findChecksum(
+    await fs.promises.readFile(checksumPath, 'utf8'),
+    fileName
+  )
+  if (!expected) {
+    throw new Error(`No checksum for ${fileName} found in ${checksumUrl}`)
+  }
 
-  const goPathResult = await exec.getExecOutput('go', ['env', 'GOPATH'])
-  if (goPathResult.stdout.trim()) {
-    const goPath = goPathResult.stdout.trim()
-    const goBinPath = path.join(goPath, 'bin')
-    core.addPath(goBinPath)
-    core.info(`Added Go binary path to PATH: ${goBinPath}`)
+  const actual = crypto
+    .createHash('sha256')
+    .update(await fs.promises.readFile(file))
+    .digest('hex')
+  if (actual !== expected) {
+    throw new Error(
+      `Checksum mismatch for ${fileName}: expected ${expected}, got ${actual}`
+    )
   }
+  core.info(`Verified checksum of ${fileName}`)
 }
 
 /**
- * Install helm tool using tool-cache
+ * Download, verify, extract and cache a tool release archive, then add it to PATH
+ * @param {object} options
+ * @param {string} options.tool - Tool name in the tool cache
+ * @param {string} options.version - Version to install
+ * @param {string} options.url - Archive URL
+ * @param {string} options.checksumUrl - Checksum file URL
+ * @param {string} options.binDir - Directory of the binary inside the archive
+ * @param {boolean} options.verify - Verify the archive checksum
  * @returns {Promise<void>}
  */
-export async function installHelm() {
-  core.info('Installing helm...')
-  const version = 'v3.14.0'
-  const platform = process.platform === 'darwin' ? 'darwin' : 'linux'
-  const arch = process.arch === 'arm64' ? 'arm64' : 'amd64'
+async function installRelease({
+  tool,
+  version,
+  url,
+  checksumUrl,
+  binDir,
+  verify
+}) {
+  const cached = tc.find(tool, version)
+  if (cached) {
+    core.info(`Using cached ${tool} ${version}`)
+    core.addPath(path.join(cached, binDir))
+    return
+  }
 
-  const downloadUrl = `https://get.helm.sh/helm-${version}-${platform}-${arch}.tar.gz`
-  const downloadPath = await tc.downloadTool(downloadUrl)
+  core.info(`Downloading ${url}`)
+  const downloadPath = await tc.downloadTool(url)
+  if (verify) {
+    await verifyChecksum(downloadPath, checksumUrl, path.posix.basename(url))
+  }
   const extractedPath = await tc.extractTar(downloadPath)
-  const cachedPath = await tc.cacheDir(extractedPath, 'helm', version)
+  const cachedPath = await tc.cacheDir(extractedPath, tool, version)
+  core.addPath(path.join(cachedPath, binDir))
+}
+
+/**
+ * Install helm tool using tool-cache
+ * @param {object} [options]
+ * @param {string} [options.version] - Helm version (default DEFAULT_HELM_VERSION)
+ * @param {string} [options.mirrorUrl] - Base URL of a mirror serving helm/<archive> and helm/<archive>.sha256sum
+ * @param {boolean} [options.verify] - Verify the archive checksum (default true)
+ * @returns {Promise<void>}
+ */
+export async function installHelm({
+  version = DEFAULT_HELM_VERSION,
+  mirrorUrl = '',
+  verify = true
+} = {}) {
+  const helmVersion = normalizeVersion(version)
+  core.info(`Installing helm ${helmVersion}...`)
+  const { platform, arch } = getPlatform()
+
+  const baseUrl = mirrorUrl
+    ? `${mirrorUrl.replace(/\/+$/, '')}/helm`
+    : 'https://get.helm.sh'
+  const url = `${baseUrl}/helm-${helmVersion}-${platform}-${arch}.tar.gz`
+
+  await installRelease({
+    tool: 'helm',
+    version: helmVersion,
+    url,
+    checksumUrl: `${url}.sha256sum`,
+    binDir: `${platform}-${arch}`,
+    verify
+  })
+}
+
+/**
+ * Install kustomize tool using tool-cache
+ * @param {object} [options]
+ * @param {string} [options.version] - Kustomize version (default DEFAULT_KUSTOMIZE_VERSION)
+ * @param {string} [options.mirrorUrl] - Base URL of a mirror serving kustomize/<version>/<archive> and kustomize/<version>/checksums.txt
+ * @param {boolean} [options.verify] - Verify the archive checksum (default true)
+ * @returns {Promise<void>}
+ */
+export async function installKustomize({
+  version = DEFAULT_KUSTOMIZE_VERSION,
+  mirrorUrl = '',
+  verify = true
+} = {}) {
+  const kustomizeVersion = normalizeVersion(version)
+  core.info(`Installing kustomize ${kustomizeVersion}...`)
+  const { platform, arch } = getPlatform()
+
+  const baseUrl = mirrorUrl
+    ? `${mirrorUrl.replace(/\/+$/, '')}/kustomize/${kustomizeVersion}`
+    : `https://github.com/kubernetes-sigs/kustomize/releases/download/kustomize%2F${kustomizeVersion}`
+
+  await installRelease({
+    tool: 'kustomize',
+    version: kustomizeVersion,
+    url: `${baseUrl}/kustomize_${kustomizeVersion}_${platform}_${arch}.tar.gz`,
+    checksumUrl: `${baseUrl}/checksums.txt`,
+    binDir: '',
+    verify
+  })
+}
+
+/**
+ * Install helmfile tool using tool-cache
+ * @param {object} [options]
+ * @param {string} [options.version] - Helmfile version (default DEFAULT_HELMFILE_VERSION)
+ * @param {string} [options.mirrorUrl] - Base URL of a mirror serving helmfile/<version>/<archive> and helmfile/<version>/<checksums>
+ * @param {boolean} [options.verify] - Verify the archive checksum (default true)
+ * @returns {Promise<void>}
+ */
+export async function installHelmfile({
+  version = DEFAULT_HELMFILE_VERSION,
+  mirrorUrl = '',
+  verify = true
+} = {}) {
+  const helmfileVersion = normalizeVersion(version)
+  core.info(`Installing helmfile ${helmfileVersion}...`)
+  const { platform, arch } = getPlatform()
+
+  const baseUrl = mirrorUrl
+    ? `${mirrorUrl.replace(/\/+$/, '')}/helmfile/${helmfileVersion}`
+    : `https://github.com/helmfile/helmfile/releases/download/${helmfileVersion}`
+  const number = helmfileVersion.slice(1)
+
+  await installRelease({
+    tool: 'helmfile',
+    version: helmfileVersion,
+    url: `${baseUrl}/helmfile_${number}_${platform}_${arch}.tar.gz`,
+    checksumUrl: `${baseUrl}/helmfile_${number}_checksums.txt`,
+    binDir: '',
+    verify
+  })
+}
+
+/**
+ * Install jsonnet (go-jsonnet) tool using tool-cache
+ * @param {object} [options]
+ * @param {string} [options.version] - go-jsonnet version (default DEFAULT_JSONNET_VERSION)
+ * @param {string} [options.mirrorUrl] - Base URL of a mirror serving jsonnet/<version>/<archive> and jsonnet/<version>/checksums.txt
+ * @param {boolean} [options.verify] - Verify the archive checksum (default true)
+ * @returns {Promise<void>}
+ */
+export async function installJsonnet({
+  version = DEFAULT_JSONNET_VERSION,
+  mirrorUrl = '',
+  verify = true
+} = {}) {
+  const jsonnetVersion = normalizeVersion(version)
+  core.info(`Installing jsonnet ${jsonnetVersion}...`)
+  const { platform, arch } = getPlatform()
+
+  const baseUrl = mirrorUrl
+    ? `${mirrorUrl.replace(/\/+$/, '')}/jsonnet/${jsonnetVersion}`
+    : `https://github.com/google/go-jsonnet/releases/download/${jsonnetVersion}`
+  // go-jsonnet archives use uname style names: Linux_x86_64, Darwin_arm64
+  const system = `${platform === 'darwin' ? 'Darwin' : 'Linux'}_${arch === 'amd64' ? 'x86_64' : arch}`
 
-  const helmPath = path.join(cachedPath, `${platform}-${arch}`, 'helm')
-  core.addPath(path.dirname(helmPath))
+  await installRelease({
+    tool: 'jsonnet',
+    version: jsonnetVersion,
+    url: `${baseUrl}/go-jsonnet_${jsonnetVersion.slice(1)}_${system}.tar.gz`,
+    checksumUrl: `${baseUrl}/checksums.txt`,
+    binDir: '',
+    verify
+  })
 }
@@ -0,0 +1,370 @@
+import * as core from '@actions/core'
+import * as tc from '@actions/tool-cache'
+import * as fs from 'fs'
+import * as path from 'path'
+import {
+  formatPath,
+  formatResourceId,
+  getResourceId,
+  parseManifests
+} from './diff.js'
+import { collectYamlFiles } from './manifests.js'
+import { findDeprecation } from './deprecations.js'
+
+export const DEFAULT_SCHEMA_LOCATION =
+  'https://raw.githubusercontent.com/yannh/kubernetes-json-schema/master'
+export const DEFAULT_VALIDATION_KUBE_VERSION = '1.30.0'
+
+/**
+ * Fields every object accepts, whether or not a CRD schema lists them
+ */
+const OBJECT_FIELDS = {
+  apiVersion: { type: 'string' },
+  kind: { type: 'string' },
+  metadata: { type: 'object' }
+}
+
+/**
+ * Get the file name of the JSON schema of a kind, using the naming of the
+ * kubernetes-json-schema project: <kind>[-<group prefix>]-<version>.json
+ * @param {string} apiVersion - API version, e.g. networking.k8s.io/v1
+ * @param {string} kind - Kind, e.g. Ingress
+ * @returns {string} e.g. ingress-networking-v1.json
+ */
+export function getSchemaFileName(apiVersion, kind) {
+  const [group, version] = apiVersion.includes('/')
+    ? apiVersion.split('/')
+    : ['', apiVersion]
+  const groupPrefix = group ? `-${group.split('.')[0]}` : ''
+  return `${kind.toLowerCase()}${groupPrefix}-${version}.json`
+}
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+/**
+ * Check a value against a JSON schema type name
+ * @param {*} value - Any value
+ * @param {string} type - JSON schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Validate a value against the subset of JSON schema and OpenAPI used by
+ * Kubernetes schemas: type, enum, required, properties, additionalProperties,
+ * items, allOf/anyOf/oneOf, local $refs, nullable and the x-kubernetes
+ * extensions for int-or-string and unknown fields. Objects whose schema lists
+ * properties reject unknown fields unless additionalProperties says otherwise.
+ * @param {*} value - Value to validate
+ * @param {object} schema - JSON schema
+ * @param {object} [root] - Document holding the definitions $refs point at
+ * @param {Array<string|number>} [segments] - Path of the value
+ * @returns {Array<{path: string, message: string}>} Problems found
+ */
+export function validateSchema(value, schema, root = schema, segments = []) {
+  if (!schema || typeof schema !== 'object') return []
+  const problem = (message, at = segments) => ({
+    path: formatPath(at),
+    message
+  })
+
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => node?.[key], root)
+    return validateSchema(value, target, root, segments)
+  }
+
+  if (value === null && schema.nullable) return []
+
+  const problems = []
+  for (const sub of schema.allOf || []) {
+    problems.push(...validateSchema(value, sub, root, segments))
+  }
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!schema[keyword]) continue
+    const attempts = schema[keyword].map((sub) =>
+      validateSchema(value, sub, root, segments)
+    )
+    if (!attempts.some((attempt) => attempt.length === 0)) {
+      problems.push(
+        attempts.reduce((best, attempt) =>
+          attempt.length < best.length ? attempt : best
+        )[0]
+      )
+    }
+  }
+
+  if (
+    schema['x-kubernetes-int-or-string'] ||
+    schema.format === 'int-or-string'
+  ) {
+    if (!hasType(value, 'integer') && !hasType(value, 'string')) {
+      problems.push(problem(`expected integer or string, got ${typeOf(value)}`))
+    }
+    return problems
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => hasType(value, type))) {
+      problems.push(
+        problem(`expected ${types.join(' or ')}, got ${typeOf(value)}`)
+      )
+      return problems
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    problems.push(
+      problem(
+        `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`
+      )
+    )
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, index) => {
+        problems.push(
+          ...validateSchema(item, schema.items, root, [...segments, index])
+        )
+      })
+    }
+    return problems
+  }
+
+  if (value && typeof value === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        problems.push(problem('missing required field', [...segments, field]))
+      }
+    }
+
+    const properties = schema.properties || {}
+    const additional = schema.additionalProperties
+    const allowUnknown =
+      schema['x-kubernetes-preserve-unknown-fields'] ||
+      additional === true ||
+      (additional === undefined && !schema.properties)
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const at = [...segments, field]
+      if (properties[field]) {
+        problems.push(
+          ...validateSchema(fieldValue, properties[field], root, at)
+        )
+      } else if (additional && typeof additional === 'object') {
+        problems.push(...validateSchema(fieldValue, additional, root, at))
+      } else if (!allowUnknown) {
+        problems.push(problem('unknown field', at))
+      }
+    }
+  }
+
+  return problems
+}
+
+/**
+ * Extract the schemas of the custom resources defined by CRD objects
+ * @param {object[]} resources - Kubernetes objects; anything but CRDs is ignored
+ * @returns {Map<string, object>} Schemas keyed by "apiVersion kind"
+ */
+export function getCrdSchemas(resources) {
+  const schemas = new Map()
+  for (const resource of resources) {
+    if (
+      resource.apiVersion !== 'apiextensions.k8s.io/v1' ||
+      resource.kind !== 'CustomResourceDefinition'
+    ) {
+      continue
+    }
+    const { group, names, versions = [] } = resource.spec || {}
+    for (const version of versions) {
+      const schema = version.schema?.openAPIV3Schema
+      if (!group || !names?.kind || !schema) continue
+      schemas.set(`${group}/${version.name} ${names.kind}`, {
+        ...schema,
+        properties: { ...OBJECT_FIELDS, ...schema.properties }
+      })
+    }
+  }
+  return schemas
+}
+
+/**
+ * Load CRD schemas from the CRD manifests in a directory
+ * @param {string} directory - Directory searched recursively for YAML files
+ * @returns {Promise<Map<string, object>>} Schemas keyed by "apiVersion kind"
+ * @throws {Error} If the directory cannot be read or parsed
+ */
+export async function loadCrdSchemas(directory) {
+  try {
+    return getCrdSchemas(parseManifests(await collectYamlFiles(directory)))
+  } catch (error) {
+    throw new Error(
+      `Failed to load CRD schemas from ${directory}: ${error.message}`
+    )
+  }
+}
+
+/**
+ * Build a validation issue
+ * @param {{apiVersion: string, kind: string, namespace: string, name: string}} id - Resource identity
+ * @param {'error'|'warning'} severity - Severity
+ * @param {string} type - invalid, unknown-kind, deprecated, removed or schema-unavailable
+ * @param {string} field - Path of the offending field, '' for the whole object
+ * @param {string} message - Description of the problem
+ * @returns {{apiVersion: string, kind: string, namespace: string, name: string, severity: string, type: string, path: string, message: string}}
+ */
+function createIssue(id, severity, type, field, message) {
+  return { ...id, severity, type, path: field, message }
+}
+
+/**
+ * Create a validator for rendered manifests. Schemas of built-in kinds are
+ * read from a kubernetes-json-schema layout, either over HTTP or from a local
+ * directory, and cached for the whole run. Custom resources are validated
+ * against CRDs from crdSchemasDir and CRDs found among the validated objects.
+ * @param {object} [options]
+ * @param {string} [options.kubeVersion] - Kubernetes version, e.g. 1.30.0
+ * @param {string} [options.schemaLocation] - Base URL or directory of the schemas
+ * @param {Map<string, object>} [options.crdSchemas] - Schemas from loadCrdSchemas()
+ * @returns {(resources: object[]) => Promise<object[]>} Returns the problems found, see createIssue()
+ */
+export function createValidator({
+  kubeVersion = DEFAULT_VALIDATION_KUBE_VERSION,
+  schemaLocation = DEFAULT_SCHEMA_LOCATION,
+  crdSchemas = new Map()
+} = {}) {
+  const version = kubeVersion.replace(/^v/, '')
+  const fullVersion = version.split('.').length === 2 ? `${version}.0` : version
+  const location = schemaLocation.replace(/\/+$/, '')
+  const isRemote = /^https?:\/\//.test(location)
+  const cache = new Map()
+
+  const readSchema = async (file) => {
+    const source = `${location}/v${fullVersion}-standalone-strict/${file}`
+    try {
+      const local = isRemote ? await tc.downloadTool(source) : source
+      return JSON.parse(await fs.promises.readFile(local, 'utf8'))
+    } catch (error) {
+      if (error.httpStatusCode === 404 || error.code === 'ENOENT') {
+        return null
+      }
+      throw new Error(`Failed to load schema ${source}: ${error.message}`)
+    }
+  }
+
+  const getSchema = (apiVersion, kind) => {
+    const file = getSchemaFileName(apiVersion, kind)
+    if (!cache.has(file)) cache.set(file, readSchema(file))
+    return cache.get(file)
+  }
+
+  return async (resources) => {
+    const issues = []
+    const customSchemas = new Map([...crdSchemas, ...getCrdSchemas(resources)])
+
+    for (const resource of resources) {
+      const id = getResourceId(resource)
+      const deprecation = findDeprecation(id.apiVersion, id.kind, version)
+      if (deprecation) {
+        issues.push(
+          createIssue(
+            id,
+            deprecation.status === 'removed' ? 'error' : 'warning',
+            deprecation.status,
+            '',
+            deprecation.message
+          )
+        )
+        if (deprecation.status === 'removed') continue
+      }
+
+      let schema = customSchemas.get(`${id.apiVersion} ${id.kind}`)
+      if (!schema) {
+        try {
+          schema = await getSchema(id.apiVersion, id.kind)
+        } catch (error) {
+          issues.push(
+            createIssue(id, 'warning', 'schema-unavailable', '', error.message)
+          )
+          continue
+        }
+      }
+      if (!schema) {
+        issues.push(
+          createIssue(
+            id,
+            'error',
+            'unknown-kind',
+            '',
+            `No schema for ${id.apiVersion} ${id.kind} in Kubernetes ${version}`
+          )
+        )
+        continue
+      }
+
+      for (const { path: field, message } of validateSchema(resource, schema)) {
+        issues.push(createIssue(id, 'error', 'invalid', field, message))
+      }
+    }
+
+    return issues
+  }
+}
+
+/**
+ * Format a validation issue as a single line
+ * @param {object} issue - Issue from a validator
+ * @returns {string}
+ */
+export function formatIssue(issue) {
+  const field = issue.path ? `${issue.path}: ` : ''
+  return `${formatResourceId(issue)}: ${field}${issue.message}`
+}
+
+/**
+ * Report validation issues as workflow annotations, on their source file when known
+ * @param {object[]} issues - Issues from a validator, optionally tagged with a target
+ */
+export function annotateIssues(issues) {
+  for (const issue of issues) {
+    const target = issue.target ? `[${issue.target}] ` : ''
+    const annotate = issue.severity === 'error' ? core.error : core.warning
+    annotate(`${target}${formatIssue(issue)}`, {
+      title: `Kubernetes manifest validation: ${issue.type}`,
+      ...(issue.source && { file: issue.source.file }),
+      ...(issue.source?.line && { startLine: issue.source.line })
+    })
+  }
+}
+
+/**
+ * Resolve the schema location input, accepting a directory relative to the
+ * workspace
+ * @param {string} input - URL or directory
+ * @returns {string}
+ */
+export function resolveSchemaLocation(input) {
+  if (!input) return DEFAULT_SCHEMA_LOCATION
+  return /^https?:\/\//.test(input) ? input : path.resolve(input)
+}